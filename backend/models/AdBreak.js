@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One ad break detected from SCTE-35 markers (see workers/adMarkers.js)
+const AdBreakSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true
+    },
+    breakId: { type: String, required: true, unique: true },
+    source: {
+        type: String,
+        enum: ['CUE', 'DATERANGE', 'CUE+DATERANGE'], // EXT-X-CUE-OUT/IN, EXT-X-DATERANGE SCTE35-OUT/IN, or both at one segment
+        required: true
+    },
+    rangeId: String,             // DATERANGE ID
+    variant: String,             // Variant URI the markers were read from
+    startedAt: Date,
+    endedAt: Date,
+    plannedDuration: Number,     // seconds, from CUE-OUT DURATION / PLANNED-DURATION
+    actualDuration: Number,      // seconds
+    status: {
+        type: String,
+        enum: ['open', 'closed', 'unterminated'],
+        default: 'open'
+    },
+    overrun: { type: Boolean, default: false }
+}, { timestamps: true });
+
+AdBreakSchema.index({ streamId: 1, startedAt: -1 });
+
+// Auto-delete old records (keep last 7 days)
+AdBreakSchema.index({ createdAt: 1 }, { expireAfterSeconds: 604800 });
+
+module.exports = mongoose.model('AdBreak', AdBreakSchema);
@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const AuditLogSchema = new mongoose.Schema({
     action: {
         type: String,
-        enum: ['STREAM_ADDED', 'STREAM_DELETED', 'LOG_DOWNLOADED'],
+        enum: ['STREAM_ADDED', 'STREAM_DELETED', 'STREAM_CONFIG_UPDATED', 'STREAM_REQUEST_UPDATED', 'LOG_DOWNLOADED'],
         required: true
     },
     streamId: {
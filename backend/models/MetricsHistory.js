@@ -15,12 +15,31 @@ const MetricsHistorySchema = new mongoose.Schema({
     healthScore: Number,
     videoScore: Number,
     audioScore: Number,
-    // Live signal data for graphs
-    videoBitrate: Number,  // in bps
-    audioBitrate: Number,  // in bps
-    videoLevel: Number,    // 0-100 normalized
-    audioLevel: Number,    // 0-100 normalized
+    // Live signal data for graphs: bitrates measured from the latest segment
+    totalBitrate: Number,       // in bps
+    videoBitrate: Number,       // in bps
+    audioBitrate: Number,       // in bps
+    declaredBandwidth: Number,  // primary variant's BANDWIDTH, in bps
+    videoLevel: Number,         // 0-100, % of declaredBandwidth
+    audioLevel: Number,         // 0-100, % of declaredBandwidth
     fps: Number,
+    // Loudness (workers/loudness.js): latest segment, rolling window and program
+    // integrated loudness in LUFS, and the window's true peak in dBTP
+    loudness: Number,
+    loudnessWindow: Number,
+    loudnessProgram: Number,
+    truePeak: Number,
+    avOffset: Number,      // ms audio starts after video in the latest segment (workers/avSync.js)
+    segmentDownloadTime: Number, // ms, latest probed segment of the primary variant
+    segmentSize: Number,         // bytes
+    partGap: Number,             // ms between LL-HLS parts (primary variant)
+    liveLatency: Number,         // ms the live edge is behind wall clock (primary variant)
+    // HTTP timing breakdown (ms) and responding edge of the primary variant's
+    // latest playlist and segment requests (workers/httpTiming.js)
+    manifestTiming: { dns: Number, connect: Number, tls: Number, ttfb: Number, total: Number },
+    segmentTiming: { dns: Number, connect: Number, tls: Number, ttfb: Number, total: Number },
+    manifestEdge: { via: String, cache: String, age: Number, cdn: String },
+    segmentEdge: { via: String, cache: String, age: Number, cdn: String },
     status: String,
     mediaSequence: Number,
     segmentCount: Number,
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Socket events published by monitor workers for every web instance to relay
+// (distributed mode, see workers/eventBus.js). Capped, so old events roll off.
+const MonitorEventSchema = new mongoose.Schema({
+    event: { type: String, required: true },
+    data: mongoose.Schema.Types.Mixed,
+    ref: { model: String, id: mongoose.Schema.Types.ObjectId }, // Document to load instead of `data`
+    source: String,    // Publishing worker
+    date: { type: Date, default: Date.now }
+}, { capped: { size: 64 * 1024 * 1024 } });
+
+module.exports = mongoose.model('MonitorEvent', MonitorEventSchema);
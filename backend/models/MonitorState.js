@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Checker state of one stream (see workers/monitorState.js), so a restarted
+// monitor carries on comparing against the last poll instead of starting over
+const VariantStateSchema = new mongoose.Schema({
+    uri: String,
+    lastPollTime: Number,
+    lastUpdateTime: Number,
+    lastMediaSequence: Number,
+    consecutiveStales: Number,
+    lastDiscontinuitySequence: Number,
+    lastProbedSequence: Number,
+    lastPartUri: String,
+    lastSubtitleSequence: Number,
+    syncReported: Boolean,
+    keyframeReported: Boolean,
+    iframeOutOfStep: Boolean,
+    overLatencyBudget: Boolean,
+    lowLatencyFindings: [String],
+    complianceFindings: [String],
+    headerFindings: [String],
+    segmentHeaderFindings: [{
+        _id: false,
+        key: String,
+        details: String
+    }],
+    segmentBitrates: [Number],
+    probeFindings: [{
+        _id: false,
+        key: String,
+        rule: String,
+        details: String
+    }],
+    lastSegments: [{
+        _id: false,
+        uri: String,
+        discontinuity: Boolean,
+        programDateTime: Number,
+        key: String
+    }]
+}, { _id: false });
+
+const MonitorStateSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true,
+        unique: true
+    },
+    variants: [VariantStateSchema],
+    ads: mongoose.Schema.Types.Mixed, // Ad marker tracking state (workers/adMarkers.js)
+    masterHeaderFindings: [String],     // Master playlist response header findings already reported
+    videoContent: mongoose.Schema.Types.Mixed, // Black / frozen picture runs (workers/videoContent.js)
+    loudness: mongoose.Schema.Types.Mixed,     // Program loudness histograms (workers/loudness.js)
+    audioChannels: mongoose.Schema.Types.Mixed, // Per-channel finding streaks (workers/audioChannels.js)
+    avSync: mongoose.Schema.Types.Mixed,        // Last A/V offset (workers/avSync.js)
+    savedAt: Date
+});
+
+module.exports = mongoose.model('MonitorState', MonitorStateSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// One running monitor worker process (distributed mode), kept alive by heartbeats
+const MonitorWorkerSchema = new mongoose.Schema({
+    workerId: { type: String, required: true, unique: true },
+    host: String,
+    pid: Number,
+    startedAt: Date,
+    lastHeartbeat: Date,
+    streamCount: { type: Number, default: 0 }
+});
+
+// Workers that stopped heartbeating drop out of the list after an hour
+MonitorWorkerSchema.index({ lastHeartbeat: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('MonitorWorker', MonitorWorkerSchema);
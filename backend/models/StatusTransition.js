@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One change of a stream's reported status (see workers/statusMachine.js)
+const StatusTransitionSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true
+    },
+    from: String,
+    to: String,
+    type: { type: String, enum: ['degraded', 'offline', 'recovered'] },
+    reason: String,
+    flapping: { type: Boolean, default: false }, // Stream was flapping when this transition happened
+    date: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+StatusTransitionSchema.index({ streamId: 1, date: -1 });
+
+// Auto-delete old records (keep last 7 days)
+StatusTransitionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 604800 });
+
+module.exports = mongoose.model('StatusTransition', StatusTransitionSchema);
@@ -8,9 +8,204 @@ const ErrorTypes = {
     PLAYLIST_CONTENT: 'Playlist Content',
     SEGMENT_CONTINUITY: 'Segment Continuity',
     DISCONTINUITY_SEQUENCE: 'Discontinuity Sequence',
-    STALE_MANIFEST: 'Stale Manifest'
+    STALE_MANIFEST: 'Stale Manifest',
+    SEGMENT_AVAILABILITY: 'Segment Availability',
+    SEGMENT_DOWNLOAD_TIME: 'Segment Download Time',
+    // Low-Latency HLS
+    LL_SERVER_CONTROL: 'LL-HLS Server Control',
+    LL_PART_TARGET: 'LL-HLS Part Target',
+    LL_PART_AVAILABILITY: 'LL-HLS Part Availability',
+    LL_BLOCKING_RELOAD: 'LL-HLS Blocking Reload',
+    // EXT-X-PROGRAM-DATE-TIME
+    PROGRAM_DATE_TIME: 'Program Date Time',
+    LIVE_LATENCY: 'Live Latency',
+    // SCTE-35 ad markers
+    AD_MARKER: 'Ad Marker',
+    AD_BREAK_OVERRUN: 'Ad Break Overrun',
+    // EXT-X-KEY
+    KEY_RETRIEVAL: 'Key Retrieval',
+    KEY_ROTATION: 'Key Rotation',
+    // Status state machine
+    STATUS_FLAPPING: 'Status Flapping',
+    // RFC 8216 conformance (workers/manifestLint.js)
+    MANIFEST_LINT: 'Manifest Conformance',
+    // EXT-X-MAP
+    INIT_SEGMENT: 'Init Segment',
+    INIT_SEGMENT_CHANGE: 'Init Segment Change',
+    // Declared vs. measured (workers/compliance.js)
+    VARIANT_BITRATE: 'Variant Bitrate',
+    VARIANT_CODEC: 'Variant Codec',
+    VARIANT_RESOLUTION: 'Variant Resolution',
+    // Alternate renditions (EXT-X-MEDIA)
+    SUBTITLE_SEGMENT: 'Subtitle Segment',
+    SUBTITLE_SYNC: 'Subtitle Sync',
+    // VOD deep crawl (workers/vodCrawl.js)
+    SEGMENT_DURATION: 'Segment Duration',
+    SEGMENT_DECODE: 'Segment Decode',
+    // I-frame (trick play) playlists
+    IFRAME_KEYFRAME: 'I-Frame Keyframe',
+    IFRAME_TIMELINE: 'I-Frame Timeline',
+    // Response headers (workers/headerCheck.js)
+    HTTP_HEADERS: 'HTTP Headers',
+    // Serving host or CDN differs from the previous poll
+    ORIGIN_CHANGE: 'Origin Change',
+    // Picture content (workers/videoContent.js)
+    BLACK_VIDEO: 'Black Video',
+    FROZEN_VIDEO: 'Frozen Video',
+    // EBU R128 / ATSC A/85 (workers/loudness.js)
+    LOUDNESS: 'Loudness',
+    TRUE_PEAK: 'True Peak',
+    // Per-channel audio (workers/audioChannels.js)
+    CHANNEL_SILENCE: 'Channel Silence',
+    PHASE_INVERSION: 'Phase Inversion',
+    DUAL_MONO: 'Dual Mono',
+    // Audio/video start offset (workers/avSync.js)
+    AV_SYNC: 'A/V Sync',
+    AV_SYNC_CHANGE: 'A/V Sync Change'
 };
 
+// Timing breakdown (ms), responding CDN edge and redirects of one HTTP request (workers/httpTiming.js)
+const requestTiming = { dns: Number, connect: Number, tls: Number, ttfb: Number, total: Number };
+const requestEdge = { via: String, cache: String, age: Number, cdn: String };
+const redirectHop = [{ _id: false, status: Number, url: String }];
+
+// Integrated loudness (LUFS), loudness range (LU), true peak (dBTP) and measured seconds
+const loudnessSummary = { integrated: Number, range: Number, truePeak: Number, duration: Number };
+
+// Per-variant health, one entry per rendition in the master playlist - video
+// variants first, then the audio and subtitle renditions from EXT-X-MEDIA and
+// the I-frame playlists from EXT-X-I-FRAME-STREAM-INF
+// (a plain media playlist is tracked as a single variant)
+const VariantSchema = new mongoose.Schema({
+    uri: { type: String, required: true }, // URI as listed in the master playlist
+    url: String,                           // Resolved absolute URL
+    mediaType: {
+        type: String,
+        enum: ['VIDEO', 'AUDIO', 'SUBTITLE', 'IFRAME'],
+        default: 'VIDEO'
+    },
+    groupId: String,                       // EXT-X-MEDIA GROUP-ID (renditions only)
+    language: String,
+    name: String,
+    bandwidth: Number,
+    averageBandwidth: Number,
+    resolution: String,
+    codecs: String,
+    audioGroup: String,                    // AUDIO group ID from the STREAM-INF
+    status: {
+        type: String,
+        enum: ['online', 'error', 'stale'],
+        default: 'online'
+    },
+    health: {
+        isStale: { type: Boolean, default: false },
+        lastManifestUpdate: { type: Date, default: null },
+        timeSinceLastUpdate: { type: Number, default: 0 },
+
+        mediaSequence: { type: Number, default: -1 },
+        previousMediaSequence: { type: Number, default: -1 },
+        sequenceJumps: { type: Number, default: 0 },
+        sequenceResets: { type: Number, default: 0 },
+
+        discontinuitySequence: { type: Number, default: 0 },
+        discontinuityCount: { type: Number, default: 0 },
+
+        segmentCount: { type: Number, default: 0 },
+        targetDuration: { type: Number, default: 0 },
+
+        // --- SEGMENT AVAILABILITY ---
+        segmentsProbed: { type: Number, default: 0 },
+        segmentFailures: { type: Number, default: 0 },
+        slowSegments: { type: Number, default: 0 },
+
+        // --- PROGRAM-DATE-TIME ---
+        liveLatency: { type: Number, default: null }, // ms the live edge is behind wall clock
+        pdtDrift: { type: Number, default: 0 },       // ms a segment's PDT moved between polls
+
+        totalErrors: { type: Number, default: 0 },
+        lastErrorTime: { type: Date, default: null }
+    },
+    // --- ENCRYPTION (EXT-X-KEY) ---
+    encryption: {
+        method: { type: String, default: 'NONE' }, // NONE, AES-128, SAMPLE-AES, ...
+        keyUri: String,           // Key URI of the newest segment
+        keyFormat: String,
+        rotations: { type: Number, default: 0 },
+        keyStatus: String,        // 'ok' or 'error' for the last key check
+        lastKeyCheck: Date
+    },
+    // --- SUBTITLES (WebVTT renditions only) ---
+    subtitles: {
+        segmentsChecked: { type: Number, default: 0 },
+        invalidSegments: { type: Number, default: 0 },
+        cueCount: Number,         // Cues in the newest segment
+        syncOffset: Number,       // s the cues of the last checked segment lie outside the matching video segment (0 = in sync)
+        lastSyncCheck: Date
+    },
+    // --- I-FRAMES (I-frame playlists only) ---
+    iframes: {
+        keyframeStatus: String,   // 'ok' or 'error' for the last sampled entry
+        lastSample: String,       // Entry (URI and byte range) of the last sample
+        lastKeyframeCheck: Date,
+        timelineLag: Number       // s behind the primary video's live edge (negative = ahead)
+    },
+    // --- INIT SEGMENT (EXT-X-MAP, fMP4/CMAF) ---
+    initSegment: {
+        format: { type: String, default: 'TS' }, // TS or fMP4
+        uri: String,              // Init segment of the newest segment, with byte range if any
+        size: Number,
+        status: String,           // 'ok' or 'error' for the last check
+        lastCheck: Date
+    },
+    // --- COMPLIANCE (declared STREAM-INF attributes vs. what is delivered) ---
+    compliance: {
+        measuredPeakBitrate: Number,    // bits/s, highest recent segment
+        measuredAverageBitrate: Number, // bits/s, mean over recent segments
+        segmentsMeasured: { type: Number, default: 0 },
+        probedCodecs: String,           // e.g. "h264 (High), aac (LC)" from the last ffprobe sample
+        probedResolution: String,
+        lastProbe: Date,
+        findings: [String]              // Current mismatch messages; empty when compliant
+    },
+    // --- LOW-LATENCY HLS (only set for playlists with EXT-X-PART-INF) ---
+    lowLatency: {
+        partTarget: Number,       // seconds
+        partHoldBack: Number,     // seconds
+        canBlockReload: Boolean,
+        partCount: Number,        // Parts of the segment currently being built
+        lastPartUri: String,
+        lastPartStatus: Number,   // HTTP status of the newest part
+        lastPartDownloadTime: Number, // ms
+        blockingWait: Number,     // ms a blocking reload waited for the next part
+        partGap: Number,          // ms between two consecutive parts being published
+        date: Date
+    },
+    // Most recently probed segment
+    lastSegment: {
+        uri: String,
+        status: Number,        // HTTP status (null if the request never got a response)
+        downloadTime: Number,  // ms
+        size: Number,          // bytes
+        duration: Number,      // EXTINF seconds
+        finalUrl: String,      // After redirects
+        timing: requestTiming,
+        edge: requestEdge,
+        date: Date
+    },
+    // Most recent playlist request
+    lastManifestRequest: {
+        status: Number,
+        finalUrl: String,      // After redirects - relative URIs in the playlist resolve against it
+        redirects: redirectHop,
+        timing: requestTiming,
+        edge: requestEdge,
+        date: Date
+    },
+    // Current response header findings (Content-Type, Cache-Control, CORS)
+    headerFindings: [String],
+    lastChecked: { type: Date, default: null }
+}, { _id: false });
+
 const StreamSchema = new mongoose.Schema({
     name: { type: String, required: true },
     url: { type: String, required: true, unique: true },
@@ -20,6 +215,57 @@ const StreamSchema = new mongoose.Schema({
         default: 'offline'
     },
 
+    // --- PER-STREAM REQUEST SETTINGS (workers/requestConfig.js) ---
+    // Applied to every fetch of the stream; secrets are masked in API responses
+    request: {
+        headers: [{ _id: false, name: String, value: String }], // e.g. Referer, User-Agent
+        cookies: { type: String, default: null },                // Cookie header value
+        auth: {
+            scheme: { type: String, enum: ['NONE', 'BASIC', 'BEARER'], default: 'NONE' },
+            username: String,
+            password: String,
+            token: String
+        },
+        proxy: { type: String, default: null },                  // http://[user:pass@]host:port
+        // Hook answering with a signed query string for expiring URLs
+        tokenRefresh: {
+            url: { type: String, default: null },
+            interval: { type: Number, default: 300 }             // s, unless the hook says
+        }
+    },
+
+    // --- PER-STREAM MONITORING SETTINGS ---
+    config: {
+        // How newly appearing segments are checked: full download, HEAD request, or not at all
+        segmentProbe: { type: String, enum: ['GET', 'HEAD', 'OFF'], default: 'GET' },
+        // Poll interval override in ms (null = one target duration)
+        pollInterval: { type: Number, default: null },
+        // Use LL-HLS mode (part checks, blocking reloads) when a playlist has EXT-X-PART-INF
+        lowLatency: { type: Boolean, default: true },
+        // Maximum acceptable live-edge latency in ms (null = no budget)
+        latencyBudget: { type: Number, default: 30000 },
+        // Status hysteresis: bad polls before 'error'/'stale', ms of failure before 'offline',
+        // good polls before 'online' again (null = defaults in workers/statusMachine.js)
+        failureThreshold: { type: Number, default: null },
+        offlineAfter: { type: Number, default: null },
+        recoveryThreshold: { type: Number, default: null },
+        // VOD or live checks: AUTO follows the playlist (PLAYLIST-TYPE:VOD or EXT-X-ENDLIST = VOD)
+        playlistMode: { type: String, enum: ['AUTO', 'LIVE', 'VOD'], default: 'AUTO' },
+        // ms of continuous black / frozen picture before a VIDEO error (null = never)
+        blackThreshold: { type: Number, default: 10000 },
+        freezeThreshold: { type: Number, default: 10000 },
+        // Loudness compliance: the standard sets target, tolerance and true-peak maximum;
+        // loudnessTarget overrides its target (LUFS, null = the standard's)
+        loudnessStandard: { type: String, enum: ['EBU_R128', 'ATSC_A85'], default: 'EBU_R128' },
+        loudnessTarget: { type: Number, default: null },
+        // Rolling window (ms) the short-term integrated loudness is measured over
+        loudnessWindow: { type: Number, default: 300000 },
+        // A/V sync: largest acceptable audio/video start offset, and largest change
+        // between consecutive segments, in ms (null = not checked)
+        avSyncTolerance: { type: Number, default: 120 },
+        avSyncJump: { type: Number, default: 80 }
+    },
+
     // --- EYEVINN HEALTH METRICS ---
     health: {
         isStale: { type: Boolean, default: false },
@@ -46,9 +292,32 @@ const StreamSchema = new mongoose.Schema({
         recentErrors: { type: Number, default: 0 },
         recentSequenceJumps: { type: Number, default: 0 },
         recentSequenceResets: { type: Number, default: 0 },
-        lastErrorTime: { type: Date, default: null }
+        lastErrorTime: { type: Date, default: null },
+
+        // --- LIVE EDGE (primary variant) ---
+        liveLatency: { type: Number, default: null },
+        pdtDrift: { type: Number, default: 0 },
+
+        // --- AD BREAKS (SCTE-35) ---
+        inAdBreak: { type: Boolean, default: false },
+
+        // --- SCHEDULING ---
+        pollInterval: { type: Number, default: 0 },       // Intended ms between polls
+        actualPollInterval: { type: Number, default: 0 }, // Measured ms between the last two polls
+        pollDrift: { type: Number, default: 0 },          // actual - intended
+
+        // --- STATUS STATE MACHINE (see workers/statusMachine.js) ---
+        consecutiveFailures: { type: Number, default: 0 },
+        consecutiveSuccesses: { type: Number, default: 0 },
+        failingSince: { type: Date, default: null },
+        lastStatusChange: { type: Date, default: null },
+        recentFlips: [Date],                              // Good <-> bad poll changes inside the flap window
+        isFlapping: { type: Boolean, default: false }
     },
 
+    // --- PER-VARIANT HEALTH ---
+    variants: [VariantSchema],
+
     // --- DEEP VIDEO/AUDIO STATS ---
     stats: {
         bandwidth: Number,
@@ -62,7 +331,12 @@ const StreamSchema = new mongoose.Schema({
             height: Number,
             pixFmt: String,
             colorSpace: String,
-            bitRate: Number
+            bitRate: Number,
+            // --- PICTURE CONTENT ---
+            isBlack: Boolean,         // Black picture at the end of the latest analyzed segment
+            isFrozen: Boolean,        // Frozen picture at the end of the latest analyzed segment
+            blackDuration: Number,    // s the ongoing black picture has lasted
+            frozenDuration: Number    // s the ongoing frozen picture has lasted
         },
         audio: {
             codec: String,
@@ -73,16 +347,89 @@ const StreamSchema = new mongoose.Schema({
             peakDb: Number,           // Peak decibel level
             avgDb: Number,            // Average decibel level
             channelLayout: String,    // Human-readable layout (Stereo, 5.1, etc.)
-            isSilent: Boolean         // Silence detection flag
+            isSilent: Boolean,        // Silence detection flag
+            // --- PER-CHANNEL (workers/audioChannels.js) ---
+            channelStats: [{ _id: false, name: String, rmsDb: Number, peakDb: Number, isSilent: Boolean }],
+            correlation: Number,      // L/R correlation, -1 (inverted) to +1 (identical)
+            phaseInverted: Boolean,   // L/R out of phase
+            dualMono: Boolean,        // L/R carry the same signal
+            // --- LOUDNESS (workers/loudness.js) ---
+            // Latest segment, then gated over the rolling window and the whole program.
+            // LUFS / LU / dBTP; duration is the measured (non-silent) seconds
+            loudness: {
+                integrated: Number,
+                range: Number,
+                truePeak: Number,
+                window: loudnessSummary,
+                program: { ...loudnessSummary, since: Date },
+                target: Number,
+                standard: String,
+                findings: [String],
+                date: Date
+            }
         },
         container: {
             formatName: String,
             duration: Number,
             size: Number,
             bitRate: Number
+        },
+        // Latest segment's audio/video start offset (ms, audio minus video - positive = audio
+        // later), audio minus video duration, and the change from the previous segment
+        avSync: {
+            offset: Number,
+            durationDelta: Number,
+            change: Number,
+            acrossDiscontinuity: Boolean,
+            sequence: Number,
+            date: Date
+        },
+        // Latest segment's bitrates (bps): size and elementary stream bytes over EXTINF
+        signal: {
+            totalBitrate: Number,
+            videoBitrate: Number,
+            audioBitrate: Number,
+            audioSource: { type: String, enum: ['segment', 'rendition'] }, // Where audioBitrate came from
+            declaredBandwidth: Number, // Variant's BANDWIDTH
+            videoLevel: Number,        // % of declaredBandwidth
+            audioLevel: Number,
+            date: Date
         }
     },
 
+    // --- ORIGIN (the stream URL's latest request) ---
+    origin: {
+        finalUrl: String,         // After redirects
+        redirects: redirectHop,
+        host: String,             // Host that served the playlist
+        cdn: String,              // CDN identified from the response headers
+        lastChange: Date          // Last time the host or CDN differed from the poll before
+    },
+
+    // --- VOD (summary of the latest deep crawl; full report in models/VodReport) ---
+    vod: {
+        isVod: { type: Boolean, default: false },
+        crawlStatus: String,      // 'running' or 'complete'
+        lastCrawl: Date,
+        completeness: Number,     // % of segments available and decodable
+        segments: Number,
+        issues: Number
+    },
+
+    // --- RFC 8216 CONFORMANCE ---
+    // Findings present in the latest playlists; each is logged as an error only when it first appears
+    lintFindings: [{
+        _id: false,
+        key: String,
+        rule: String,             // Rule ID, e.g. 'extinf-exceeds-target-duration'
+        severity: { type: String, enum: ['error', 'warning'] },
+        message: String,
+        line: Number,
+        variant: String,          // Variant URI (null for the master playlist)
+        firstSeen: Date,
+        lastSeen: Date
+    }],
+
     // --- ERROR LOG ---
     // NOTE: No cap anymore - relying on 7-day TTL in MetricsHistory for cleanup
     // Errors older than 7 days are cleaned by MongoDB TTL index automatically
@@ -91,7 +438,9 @@ const StreamSchema = new mongoose.Schema({
         date: { type: Date, default: Date.now },
         errorType: { type: String, enum: Object.values(ErrorTypes) },
         mediaType: String,
-        variant: String,
+        variant: String,       // URI of the variant the error came from (null for master-level errors)
+        language: String,      // Rendition language and name, for AUDIO/SUBTITLE errors
+        rendition: String,
         details: String,
         code: Number
     }],
@@ -124,5 +473,39 @@ StreamSchema.pre('save', function () {
     }
 });
 
+// Request settings as shown through the API: secret values replaced by SECRET_MASK.
+// Header values other than these few are treated as secrets.
+const SECRET_MASK = '********';
+const PUBLIC_HEADERS = ['user-agent', 'referer', 'origin', 'accept', 'accept-language'];
+
+function maskRequestSettings(request) {
+    const mask = value => (value ? SECRET_MASK : value);
+    const masked = {
+        ...request,
+        headers: (request.headers || []).map(header => ({
+            name: header.name,
+            value: PUBLIC_HEADERS.includes((header.name || '').toLowerCase()) ? header.value : mask(header.value)
+        })),
+        cookies: mask(request.cookies),
+        auth: request.auth && { ...request.auth, password: mask(request.auth.password), token: mask(request.auth.token) },
+        tokenRefresh: request.tokenRefresh && { ...request.tokenRefresh, url: mask(request.tokenRefresh.url) }
+    };
+    if (request.proxy) {
+        const proxy = new URL(request.proxy);
+        if (proxy.password) proxy.password = SECRET_MASK;
+        masked.proxy = proxy.toString();
+    }
+    return masked;
+}
+
+StreamSchema.set('toJSON', {
+    transform(doc, ret) {
+        if (ret.request) ret.request = maskRequestSettings(ret.request);
+        return ret;
+    }
+});
+
 module.exports = mongoose.model('Stream', StreamSchema);
 module.exports.ErrorTypes = ErrorTypes;
+module.exports.SECRET_MASK = SECRET_MASK;
+module.exports.maskRequestSettings = maskRequestSettings;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Which monitor worker currently checks a stream (distributed mode, see workers/leases.js)
+const StreamLeaseSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true,
+        unique: true
+    },
+    workerId: { type: String, required: true },
+    claimedAt: Date,   // When this worker took the stream over
+    expiresAt: Date    // Renewed by the owner; anyone may claim the stream after this
+});
+
+StreamLeaseSchema.index({ workerId: 1 });
+
+module.exports = mongoose.model('StreamLease', StreamLeaseSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Completeness report of the latest VOD deep crawl of a stream (see workers/vodCrawl.js)
+const VodReportSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['running', 'complete'],
+        default: 'running'
+    },
+    playlistHash: String, // Fingerprint of the crawled playlists - a changed VOD is crawled again
+    startedAt: Date,
+    completedAt: Date,
+    completeness: Number, // % of segments that are available and decode
+    totals: {
+        segments: { type: Number, default: 0 },
+        available: { type: Number, default: 0 },
+        decodable: { type: Number, default: 0 },
+        durationMismatches: { type: Number, default: 0 }
+    },
+    variants: [{
+        _id: false,
+        uri: String,
+        mediaType: String,
+        language: String,
+        name: String,
+        segments: Number,
+        available: Number,
+        decodable: Number,
+        durationMismatches: Number,
+        declaredDuration: Number, // s, sum of EXTINF
+        measuredDuration: Number, // s, sum of probed durations
+        issueCount: Number,       // All issues; only the first few are listed below
+        issues: [{
+            _id: false,
+            sequence: Number,
+            uri: String,
+            problem: { type: String, enum: ['unavailable', 'duration', 'undecodable'] },
+            details: String
+        }]
+    }]
+}, { timestamps: true });
+
+module.exports = mongoose.model('VodReport', VodReportSchema);
@@ -23,6 +23,25 @@ const Stream = require('./models/Stream');
 const AuditLog = require('./models/AuditLog');
 const Visitor = require('./models/Visitor');
 const MetricsHistory = require('./models/MetricsHistory');
+const AdBreak = require('./models/AdBreak');
+const StatusTransition = require('./models/StatusTransition');
+const VodReport = require('./models/VodReport');
+const StreamLease = require('./models/StreamLease');
+const MonitorWorker = require('./models/MonitorWorker');
+
+// Workers
+const { createPublisher, subscribe } = require('./workers/eventBus');
+const { createWorkerId, WORKER_TTL } = require('./workers/leases');
+const { deleteState } = require('./workers/monitorState');
+
+// MONITOR_MODE:
+//   single      - this process checks every stream (default)
+//   distributed - this process checks a share of the streams, alongside `node worker.js` workers
+//   off         - web only; streams are checked by workers
+// In the last two, socket events travel through MongoDB so every instance's clients get them.
+const MONITOR_MODE = process.env.MONITOR_MODE || 'single';
+const workerId = MONITOR_MODE === 'distributed' ? createWorkerId() : null;
+const events = MONITOR_MODE === 'single' ? io : createPublisher(workerId || 'web');
 
 // ===== SECURITY MIDDLEWARE =====
 
@@ -164,6 +183,171 @@ const validateStream = [
         .escape() // Sanitize HTML
 ];
 
+// Input validation for per-stream monitoring settings
+const validateStreamConfig = [
+    body('segmentProbe')
+        .optional()
+        .isIn(['GET', 'HEAD', 'OFF'])
+        .withMessage('segmentProbe must be GET, HEAD or OFF'),
+    body('pollInterval')
+        .optional({ values: 'null' })
+        .isInt({ min: 1000, max: 30000 })
+        .withMessage('pollInterval must be between 1000 and 30000 ms')
+        .toInt(),
+    body('lowLatency')
+        .optional()
+        .isBoolean()
+        .withMessage('lowLatency must be true or false')
+        .toBoolean(),
+    body('latencyBudget')
+        .optional({ values: 'null' })
+        .isInt({ min: 1000, max: 600000 })
+        .withMessage('latencyBudget must be between 1000 and 600000 ms')
+        .toInt(),
+    body('failureThreshold')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 20 })
+        .withMessage('failureThreshold must be between 1 and 20 polls')
+        .toInt(),
+    body('offlineAfter')
+        .optional({ values: 'null' })
+        .isInt({ min: 10000, max: 3600000 })
+        .withMessage('offlineAfter must be between 10000 and 3600000 ms')
+        .toInt(),
+    body('recoveryThreshold')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 20 })
+        .withMessage('recoveryThreshold must be between 1 and 20 polls')
+        .toInt(),
+    body('playlistMode')
+        .optional()
+        .isIn(['AUTO', 'LIVE', 'VOD'])
+        .withMessage('playlistMode must be AUTO, LIVE or VOD'),
+    body('blackThreshold')
+        .optional({ values: 'null' })
+        .isInt({ min: 1000, max: 3600000 })
+        .withMessage('blackThreshold must be between 1000 and 3600000 ms')
+        .toInt(),
+    body('freezeThreshold')
+        .optional({ values: 'null' })
+        .isInt({ min: 1000, max: 3600000 })
+        .withMessage('freezeThreshold must be between 1000 and 3600000 ms')
+        .toInt(),
+    body('loudnessStandard')
+        .optional()
+        .isIn(['EBU_R128', 'ATSC_A85'])
+        .withMessage('loudnessStandard must be EBU_R128 or ATSC_A85'),
+    body('loudnessTarget')
+        .optional({ values: 'null' })
+        .isFloat({ min: -40, max: -5 })
+        .withMessage('loudnessTarget must be between -40 and -5 LUFS')
+        .toFloat(),
+    body('loudnessWindow')
+        .optional()
+        .isInt({ min: 10000, max: 3600000 })
+        .withMessage('loudnessWindow must be between 10000 and 3600000 ms')
+        .toInt(),
+    body('avSyncTolerance')
+        .optional({ values: 'null' })
+        .isInt({ min: 10, max: 5000 })
+        .withMessage('avSyncTolerance must be between 10 and 5000 ms')
+        .toInt(),
+    body('avSyncJump')
+        .optional({ values: 'null' })
+        .isInt({ min: 10, max: 5000 })
+        .withMessage('avSyncJump must be between 10 and 5000 ms')
+        .toInt()
+];
+
+// Input validation for per-stream request settings. Values end up in HTTP
+// headers (and ffmpeg's -headers), so line breaks are refused.
+const HEADER_NAME = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+const SINGLE_LINE = /^[^\r\n]*$/;
+
+const validateRequestSettings = [
+    body('headers')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('headers must be a list of at most 20 { name, value } entries'),
+    body('headers.*.name')
+        .matches(HEADER_NAME)
+        .withMessage('Invalid header name'),
+    body('headers.*.value')
+        .isString()
+        .matches(SINGLE_LINE)
+        .isLength({ max: 4096 })
+        .withMessage('Header values must be single-line strings of at most 4096 characters'),
+    body('cookies')
+        .optional({ values: 'null' })
+        .isString()
+        .matches(SINGLE_LINE)
+        .isLength({ max: 4096 })
+        .withMessage('cookies must be a single-line string of at most 4096 characters'),
+    body('auth.scheme')
+        .optional()
+        .isIn(['NONE', 'BASIC', 'BEARER'])
+        .withMessage('auth.scheme must be NONE, BASIC or BEARER'),
+    body(['auth.username', 'auth.password', 'auth.token'])
+        .optional({ values: 'null' })
+        .isString()
+        .matches(SINGLE_LINE)
+        .isLength({ max: 4096 })
+        .withMessage('auth values must be single-line strings'),
+    body('proxy')
+        .optional({ values: 'null' })
+        .isURL({ protocols: ['http'], require_tld: false, require_protocol: true })
+        .withMessage('proxy must be an http:// URL'),
+    body('tokenRefresh.url')
+        .optional({ values: 'null' })
+        .isURL({ protocols: ['http', 'https'], require_tld: false, require_protocol: true })
+        .withMessage('tokenRefresh.url must be an http(s) URL'),
+    body('tokenRefresh.interval')
+        .optional()
+        .isInt({ min: 30, max: 86400 })
+        .withMessage('tokenRefresh.interval must be between 30 and 86400 s')
+        .toInt()
+];
+
+// Request settings from a PATCH body. API responses mask secrets, so a masked
+// value sent back means "unchanged" and keeps the stored one. Throws (-> 400)
+// when there is no stored value to keep, e.g. a masked header under a new name.
+function mergeRequestSettings(current, update) {
+    const masked = Stream.maskRequestSettings(current);
+    const keep = (value, storedValue, field) => {
+        if (value !== Stream.SECRET_MASK) return value;
+        if (storedValue == null) throw new Error(`${field} has no stored value to keep, send the actual value`);
+        return storedValue;
+    };
+    const merged = { ...current };
+
+    if (update.headers !== undefined) {
+        merged.headers = update.headers.map(({ name, value }) => {
+            const stored = (current.headers || []).find(header => header.name.toLowerCase() === name.toLowerCase());
+            return { name, value: keep(value, stored?.value, `Header ${name}`) };
+        });
+    }
+    if (update.cookies !== undefined) merged.cookies = keep(update.cookies, current.cookies, 'cookies');
+    if (update.auth !== undefined) {
+        merged.auth = {
+            ...current.auth,
+            ...update.auth,
+            password: keep(update.auth.password ?? current.auth?.password, current.auth?.password, 'auth.password'),
+            token: keep(update.auth.token ?? current.auth?.token, current.auth?.token, 'auth.token')
+        };
+    }
+    if (update.proxy !== undefined) {
+        merged.proxy = update.proxy && update.proxy === masked.proxy ? current.proxy : update.proxy;
+    }
+    if (update.tokenRefresh !== undefined) {
+        merged.tokenRefresh = {
+            ...current.tokenRefresh,
+            ...update.tokenRefresh,
+            url: keep(update.tokenRefresh.url ?? current.tokenRefresh?.url, current.tokenRefresh?.url, 'tokenRefresh.url')
+        };
+    }
+    return merged;
+}
+
 // Add stream (with rate limiting and validation)
 app.post('/api/streams', addStreamLimiter, validateStream, async (req, res) => {
     try {
@@ -181,7 +365,7 @@ app.post('/api/streams', addStreamLimiter, validateStream, async (req, res) => {
         await logAction('STREAM_ADDED', stream, req);
 
         // Emit real-time event
-        io.emit('stream:added', stream);
+        events.emit('stream:added', stream);
 
         res.status(201).json(stream);
     } catch (err) {
@@ -255,9 +439,17 @@ app.delete('/api/streams/:id', validateObjectId, async (req, res) => {
         await logAction('STREAM_DELETED', stream, req);
 
         await Stream.findByIdAndDelete(req.params.id);
+        // Everything else recorded for the stream
+        await Promise.all([
+            VodReport.deleteOne({ streamId: req.params.id }),
+            AdBreak.deleteMany({ streamId: req.params.id }),
+            StatusTransition.deleteMany({ streamId: req.params.id }),
+            StreamLease.deleteOne({ streamId: req.params.id }),
+            deleteState(req.params.id)
+        ]);
 
         // Emit real-time event
-        io.emit('stream:deleted', req.params.id);
+        events.emit('stream:deleted', req.params.id);
 
         res.json({ message: 'Stream deleted' });
     } catch (err) {
@@ -265,6 +457,71 @@ app.delete('/api/streams/:id', validateObjectId, async (req, res) => {
     }
 });
 
+// Update per-stream monitoring settings
+app.patch('/api/streams/:id/config', validateObjectId, validateStreamConfig, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const stream = await Stream.findById(req.params.id).select('-streamErrors');
+        if (!stream) return res.status(404).json({ error: 'Not found' });
+
+        // Only copy known settings - anything else in the body is ignored
+        const changed = [];
+        for (const key of Object.keys(Stream.schema.tree.config)) {
+            if (req.body[key] !== undefined) {
+                stream.config[key] = req.body[key];
+                changed.push(key);
+            }
+        }
+        await stream.save();
+
+        await logAction('STREAM_CONFIG_UPDATED', {
+            ...stream.toObject(),
+            details: `Updated settings: ${changed.join(', ') || 'none'}`
+        }, req);
+
+        events.emit('stream:update', stream);
+
+        res.json(stream);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Update per-stream request settings (headers, cookies, auth, proxy, token refresh hook)
+app.patch('/api/streams/:id/request', validateObjectId, validateRequestSettings, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const stream = await Stream.findById(req.params.id).select('-streamErrors');
+        if (!stream) return res.status(404).json({ error: 'Not found' });
+
+        const fields = ['headers', 'cookies', 'auth', 'proxy', 'tokenRefresh'];
+        const changed = fields.filter(field => req.body[field] !== undefined);
+        const update = Object.fromEntries(changed.map(field => [field, req.body[field]]));
+        stream.request = mergeRequestSettings(stream.toObject().request || {}, update);
+        await stream.save();
+
+        // Field names only - the values may be credentials
+        await logAction('STREAM_REQUEST_UPDATED', {
+            ...stream.toObject(),
+            details: `Updated request settings: ${changed.join(', ') || 'none'}`
+        }, req);
+
+        events.emit('stream:update', stream);
+
+        res.json(stream);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
 // Get available log dates (last 7 days)
 app.get('/api/streams/:id/logs/dates', validateObjectId, async (req, res) => {
     try {
@@ -331,7 +588,8 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
 📺 STREAM INFORMATION
 ─────────────────────────────────────────────────────────────────────
   Name:           ${stream.name}
-  URL:            ${stream.url}
+  URL:            ${stream.url}${stream.origin?.finalUrl ? `
+  Served By:      ${stream.origin.host}${stream.origin.cdn ? ` (${stream.origin.cdn})` : ''}${stream.origin.redirects?.length ? ` after ${stream.origin.redirects.length} redirect(s)` : ''}` : ''}
   Status:         ${stream.status?.toUpperCase() || 'UNKNOWN'}
   Export Date:    ${new Date().toLocaleString()}
   Log Period:     ${dateTitle}
@@ -342,7 +600,8 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
   Media Sequence:     ${health.mediaSequence ?? 'N/A'}
   Segment Count:      ${health.segmentCount ?? 'N/A'}
   Target Duration:    ${health.targetDuration ? health.targetDuration + 's' : 'N/A'}
-  Playlist Type:      ${health.playlistType || 'N/A'}
+  Playlist Type:      ${health.playlistType || 'N/A'}${stream.vod?.isVod ? `
+  VOD Crawl:          ${stream.vod.crawlStatus === 'complete' ? `${stream.vod.completeness}% complete, ${stream.vod.issues} issue(s) (${new Date(stream.vod.lastCrawl).toLocaleString()})` : stream.vod.crawlStatus || 'pending'}` : ''}
   
   Sequence Jumps:     ${health.sequenceJumps ?? 0}
   Sequence Resets:    ${health.sequenceResets ?? 0}
@@ -359,6 +618,7 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
   Pixel Format:   ${stats.video?.pixFmt || 'N/A'}
   Color Space:    ${stats.video?.colorSpace || 'N/A'}
   Video Bitrate:  ${stats.video?.bitRate ? (stats.video.bitRate / 1000).toFixed(0) + ' kbps' : 'N/A'}
+  Picture:        ${stats.video?.isBlack ? `Black for ${stats.video.blackDuration}s` : stats.video?.isFrozen ? `Frozen for ${stats.video.frozenDuration}s` : 'OK'}
 
 🔊 AUDIO STREAM
 ─────────────────────────────────────────────────────────────────────
@@ -366,6 +626,12 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
   Channels:       ${stats.audio?.channels || 'N/A'}
   Sample Rate:    ${stats.audio?.sampleRate ? stats.audio.sampleRate + ' Hz' : 'N/A'}
   Audio Bitrate:  ${stats.audio?.bitRate ? (stats.audio.bitRate / 1000).toFixed(0) + ' kbps' : 'N/A'}
+  Loudness:       ${stats.audio?.loudness?.window?.integrated != null ? `${stats.audio.loudness.window.integrated} LUFS window, ${stats.audio.loudness.program?.integrated ?? 'N/A'} LUFS program (target ${stats.audio.loudness.target} LUFS)` : 'N/A'}
+  True Peak:      ${stats.audio?.loudness?.window?.truePeak != null ? stats.audio.loudness.window.truePeak + ' dBTP' : 'N/A'}
+  Loudness Range: ${stats.audio?.loudness?.program?.range != null ? stats.audio.loudness.program.range + ' LU' : 'N/A'}
+  Channel Levels: ${stats.audio?.channelStats?.length ? stats.audio.channelStats.map(c => `${c.name} ${c.rmsDb ?? '-inf'} dB${c.isSilent ? ' (silent)' : ''}`).join(', ') : 'N/A'}
+  A/V Offset:     ${stats.avSync?.offset != null ? `${stats.avSync.offset > 0 ? '+' : ''}${stats.avSync.offset} ms (audio minus video)` : 'N/A'}
+  Correlation:    ${stats.audio?.correlation != null ? `${stats.audio.correlation}${stats.audio.phaseInverted ? ' (out of phase)' : stats.audio.dualMono ? ' (dual mono)' : ''}` : 'N/A'}
 
 📦 CONTAINER INFO
 ─────────────────────────────────────────────────────────────────────
@@ -375,6 +641,12 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
   Total Bitrate:  ${stats.container?.bitRate ? (stats.container.bitRate / 1000).toFixed(0) + ' kbps' : 'N/A'}
   Bandwidth:      ${stats.bandwidth ? (stats.bandwidth / 1000000).toFixed(2) + ' Mbps' : 'N/A'}
 
+📶 VARIANTS (${(stream.variants || []).length})
+─────────────────────────────────────────────────────────────────────
+${(stream.variants || []).map(v => `  ${v.uri}${v.mediaType && v.mediaType !== 'VIDEO' ? ` [${v.mediaType} ${v.name || ''}${v.language ? ` (${v.language})` : ''}]` : ''}
+      Status: ${v.status?.toUpperCase() || 'N/A'}   Bandwidth: ${v.bandwidth ? (v.bandwidth / 1000).toFixed(0) + ' kbps' : 'N/A'}   Resolution: ${v.resolution || 'N/A'}
+      Media Sequence: ${v.health?.mediaSequence ?? 'N/A'}   Segments: ${v.health?.segmentCount ?? 'N/A'}   Errors: ${v.health?.totalErrors ?? 0}`).join('\n') || '  No variants recorded'}
+
 📅 TIMESTAMPS
 ─────────────────────────────────────────────────────────────────────
   Created:        ${stream.createdAt ? new Date(stream.createdAt).toLocaleString() : 'N/A'}
@@ -394,6 +666,8 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
       Time:    ${err.date ? new Date(err.date).toLocaleString() : 'N/A'}
       Details: ${err.details || 'No details'}
       Type:    ${err.mediaType || 'N/A'}
+      Variant: ${err.variant || 'N/A'}${err.rendition ? `
+      Rendition: ${err.rendition}${err.language ? ` (${err.language})` : ''}` : ''}
 `;
             });
         } else {
@@ -452,6 +726,119 @@ app.get('/api/streams/:id/metrics', validateObjectId, async (req, res) => {
     }
 });
 
+// ===== AD BREAK ROUTES =====
+
+// Get recent ad breaks for a stream (newest first)
+app.get('/api/streams/:id/ad-breaks', validateObjectId, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+        const breaks = await AdBreak.find({ streamId: req.params.id })
+            .sort({ startedAt: -1 })
+            .limit(limit)
+            .lean();
+
+        res.json(breaks);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== CONFORMANCE ROUTES =====
+
+// Current RFC 8216 lint findings for a stream (optionally ?severity=error|warning)
+app.get('/api/streams/:id/lint', validateObjectId, async (req, res) => {
+    try {
+        const stream = await Stream.findById(req.params.id).select('lintFindings').lean();
+        if (!stream) return res.status(404).json({ error: 'Not found' });
+
+        const findings = (stream.lintFindings || [])
+            .filter(finding => !req.query.severity || finding.severity === req.query.severity);
+
+        res.json({
+            errors: findings.filter(finding => finding.severity === 'error').length,
+            warnings: findings.filter(finding => finding.severity === 'warning').length,
+            findings
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== VOD ROUTES =====
+
+// Get the completeness report of the latest VOD deep crawl
+app.get('/api/streams/:id/vod-report', validateObjectId, async (req, res) => {
+    try {
+        const report = await VodReport.findOne({ streamId: req.params.id }).lean();
+        if (!report) return res.status(404).json({ error: 'No VOD crawl for this stream' });
+        res.json(report);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== STATUS HISTORY ROUTES =====
+
+// Get recent status transitions for a stream (newest first)
+app.get('/api/streams/:id/status-history', validateObjectId, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+        const transitions = await StatusTransition.find({ streamId: req.params.id })
+            .sort({ date: -1 })
+            .limit(limit)
+            .lean();
+
+        res.json(transitions);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== MONITOR ROUTES =====
+
+// Which worker checks which stream (distributed mode)
+app.get('/api/monitor/status', async (req, res) => {
+    try {
+        const now = Date.now();
+        const [streams, leases, workers] = await Promise.all([
+            Stream.find().select('name status').lean(),
+            StreamLease.find().lean(),
+            MonitorWorker.find().sort({ startedAt: 1 }).lean()
+        ]);
+
+        const names = new Map(streams.map(s => [s._id.toString(), s]));
+        const leaseOf = new Map(leases
+            .filter(lease => new Date(lease.expiresAt).getTime() > now)
+            .map(lease => [lease.streamId.toString(), lease]));
+
+        const describe = (id) => ({ id, name: names.get(id)?.name, status: names.get(id)?.status });
+
+        res.json({
+            mode: MONITOR_MODE,
+            workers: workers.map(worker => ({
+                workerId: worker.workerId,
+                host: worker.host,
+                pid: worker.pid,
+                startedAt: worker.startedAt,
+                lastHeartbeat: worker.lastHeartbeat,
+                alive: now - new Date(worker.lastHeartbeat).getTime() < WORKER_TTL,
+                streams: [...leaseOf.values()]
+                    .filter(lease => lease.workerId === worker.workerId && names.has(lease.streamId.toString()))
+                    .map(lease => ({ ...describe(lease.streamId.toString()), claimedAt: lease.claimedAt, expiresAt: lease.expiresAt }))
+            })),
+            // Streams nobody holds a live lease on (always all of them in single mode)
+            unassigned: streams
+                .map(s => s._id.toString())
+                .filter(id => !leaseOf.has(id))
+                .map(describe)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // ===== AUDIT LOG ROUTES =====
 
 // Get all audit logs
@@ -574,7 +961,22 @@ io.on('connection', (socket) => {
 });
 
 // Start Workers
-require('./workers/monitor')(io);
+if (MONITOR_MODE !== 'single') subscribe(io);
+const monitor = MONITOR_MODE === 'off' ? null : require('./workers/monitor')(events, { workerId });
+
+// Hand our streams to the other workers right away on shutdown
+if (workerId) {
+    const stop = async () => {
+        try {
+            await monitor.shutdown();
+        } catch (err) {
+            console.error('[MONITOR] Shutdown error:', err.message);
+        }
+        process.exit(0);
+    };
+    process.on('SIGTERM', stop);
+    process.on('SIGINT', stop);
+}
 
 // SPA fallback - serve index.html for all non-API routes
 app.use((req, res, next) => {
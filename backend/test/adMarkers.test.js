@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const m3u8Parser = require('m3u8-parser');
+const { createAdState, trackAdMarkers, parseCueOutDuration, parseCueOutCont } = require('../workers/adMarkers');
+
+// Parsed like workers/monitor.js fetchManifest does
+function parseFixture(name) {
+    const parser = new m3u8Parser.Parser();
+    parser.push(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+    parser.end();
+    return parser.manifest;
+}
+
+const START = Date.parse('2026-01-01T00:00:00.000Z');
+const types = events => events.map(event => event.type);
+
+test('CUE-OUT durations and CUE-OUT-CONT progress are parsed in both notations', () => {
+    assert.equal(parseCueOutDuration('30'), 30);
+    assert.equal(parseCueOutDuration('DURATION=15.5'), 15.5);
+    assert.equal(parseCueOutDuration(null), null);
+    assert.deepEqual(parseCueOutCont('6/30'), { elapsed: 6, duration: 30 });
+    assert.deepEqual(parseCueOutCont('ElapsedTime=4,Duration=30'), { elapsed: 4, duration: 30 });
+});
+
+test('a CUE-OUT ... CUE-IN break starts and ends on its segments', () => {
+    const state = createAdState();
+    const events = trackAdMarkers(parseFixture('ads-cue.m3u8'), state, START + 60000);
+
+    assert.deepEqual(types(events), ['start', 'end']);
+    const brk = events[0].break;
+    assert.equal(brk.source, 'CUE');
+    assert.equal(brk.plannedDuration, 12);
+    assert.equal(brk.actualDuration, 12);
+    assert.equal(brk.status, 'closed');
+    assert.equal(brk.startedAt.getTime(), START + 6000);
+    assert.equal(brk.endedAt.getTime(), START + 18000);
+    assert.equal(state.open, null);
+    assert.equal(state.lastSequence, 103);
+});
+
+test('segments seen on an earlier poll are not processed again', () => {
+    const state = createAdState();
+    const manifest = parseFixture('ads-cue.m3u8');
+    trackAdMarkers(manifest, state, START + 60000);
+    assert.deepEqual(trackAdMarkers(manifest, state, START + 66000), []);
+});
+
+test('joining mid-break opens it from CUE-OUT-CONT and reports the overrun once', () => {
+    const state = createAdState();
+    const events = trackAdMarkers(parseFixture('ads-cue-joined.m3u8'), state, START + 60000);
+
+    assert.deepEqual(types(events), ['start', 'overrun']);
+    const brk = events[0].break;
+    assert.equal(brk.plannedDuration, 15);
+    assert.equal(brk.actualDuration, 24); // 12 s elapsed before the window, then two segments
+    assert.equal(brk.startedAt.getTime(), START - 12000);
+    assert.equal(brk.overrunReported, true);
+    assert.equal(state.open, brk);
+});
+
+test('a DATERANGE break closes when a SCTE35-IN range appears under its own ID', () => {
+    const state = createAdState();
+    const opened = trackAdMarkers(parseFixture('ads-daterange.m3u8'), state, START + 20000);
+    assert.deepEqual(types(opened), ['start']);
+    const brk = opened[0].break;
+    assert.equal(brk.source, 'DATERANGE');
+    assert.equal(brk.rangeId, 'splice-1');
+    assert.equal(brk.status, 'open');
+    assert.equal(brk.actualDuration, 14);
+
+    const closed = trackAdMarkers(parseFixture('ads-daterange-in.m3u8'), state, START + 36000);
+    assert.deepEqual(types(closed), ['end']);
+    assert.equal(closed[0].break, brk);
+    assert.equal(brk.status, 'closed');
+    assert.equal(brk.actualDuration, 30);
+});
+
+test('a DATERANGE break that leaves the playlist without SCTE35-IN is unterminated', () => {
+    const state = createAdState();
+    trackAdMarkers(parseFixture('ads-daterange.m3u8'), state, START + 20000);
+
+    const events = trackAdMarkers(parseFixture('media-valid.m3u8'), state, START + 80000);
+    assert.deepEqual(types(events), ['unterminated']);
+    assert.equal(events[0].break.status, 'unterminated');
+    assert.equal(state.dateRanges.size, 0);
+});
+
+test('a CUE-OUT break whose markers stop past its planned end is unterminated on that poll', () => {
+    const state = createAdState();
+    const manifest = parseFixture('ads-cue-unterminated.m3u8');
+    const opened = trackAdMarkers({ ...manifest, segments: manifest.segments.slice(0, 3) }, state, START + 20000);
+    assert.deepEqual(types(opened), ['start']);
+    const brk = opened[0].break;
+
+    // No further CUE-OUT needed: segment 703 ends at 24 s, past 6 s + 12 s + tolerance
+    const events = trackAdMarkers(manifest, state, START + 32000);
+    assert.deepEqual(types(events), ['unterminated']);
+    assert.equal(events[0].break, brk);
+    assert.equal(brk.status, 'unterminated');
+    assert.equal(brk.endedAt.getTime(), START + 18000);
+    assert.equal(brk.actualDuration, 12);
+    assert.equal(state.open, null);
+});
+
+test('a CUE-OUT and a SCTE35-OUT at the same segment are one break', () => {
+    const state = createAdState();
+    const events = trackAdMarkers(parseFixture('ads-merged.m3u8'), state, START + 60000);
+
+    assert.deepEqual(types(events), ['start', 'end', 'merged']);
+    assert.ok(events.every(event => event.break === events[0].break));
+    const brk = events[0].break;
+    assert.equal(brk.source, 'CUE+DATERANGE');
+    assert.equal(brk.rangeId, 'splice-2');
+    assert.equal(state.lastCue, brk);
+    assert.equal(brk.status, 'closed');
+    assert.equal(brk.actualDuration, 12);
+
+    // The range leaving the playlist doesn't end the break a second time
+    assert.deepEqual(trackAdMarkers(parseFixture('media-valid.m3u8'), state, START + 120000), []);
+});
+
+test('a SCTE35-OUT announced ahead of its CUE-OUT segment is merged into it', () => {
+    const state = createAdState();
+    const announced = trackAdMarkers(parseFixture('ads-announced.m3u8'), state, START + 10000);
+    assert.deepEqual(types(announced), ['start']);
+    const brk = announced[0].break;
+    assert.equal(brk.source, 'DATERANGE');
+
+    const events = trackAdMarkers(parseFixture('ads-announced-cue.m3u8'), state, START + 30000);
+    assert.deepEqual(types(events), ['merged', 'end']);
+    assert.ok(events.every(event => event.break === brk));
+    assert.equal(brk.source, 'CUE+DATERANGE');
+    assert.equal(brk.plannedDuration, 12);
+    assert.equal(brk.actualDuration, 12);
+    assert.equal(brk.startedAt.getTime(), START + 12000);
+    assert.equal(state.lastCue, brk);
+});
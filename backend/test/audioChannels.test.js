@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getChannelFilter, parseChannelStats, findChannelIssues } = require('../workers/audioChannels');
+
+// astats log lines for channels given as [peak dB, RMS dB], then the overall block
+function astats(channels) {
+    const line = text => `[Parsed_astats_1 @ 0x55d1] ${text}`;
+    return [
+        ...channels.flatMap(([peak, rms], i) => [
+            line(`Channel: ${i + 1}`),
+            line('DC offset: 0.000012'),
+            line(`Peak level dB: ${peak}`),
+            line(`RMS level dB: ${rms}`)
+        ]),
+        line('Overall'),
+        line('Peak level dB: -1.0'),
+        line('RMS level dB: -10.0')
+    ];
+}
+
+const keys = findings => findings.map(finding => finding.key);
+
+test('the filter adds the mid and side of the first two channels', () => {
+    assert.equal(getChannelFilter(1), 'astats');
+    assert.equal(getChannelFilter(2), 'pan=4c|c0=c0|c1=c1|c2=0.5*c0+0.5*c1|c3=0.5*c0-0.5*c1,astats');
+});
+
+test('ordinary stereo has levels per channel, a positive correlation and no issues', () => {
+    const stats = parseChannelStats(astats([[-6.04, -20], [-6.5, -20.26], [-7, -21], [-12, -30]]), 2);
+    assert.deepEqual(stats.channels, [
+        { name: 'L', rmsDb: -20, peakDb: -6, isSilent: false },
+        { name: 'R', rmsDb: -20.3, peakDb: -6.5, isSilent: false }
+    ]);
+    assert.equal(stats.correlation, 0.776);
+    assert.equal(stats.phaseInverted, false);
+    assert.equal(stats.dualMono, false);
+    assert.deepEqual(findChannelIssues(stats), []);
+});
+
+test('an inverted channel and duplicated mono are reported', () => {
+    const inverted = parseChannelStats(astats([[-6, -20], [-6, -20], [-30, -40], [-6, -20]]), 2);
+    assert.equal(inverted.correlation, -0.98);
+    assert.deepEqual(keys(findChannelIssues(inverted)), ['phase']);
+
+    const mono = parseChannelStats(astats([[-6, -20], [-6, -20], [-6, -20], ['-inf', '-inf']]), 2);
+    assert.equal(mono.correlation, 1);
+    assert.deepEqual(keys(findChannelIssues(mono)), ['mono']);
+});
+
+test('a silent channel is reported, but not a silent LFE or an all-silent mix', () => {
+    const active = [-6, -20];
+    const stats = parseChannelStats(astats([active, active, ['-inf', '-inf'], [-60, -70], active, active, [-7, -21], [-12, -30]]), 6);
+    assert.deepEqual(stats.channels.map(channel => channel.name), ['L', 'R', 'C', 'LFE', 'Ls', 'Rs']);
+    assert.equal(stats.channels[2].peakDb, null);
+
+    const findings = findChannelIssues(stats);
+    assert.deepEqual(keys(findings), ['silence:C']);
+    assert.match(findings[0].details, /peak -inf/);
+
+    const silent = parseChannelStats(astats([['-inf', '-inf'], ['-inf', '-inf'], ['-inf', '-inf'], ['-inf', '-inf']]), 2);
+    assert.equal(silent.correlation, null);
+    assert.deepEqual(findChannelIssues(silent), []);
+});
+
+test('mono has no correlation, and missing channels mean no stats', () => {
+    const mono = parseChannelStats(astats([[-6, -20]]), 1);
+    assert.deepEqual(mono.channels.map(channel => channel.name), ['C']);
+    assert.equal(mono.correlation, null);
+
+    assert.equal(parseChannelStats(astats([[-6, -20], [-6, -20]]), 2), null);
+    assert.equal(findChannelIssues(null).length, 0);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { measureAvOffset, createSyncState, trackAvSync } = require('../workers/avSync');
+
+const LIMITS = { tolerance: 100, jump: 80 };
+const segment = (sequence, offset, timeline = 0) => ({ sequence, timeline, avSync: { offset } });
+const rules = result => result.findings.map(finding => finding.rule);
+
+test('the offset is audio start minus video start, in ms', () => {
+    const measured = measureAvOffset(
+        { start_time: '10.000000', duration: '6.006000' },
+        { start_time: '10.040000', duration: '5.994667' }
+    );
+    assert.deepEqual(measured, { offset: 40, durationDelta: -11, videoStart: 10, audioStart: 10.04 });
+});
+
+test('an offset across a 33-bit PTS wrap is corrected', () => {
+    const wrap = Math.pow(2, 33) / 90000;
+    const measured = measureAvOffset({ start_time: String(wrap - 0.02) }, { start_time: '0.01' });
+    assert.equal(measured.offset, 30);
+    assert.equal(measured.durationDelta, null);
+});
+
+test('without both streams nothing is measured', () => {
+    assert.equal(measureAvOffset({ start_time: '1' }, undefined), null);
+    assert.equal(measureAvOffset({ start_time: '1' }, { start_time: 'N/A' }), null);
+});
+
+test('an offset beyond the tolerance is a finding', () => {
+    const state = createSyncState();
+    assert.deepEqual(rules(trackAvSync(state, segment(1, 60), LIMITS)), []);
+    const result = trackAvSync(state, segment(2, -120), LIMITS);
+    assert.deepEqual(rules(result), ['offset', 'jump']);
+    assert.match(result.findings[0].details, /120 ms ahead of video/);
+    assert.equal(result.change, -180);
+});
+
+test('a sudden change is reported, and flagged when it crosses a discontinuity', () => {
+    const state = createSyncState();
+    trackAvSync(state, segment(1, 0), LIMITS);
+    assert.deepEqual(rules(trackAvSync(state, segment(2, 50), LIMITS)), []);
+
+    const result = trackAvSync(state, segment(3, -40, 1), LIMITS);
+    assert.deepEqual(rules(result), ['jump']);
+    assert.equal(result.acrossDiscontinuity, true);
+    assert.match(result.findings[0].details, /across a discontinuity/);
+});
+
+test('offsets are not compared across long gaps or a sequence reset', () => {
+    const state = createSyncState();
+    trackAvSync(state, segment(10, 0), LIMITS);
+    assert.equal(trackAvSync(state, segment(15, 90), LIMITS).change, null);
+    assert.equal(trackAvSync(state, segment(1, 0), LIMITS).change, null);
+    assert.equal(trackAvSync(state, segment(4, 90), LIMITS).change, 90); // 2 segments skipped
+});
+
+test('a segment seen before is skipped and limits can be turned off', () => {
+    const state = createSyncState();
+    trackAvSync(state, segment(1, 500), { tolerance: null, jump: null });
+    assert.equal(trackAvSync(state, segment(1, 500), LIMITS), null);
+    assert.deepEqual(rules(trackAvSync(state, segment(2, -500), { tolerance: null, jump: null })), []);
+});
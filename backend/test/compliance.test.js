@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCodecs, measureBitrates, checkBitrates, checkProbe } = require('../workers/compliance');
+
+const keys = findings => findings.map(finding => finding.key);
+const video = (profile, level, width = 1280, height = 720) => ({ codec_type: 'video', codec_name: 'h264', profile, level, width, height });
+const audio = { codec_type: 'audio', codec_name: 'aac', profile: 'LC' };
+
+test('CODECS entries are mapped to ffprobe codec, profile and level', () => {
+    const [avc, aac] = parseCodecs('avc1.4d401f, mp4a.40.2');
+    assert.deepEqual(avc, { raw: 'avc1.4d401f', type: 'video', codec: 'h264', profiles: ['Main'], level: 31 });
+    assert.deepEqual(aac, { raw: 'mp4a.40.2', type: 'audio', codec: 'aac', profiles: ['LC'], level: null });
+
+    const [hevc, mp3, unknown] = parseCodecs('hvc1.2.4.L153.B0,mp4a.40.34,xyz1.1');
+    assert.deepEqual([hevc.codec, hevc.profiles, hevc.level], ['hevc', ['Main 10'], 153]);
+    assert.equal(mp3.codec, 'mp3');
+    assert.deepEqual([unknown.type, unknown.codec], [null, 'xyz1']);
+    assert.deepEqual(parseCodecs(undefined), []);
+});
+
+test('segment bitrates over BANDWIDTH and AVERAGE-BANDWIDTH are findings', () => {
+    const measured = measureBitrates([700000, 1200000, 800000]);
+    assert.deepEqual(measured, { peak: 1200000, average: 900000 });
+
+    const findings = checkBitrates({ bandwidth: 1000000, averageBandwidth: 800000 }, measured);
+    assert.deepEqual(keys(findings), ['bitrate:peak', 'bitrate:average']);
+    assert.match(findings[1].details, /exceeds AVERAGE-BANDWIDTH 800kbps/);
+
+    // Within the 10% tolerance, and nothing to compare without measurements
+    assert.deepEqual(checkBitrates({ bandwidth: 1100000 }, measured), []);
+    assert.equal(measureBitrates([]), null);
+    assert.deepEqual(checkBitrates({ bandwidth: 1000000 }, null), []);
+});
+
+test('a segment matching CODECS and RESOLUTION has no findings', () => {
+    assert.deepEqual(checkProbe({ codecs: 'avc1.4d401f,mp4a.40.2', resolution: '1280x720' }, [video('Main', 31), audio]), []);
+});
+
+test('profile, level and resolution mismatches are reported', () => {
+    const findings = checkProbe({ codecs: 'avc1.64001f,mp4a.40.2', resolution: '1280x720' }, [video('Main', 40, 1920, 1080), audio]);
+    assert.deepEqual(keys(findings), ['profile:avc1.64001f', 'level:avc1.64001f', 'resolution']);
+    assert.match(findings[2].details, /segment is 1920x1080/);
+});
+
+test('a declared audio codec may be missing when the variant has an AUDIO group', () => {
+    const declared = { codecs: 'avc1.4d401f,mp4a.40.2' };
+    assert.deepEqual(checkProbe({ ...declared, audioGroup: 'aac' }, [video('Main', 31)]), []);
+
+    const findings = checkProbe(declared, [video('Main', 31)]);
+    assert.deepEqual(keys(findings), ['codec:mp4a.40.2']);
+    assert.match(findings[0].details, /the segment has no audio/);
+});
+
+test('a stream that CODECS does not declare is reported', () => {
+    assert.deepEqual(keys(checkProbe({ codecs: 'avc1.4d401f' }, [video('Main', 31), audio])), ['undeclared:audio']);
+});
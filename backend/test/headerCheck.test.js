@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { checkPlaylistHeaders, checkSegmentHeaders } = require('../workers/headerCheck');
+const { timedRequest, getEdge } = require('../workers/httpTiming');
+
+const CORS = { 'access-control-allow-origin': '*' };
+const keys = findings => findings.map(finding => finding.key);
+
+test('a live playlist served with the right headers has no findings', () => {
+    const headers = { 'content-type': 'application/vnd.apple.mpegurl; charset=utf-8', 'cache-control': 'public, max-age=2', ...CORS };
+    assert.deepEqual(checkPlaylistHeaders(headers, { live: true, targetDuration: 6 }), []);
+});
+
+test('playlist Content-Type, caching and CORS problems are findings', () => {
+    const findings = checkPlaylistHeaders({ 'content-type': 'text/plain', 'cache-control': 'max-age=60, s-maxage=30' }, { live: true, targetDuration: 6 });
+    assert.deepEqual(keys(findings), ['content-type', 'cache-control', 'cors']);
+    assert.match(findings[0].details, /"text\/plain"/);
+    assert.match(findings[1].details, /cacheable for 30s/);
+
+    assert.deepEqual(keys(checkPlaylistHeaders({ 'content-type': 'audio/mpegurl', ...CORS }, { live: true })), ['cache-control']);
+    assert.deepEqual(checkPlaylistHeaders({ 'content-type': 'audio/mpegurl', 'cache-control': 'no-cache', ...CORS }, { live: true, targetDuration: 6 }), []);
+    // VOD playlists may be cached for as long as the origin likes
+    assert.deepEqual(checkPlaylistHeaders({ 'content-type': 'application/x-mpegurl', ...CORS }), []);
+});
+
+test('segment Content-Type is checked against the extension', () => {
+    assert.deepEqual(checkSegmentHeaders('https://cdn.test/seg1.ts?token=1', { 'content-type': 'video/MP2T', ...CORS }), []);
+    assert.deepEqual(checkSegmentHeaders('https://cdn.test/init.m4s', { 'content-type': 'audio/mp4', ...CORS }), []);
+
+    const findings = checkSegmentHeaders('https://cdn.test/seg1.ts', {});
+    assert.deepEqual(keys(findings), ['segment-content-type', 'segment-cors']);
+    assert.match(findings[0].details, /"missing", expected video\/mp2t/);
+
+    // Unknown extensions are left alone
+    assert.deepEqual(checkSegmentHeaders('https://cdn.test/segment/1', { 'content-type': 'application/octet-stream', ...CORS }), []);
+});
+
+test('the CDN edge is read from the cache headers', () => {
+    assert.deepEqual(getEdge({ via: '1.1 abc.cloudfront.net (CloudFront)', 'x-cache': 'Hit from cloudfront', age: '12' }), {
+        via: '1.1 abc.cloudfront.net (CloudFront)', cache: 'Hit from cloudfront', age: 12, cdn: 'CloudFront'
+    });
+    assert.equal(getEdge({ 'cf-ray': '1-AMS', 'cf-cache-status': 'MISS' }).cdn, 'Cloudflare');
+    assert.equal(getEdge({ 'x-served-by': 'cache-ams21' }).cdn, 'Fastly');
+    assert.deepEqual(getEdge(), { via: null, cache: null, age: null, cdn: null });
+});
+
+test('a timed request reports its phases and the redirects it followed', async () => {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/old.m3u8') {
+            res.writeHead(302, { location: '/live.m3u8' });
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'content-type': 'application/vnd.apple.mpegurl', 'x-cache': 'HIT' });
+        res.end('#EXTM3U\n');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const response = await timedRequest({ url: `${base}/old.m3u8`, timeout: 5000 });
+        assert.equal(response.data, '#EXTM3U\n');
+        assert.deepEqual(response.redirects, [{ status: 302, url: `${base}/live.m3u8` }]);
+        assert.equal(response.finalUrl, `${base}/live.m3u8`);
+        assert.equal(response.edge.cache, 'HIT');
+        assert.equal(response.timing.dns, null); // IP literal
+        assert.equal(response.timing.tls, null);
+        assert.ok(response.timing.total >= 0);
+
+        const error = await timedRequest({ url: `${base}/old.m3u8`, timeout: 5000, maxRedirects: 0 }).catch(err => err);
+        assert.equal(error.response.status, 302);
+        assert.deepEqual(error.redirects, []);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,78 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const StreamLease = require('../models/StreamLease');
+const MonitorWorker = require('../models/MonitorWorker');
+const { createLeaseManager } = require('../workers/leases');
+
+// In-memory stand-ins for the two collections, for the queries leases.js makes
+const leases = new Map();  // streamId -> { workerId, expiresAt }
+const workers = new Map(); // workerId -> lastHeartbeat
+
+MonitorWorker.updateOne = async ({ workerId }, { $set }) => { workers.set(workerId, $set.lastHeartbeat); };
+MonitorWorker.countDocuments = async ({ lastHeartbeat }) => [...workers.values()].filter(date => date > lastHeartbeat.$gt).length;
+MonitorWorker.deleteOne = async ({ workerId }) => { workers.delete(workerId); };
+
+const matches = (streamId, lease, query) =>
+    (!query.workerId || lease.workerId === query.workerId) &&
+    (!query.streamId?.$in || query.streamId.$in.includes(streamId)) &&
+    (!query.expiresAt?.$gt || lease.expiresAt > query.expiresAt.$gt);
+const find = query => [...leases].filter(([streamId, lease]) => matches(streamId, lease, query));
+
+StreamLease.updateMany = async (query, { $set }) => { find(query).forEach(([, lease]) => Object.assign(lease, $set)); };
+StreamLease.distinct = async (field, query) => find(query).map(([streamId]) => streamId);
+StreamLease.findOneAndUpdate = async ({ streamId, expiresAt }, { $set }) => {
+    const lease = leases.get(streamId);
+    if (lease && lease.expiresAt >= expiresAt.$lt) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    leases.set(streamId, { ...$set });
+};
+StreamLease.deleteOne = async ({ streamId, workerId }) => { if (leases.get(streamId)?.workerId === workerId) leases.delete(streamId); };
+StreamLease.deleteMany = async ({ workerId }) => { find({ workerId }).forEach(([streamId]) => leases.delete(streamId)); };
+StreamLease.exists = async ({ streamId, ...query }) => (leases.has(streamId) && matches(streamId, leases.get(streamId), query) ? { _id: streamId } : null);
+
+const STREAMS = ['s1', 's2', 's3', 's4'];
+
+beforeEach(() => {
+    leases.clear();
+    workers.clear();
+});
+
+test('a single worker claims every stream', async () => {
+    const worker = createLeaseManager('w1');
+    assert.deepEqual(await worker.rebalance(STREAMS), STREAMS);
+    assert.ok([...leases.values()].every(lease => lease.workerId === 'w1'));
+});
+
+test('a new worker takes over its share gradually', async () => {
+    const first = createLeaseManager('w1');
+    const second = createLeaseManager('w2');
+    await first.rebalance(STREAMS);
+
+    assert.deepEqual(await second.rebalance(STREAMS), []); // All taken, until w1 hands some back
+    assert.equal((await first.rebalance(STREAMS)).length, 3);
+    assert.equal((await second.rebalance(STREAMS)).length, 1);
+    assert.equal((await first.rebalance(STREAMS)).length, 2);
+    assert.equal((await second.rebalance(STREAMS)).length, 2);
+});
+
+test('streams of a worker that stopped renewing move on once its leases expire', async () => {
+    const first = createLeaseManager('w1');
+    const second = createLeaseManager('w2');
+    await first.rebalance(STREAMS);
+
+    workers.set('w1', new Date(0));
+    leases.forEach(lease => { lease.expiresAt = new Date(Date.now() - 1000); });
+    assert.deepEqual(await second.rebalance(STREAMS), STREAMS);
+    assert.equal(await first.holds('s1'), false);
+});
+
+test('a deleted stream\'s lease is released, and releaseAll frees the rest', async () => {
+    const worker = createLeaseManager('w1');
+    await worker.rebalance(STREAMS);
+    assert.deepEqual(await worker.rebalance(['s1', 's2']), ['s1', 's2']);
+    assert.deepEqual([...leases.keys()], ['s1', 's2']);
+    assert.equal(await worker.holds('s1'), true);
+
+    await worker.releaseAll();
+    assert.equal(leases.size, 0);
+    assert.equal(workers.size, 0);
+});
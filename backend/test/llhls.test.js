@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const m3u8Parser = require('m3u8-parser');
+const llhls = require('../workers/llhls');
+
+// Parsed like workers/monitor.js fetchManifest does
+function parseFixture(name) {
+    const text = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+    const parser = new m3u8Parser.Parser();
+    parser.push(text);
+    parser.end();
+    parser.manifest.raw = text;
+    return parser.manifest;
+}
+
+test('the newest part and the next one are found in the preload segment', () => {
+    const manifest = parseFixture('ll-valid.m3u8');
+    assert.ok(llhls.isLowLatency(manifest));
+    assert.equal(llhls.getPartHoldBack(manifest), 3);
+
+    const latest = llhls.getLatestPart(manifest);
+    assert.deepEqual([latest.msn, latest.index, latest.part.uri], [101, 1, 'part101.1.mp4']);
+    assert.deepEqual(llhls.getNextPart(manifest), { msn: 101, part: 2 });
+    assert.ok(llhls.hasPart(manifest, { msn: 101, part: 1 }));
+    assert.ok(!llhls.hasPart(manifest, { msn: 101, part: 2 }));
+    assert.ok(llhls.hasPart(manifest, { msn: 100, part: 9 }));
+});
+
+test('without a preload segment the newest part is the last segment\'s', () => {
+    const manifest = parseFixture('ll-invalid.m3u8');
+    const latest = llhls.getLatestPart(manifest);
+    assert.deepEqual([latest.msn, latest.index, latest.part.uri], [200, 2, 'part200.2.mp4']);
+    assert.deepEqual(llhls.getNextPart(manifest), { msn: 201, part: 0 });
+});
+
+test('blocking reload parameters replace any from an earlier reload', () => {
+    const url = llhls.getBlockingReloadUrl('https://cdn.example.com/live.m3u8?_HLS_msn=1&_HLS_part=0&token=a', { msn: 101, part: 2 });
+    assert.equal(url, 'https://cdn.example.com/live.m3u8?_HLS_msn=101&_HLS_part=2&token=a');
+});
+
+test('a conformant LL-HLS playlist has no findings', () => {
+    assert.deepEqual(llhls.lintLowLatency(parseFixture('ll-valid.m3u8')), []);
+});
+
+test('server control and part duration problems are reported', () => {
+    const findings = llhls.lintLowLatency(parseFixture('ll-invalid.m3u8'));
+    assert.deepEqual(findings.map(finding => finding.key), [
+        'no-block-reload',
+        'short-part-hold-back',
+        'no-preload-hint',
+        'long:part200.0.mp4',
+        'short:part200.1.mp4'
+    ]);
+    assert.match(findings[1].details, /PART-HOLD-BACK 1.5s/);
+});
+
+test('a missing PART-HOLD-BACK is reported even though the parser fills one in', () => {
+    const manifest = parseFixture('ll-valid.m3u8');
+    manifest.raw = manifest.raw.replace(',PART-HOLD-BACK=3.0', '');
+    assert.deepEqual(llhls.lintLowLatency(manifest).map(finding => finding.key), ['no-part-hold-back']);
+});
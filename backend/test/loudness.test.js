@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { STANDARDS, parseLoudness, createLoudnessState, addSegment, measureLoudness, checkLoudness } = require('../workers/loudness');
+
+const blocks = (value, count) => Array(count).fill(value);
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.01, `${actual} is not ${expected}`);
+
+// What ffmpeg logs for an ebur128 pass
+const LOG = [
+    '[Parsed_ebur128_0 @ 0x55d1] t: 0.4        TARGET:-23 LUFS    M: -24.1 S:-120.7     I: -24.1 LUFS       LRA:   0.0 LU  FTPK: -3.2 dBFS  TPK: -3.2 dBFS',
+    '[Parsed_ebur128_0 @ 0x55d1] t: 0.5        TARGET:-23 LUFS    M: -22.9 S:-120.7     I: -23.5 LUFS       LRA:   0.0 LU  FTPK: -2.8 dBFS  TPK: -2.8 dBFS',
+    '[Parsed_ebur128_0 @ 0x55d1] Summary:',
+    '',
+    '  Integrated loudness:',
+    '    I:         -23.5 LUFS',
+    '    Threshold: -33.7 LUFS',
+    '',
+    '  Loudness range:',
+    '    LRA:         4.2 LU',
+    '',
+    '  True peak:',
+    '    Peak:       -2.8 dBFS'
+];
+
+test('ebur128 blocks and the summary are parsed from the log', () => {
+    assert.deepEqual(parseLoudness(LOG), {
+        integrated: -23.5,
+        range: 4.2,
+        truePeak: -2.8,
+        momentary: [-24.1, -22.9],
+        shortTerm: [-120.7, -120.7]
+    });
+});
+
+test('silence and output without ebur128 lines are told apart', () => {
+    const silent = parseLoudness(['[Parsed_ebur128_0 @ 0x55d1] Summary:', '    I:         -inf LUFS', '    Peak:       -inf dBFS']);
+    assert.equal(silent.integrated, null);
+    assert.equal(silent.truePeak, null);
+    assert.equal(parseLoudness(['Stream mapping:', '  Stream #0:1 -> #0:0 (aac (native) -> pcm_s16le (native))']), null);
+});
+
+test('integrated loudness is gated, not an average of the blocks', () => {
+    const state = createLoudnessState();
+    const momentary = [...blocks(-23, 10), ...blocks(-40, 10), ...blocks(-90, 10)];
+    addSegment(state, { sequence: 1, loudness: { momentary, shortTerm: [], truePeak: -4 } }, 0, 60000);
+
+    const { window, program } = measureLoudness(state);
+    near(window.integrated, -23); // -40 falls under the relative gate, -90 under the absolute one
+    assert.equal(window.duration, 2);
+    assert.equal(window.truePeak, -4);
+    assert.equal(window.range, null);
+    near(program.integrated, -23);
+    assert.ok(program.since instanceof Date);
+});
+
+test('the loudness range spans the 10th to 95th percentile of short-term loudness', () => {
+    const state = createLoudnessState();
+    const shortTerm = Array.from({ length: 11 }, (_, i) => blocks(-30 + i, 10)).flat();
+    addSegment(state, { sequence: 1, loudness: { momentary: blocks(-23, 10), shortTerm, truePeak: null } }, 0, 60000);
+    near(measureLoudness(state).window.range, 9);
+});
+
+test('the window drops old segments while the program keeps them', () => {
+    const state = createLoudnessState();
+    addSegment(state, { sequence: 1, loudness: { momentary: blocks(-30, 10), shortTerm: [], truePeak: -1 } }, 0, 10000);
+    assert.equal(addSegment(state, { sequence: 1, loudness: { momentary: [], shortTerm: [], truePeak: null } }, 1000, 10000), false);
+    addSegment(state, { sequence: 2, loudness: { momentary: blocks(-20, 10), shortTerm: [], truePeak: -6 } }, 20000, 10000);
+
+    const { window, program } = measureLoudness(state);
+    near(window.integrated, -20);
+    assert.equal(window.truePeak, -6);
+    assert.equal(program.duration, 2);
+    assert.equal(program.truePeak, -1);
+});
+
+test('deviations from the target and true peak are findings once enough is measured', () => {
+    const measured = {
+        window: { integrated: -20, range: 5, truePeak: -0.5, duration: 30 },
+        program: { integrated: -23.5, range: 5, truePeak: -0.5, duration: 30 }
+    };
+    const findings = checkLoudness(measured, STANDARDS.EBU_R128, 10);
+    assert.deepEqual(findings.map(finding => finding.key), ['window', 'truePeak']);
+    assert.match(findings[0].details, /-20\.0 LUFS is 3\.0 LU above the -23 LUFS target/);
+
+    // ATSC A/85 has a wider tolerance, and too short a measurement isn't judged
+    assert.deepEqual(checkLoudness({ ...measured, window: { ...measured.window, integrated: -22.5 } }, STANDARDS.ATSC_A85, 10)
+        .map(finding => finding.key), ['truePeak']);
+    assert.deepEqual(checkLoudness(measured, STANDARDS.EBU_R128, 60).map(finding => finding.key), ['truePeak']);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { lintManifest } = require('../workers/manifestLint');
+
+const lintFixture = name => lintManifest(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+const keys = findings => findings.map(finding => finding.key);
+
+test('a conformant media playlist has no findings', () => {
+    assert.deepEqual(lintFixture('media-valid.m3u8'), []);
+});
+
+test('a conformant master playlist has no findings', () => {
+    assert.deepEqual(lintFixture('master-valid.m3u8'), []);
+});
+
+test('media playlist violations are reported with their line', () => {
+    const findings = lintFixture('media-invalid.m3u8');
+    assert.deepEqual(keys(findings), [
+        'version-too-low',
+        'illegal-tag-placement:EXT-X-MEDIA-SEQUENCE',
+        'extinf-exceeds-target-duration',
+        'uri-without-extinf',
+        'key-missing-uri',
+        'extinf-missing-uri'
+    ]);
+    assert.deepEqual(findings.map(finding => finding.line), [2, 6, 7, 9, 10, 11]);
+    assert.ok(findings.every(finding => finding.severity === 'error'));
+});
+
+test('master playlist violations are reported per variant', () => {
+    const findings = lintFixture('master-invalid.m3u8');
+    assert.deepEqual(keys(findings), [
+        'media-subtitles-uri:English',
+        'stream-inf-missing-codecs:video/720p.m3u8',
+        'stream-inf-unknown-group:video/720p.m3u8:AUDIO',
+        'stream-inf-missing-bandwidth:video/360p.m3u8',
+        'stream-inf-missing-uri:7'
+    ]);
+    assert.equal(findings.find(finding => finding.rule === 'stream-inf-missing-codecs').severity, 'warning');
+});
+
+test('a playlist without #EXTM3U or a version for its features is flagged', () => {
+    const findings = lintManifest('#EXT-X-TARGETDURATION:6\n#EXT-X-BYTERANGE:1000@0\n#EXTINF:6.0,\nsegment.ts\n');
+    assert.deepEqual(keys(findings), ['missing-extm3u', 'missing-version']);
+});
+
+test('a repeated segment-level mistake is one finding key', () => {
+    const text = '#EXTM3U\n#EXT-X-TARGETDURATION:4\n#EXTINF:5,\na.ts\n#EXTINF:5,\nb.ts\n';
+    const findings = lintManifest(text).filter(finding => finding.rule === 'extinf-exceeds-target-duration');
+    assert.equal(findings.length, 2);
+    assert.equal(new Set(keys(findings)).size, 1);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MonitorState = require('../models/MonitorState');
+const { saveState, loadState } = require('../workers/monitorState');
+const { createAdState } = require('../workers/adMarkers');
+
+// In-memory stand-in for the collection: keeps a copy of what was $set
+const saved = new Map();
+MonitorState.updateOne = async ({ streamId }, { $set }) => { saved.set(streamId, structuredClone($set)); };
+MonitorState.findOne = ({ streamId }) => ({ lean: async () => structuredClone(saved.get(streamId) ?? null) });
+
+function createState() {
+    const brk = { breakId: 'b1', source: 'CUE+DATERANGE', rangeId: 'splice-1', startedAt: new Date(0), status: 'open' };
+    const ads = createAdState();
+    Object.assign(ads, { lastSequence: 41, open: brk, lastCue: brk });
+    ads.dateRanges.set('splice-1', brk);
+
+    return {
+        variants: new Map([['video/720p.m3u8', {
+            url: 'https://origin.example.com/video/720p.m3u8?token=secret',
+            lastMediaSequence: 41,
+            lastProbedSequence: 41,
+            segmentBitrates: [800000, 820000],
+            lowLatencyFindings: new Set(['no-preload-hint']),
+            complianceFindings: new Set(),
+            headerFindings: new Set(['cors'])
+        }]]),
+        ads,
+        masterHeaderFindings: new Set(['content-type']),
+        videoContent: { black: null, freeze: null },
+        loudness: { lastSequence: 41, program: { histogram: [1, 2] }, window: [1], reported: new Set(['integrated']) },
+        audioChannels: { lastSequence: 41, streaks: {}, reported: new Set() },
+        avSync: { lastSequence: 41, lastOffset: 20, reported: new Set(['offset']) }
+    };
+}
+
+test('a saved state loads back with its sets and variant fields', async () => {
+    saveState('s1', createState());
+    await new Promise(resolve => setImmediate(resolve));
+    const state = await loadState('s1');
+
+    const variant = state.variants.get('video/720p.m3u8');
+    assert.equal(variant.lastMediaSequence, 41);
+    assert.deepEqual(variant.segmentBitrates, [800000, 820000]);
+    assert.deepEqual(variant.lowLatencyFindings, new Set(['no-preload-hint']));
+    assert.deepEqual(variant.headerFindings, new Set(['cors']));
+    assert.equal(variant.url, undefined); // Fetched URLs may carry tokens and aren't saved
+
+    assert.deepEqual(state.masterHeaderFindings, new Set(['content-type']));
+    assert.deepEqual(state.loudness.reported, new Set(['integrated']));
+    assert.equal(state.loudness.window, undefined);
+    assert.deepEqual(state.avSync.reported, new Set(['offset']));
+    assert.ok(state.savedAt instanceof Date);
+});
+
+test('a break saved in several places is one object again', async () => {
+    saveState('s2', createState());
+    await new Promise(resolve => setImmediate(resolve));
+    const { ads } = await loadState('s2');
+
+    assert.equal(ads.lastSequence, 41);
+    assert.equal(ads.open, ads.lastCue);
+    assert.equal(ads.dateRanges.get('splice-1'), ads.open);
+    assert.ok(ads.open.startedAt instanceof Date);
+});
+
+test('a stream without saved state loads as null', async () => {
+    assert.equal(await loadState('unknown'), null);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStreamBytes, measureSignal } = require('../workers/processor');
+
+const SUMMARY = 'video:1500kB audio:96KiB subtitle:0kB other streams:0kB global headers:0kB muxing overhead: unknown';
+
+test('elementary stream bytes are read from the ffmpeg summary', () => {
+    assert.deepEqual(parseStreamBytes(`frame=  150 fps=0.0 q=-1.0 Lsize=N/A\n${SUMMARY}\n`), { video: 1536000, audio: 98304 });
+    assert.equal(parseStreamBytes('Conversion failed!'), null);
+    assert.equal(parseStreamBytes(undefined), null);
+});
+
+test('bitrates come from the bytes over the EXTINF duration, levels from BANDWIDTH', () => {
+    const segment = { duration: 6, bandwidth: 2500000 };
+    const signal = measureSignal(segment, 1500000, { video: 1350000, audio: 96000 }, true, true);
+
+    assert.equal(signal.totalBitrate, 2000000);
+    assert.equal(signal.videoBitrate, 1800000);
+    assert.equal(signal.audioBitrate, 128000);
+    assert.equal(signal.audioSource, 'segment');
+    assert.equal(signal.declaredBandwidth, 2500000);
+    assert.equal(signal.videoLevel, 72);
+    assert.equal(signal.audioLevel, 5.12);
+    assert.ok(signal.date instanceof Date);
+});
+
+test('audio from a separate rendition uses its measured bitrate', () => {
+    const segment = { duration: 4, bandwidth: 1000000, renditionAudioBitrate: 64000 };
+    const signal = measureSignal(segment, 400000, { video: 380000, audio: 0 }, true, false);
+    assert.equal(signal.audioBitrate, 64000);
+    assert.equal(signal.audioSource, 'rendition');
+    assert.equal(signal.audioLevel, 6.4);
+});
+
+test('what could not be measured is null, and levels are capped at 100', () => {
+    const signal = measureSignal({ duration: 2, bandwidth: 500000 }, 250000, null, true, false);
+    assert.equal(signal.totalBitrate, 1000000);
+    assert.equal(signal.videoBitrate, null);
+    assert.equal(signal.audioBitrate, null);
+    assert.equal(signal.audioSource, null);
+    assert.equal(signal.videoLevel, null);
+
+    const over = measureSignal({ duration: 2, bandwidth: 500000 }, 250000, { video: 250000, audio: 0 }, true, false);
+    assert.equal(over.videoLevel, 100);
+
+    const unknown = measureSignal({ duration: 0 }, 250000, null, false, false);
+    assert.equal(unknown.totalBitrate, null);
+    assert.equal(unknown.declaredBandwidth, null);
+});
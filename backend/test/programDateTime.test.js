@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const m3u8Parser = require('m3u8-parser');
+const { getLiveEdge, findTimelineJumps } = require('../workers/programDateTime');
+
+// Parsed like workers/monitor.js fetchManifest does
+function parseFixture(name) {
+    const parser = new m3u8Parser.Parser();
+    parser.push(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+    parser.end();
+    return parser.manifest;
+}
+
+const START = Date.parse('2026-01-01T00:00:00.000Z');
+
+test('the live edge is the end of the newest segment on the PDT clock', () => {
+    assert.equal(getLiveEdge(parseFixture('pdt-jumps.m3u8')), START + 3612000);
+});
+
+test('parts of the segment being built move the live edge on', () => {
+    const manifest = {
+        segments: [{ programDateTime: START, duration: 4 }],
+        preloadSegment: { parts: [{ duration: 1 }, { duration: 0.5 }] }
+    };
+    assert.equal(getLiveEdge(manifest), START + 5500);
+});
+
+test('a playlist without PDT has no live edge', () => {
+    assert.equal(getLiveEdge(parseFixture('media-valid.m3u8')), null);
+    assert.equal(getLiveEdge({ segments: [] }), null);
+});
+
+test('a PDT that disagrees with the durations before it is a jump, unless a discontinuity resets the timeline', () => {
+    const jumps = findTimelineJumps(parseFixture('pdt-jumps.m3u8').segments, 100);
+    assert.deepEqual(jumps.map(jump => [jump.segment.uri, jump.delta]), [['segment402.ts', 3000]]);
+    assert.equal(jumps[0].expected, START + 12000);
+});
+
+test('deltas within the tolerance are not jumps', () => {
+    assert.deepEqual(findTimelineJumps(parseFixture('pdt-jumps.m3u8').segments, 3000), []);
+});
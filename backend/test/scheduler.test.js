@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler } = require('../workers/scheduler');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A run() whose polls stay open until the test releases them
+function createRunner(interval = null) {
+    const calls = [];
+    const pending = new Map();
+    const run = (id, timing) => new Promise(resolve => {
+        calls.push({ id, timing });
+        pending.set(id, () => resolve(interval));
+    });
+    const release = id => { pending.get(id)(); pending.delete(id); };
+    return { calls, run, release };
+}
+
+test('no more than `concurrency` polls run at once; the rest wait in order', async () => {
+    const runner = createRunner();
+    const scheduler = createScheduler({ concurrency: 2, defaultInterval: 1000, run: runner.run });
+    ['a', 'b', 'c'].forEach(id => scheduler.add(id));
+
+    assert.deepEqual(runner.calls.map(call => call.id), ['a', 'b']);
+    assert.deepEqual(scheduler.stats(), { streams: 3, active: 2, queued: 1, concurrency: 2 });
+
+    runner.release('a');
+    await sleep(0);
+    assert.deepEqual(runner.calls.map(call => call.id), ['a', 'b', 'c']);
+    ['a', 'b', 'c'].forEach(id => scheduler.remove(id));
+});
+
+test('a poll is repeated on the interval it returns, and null stops it', async () => {
+    const intervals = [20, 20, null];
+    const calls = [];
+    const scheduler = createScheduler({
+        concurrency: 1,
+        defaultInterval: 1000,
+        run: async (id, timing) => { calls.push(timing); return intervals.shift(); }
+    });
+    scheduler.add('a');
+    await sleep(100);
+
+    assert.equal(calls.length, 3);
+    assert.equal(calls[0].actual, null);
+    assert.equal(calls[1].intended, 20);
+    assert.ok(calls[1].actual >= 19);
+    assert.deepEqual(scheduler.ids(), []);
+});
+
+test('a failing poll is retried on the default interval', async () => {
+    let calls = 0;
+    const scheduler = createScheduler({
+        concurrency: 1,
+        defaultInterval: 20,
+        run: async () => { calls++; throw new Error('origin down'); }
+    });
+    scheduler.add('a');
+    await sleep(50);
+    scheduler.remove('a');
+    assert.ok(calls >= 2);
+});
+
+test('a stream removed while its poll runs is not scheduled again', async () => {
+    const runner = createRunner(10);
+    const scheduler = createScheduler({ concurrency: 1, defaultInterval: 10, run: runner.run });
+    scheduler.add('a');
+    scheduler.remove('a');
+    runner.release('a');
+    await sleep(40);
+
+    assert.equal(runner.calls.length, 1);
+    assert.deepEqual(scheduler.stats(), { streams: 0, active: 0, queued: 0, concurrency: 1 });
+});
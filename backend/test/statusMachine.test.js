@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { updateStatus, FLAP_WINDOW, FLAP_THRESHOLD } = require('../workers/statusMachine');
+
+const T0 = Date.parse('2026-01-01T00:00:00.000Z');
+
+function createStream(status = 'online', config = {}) {
+    return {
+        status,
+        config,
+        health: { lastStatusChange: new Date(T0 - 60000), consecutiveFailures: 0, consecutiveSuccesses: 10, recentFlips: [] }
+    };
+}
+
+// Feed observations one poll `step` ms apart; returns the transitions
+function poll(stream, observations, start = T0, step = 1000) {
+    return observations.map((observed, i) => updateStatus(stream, observed, 'test', start + i * step));
+}
+
+test('the first poll takes the observation as is', () => {
+    const stream = createStream('offline');
+    stream.health = {};
+    const { transition } = updateStatus(stream, 'online', 'manifest ok', T0);
+    assert.deepEqual(transition, { from: 'offline', to: 'online', type: 'recovered', reason: 'First poll: manifest ok' });
+});
+
+test('a stream only degrades after the failure threshold', () => {
+    const stream = createStream();
+    const results = poll(stream, ['error', 'error', 'error']);
+    assert.deepEqual(results.map(result => result.transition?.to ?? null), [null, null, 'error']);
+    assert.equal(results[2].transition.type, 'degraded');
+    assert.equal(stream.status, 'error');
+});
+
+test('the failure and recovery thresholds can be set per stream', () => {
+    const stream = createStream('online', { failureThreshold: 1, recoveryThreshold: 2 });
+    assert.equal(updateStatus(stream, 'stale', 'test', T0).transition.to, 'stale');
+    const results = poll(stream, ['online', 'online'], T0 + 1000);
+    assert.deepEqual(results.map(result => result.transition?.to ?? null), [null, 'online']);
+});
+
+test('a good poll in between resets the failure count', () => {
+    const stream = createStream();
+    const results = poll(stream, ['error', 'error', 'online', 'error', 'error']);
+    assert.ok(results.every(result => result.transition === null));
+    assert.equal(stream.status, 'online');
+});
+
+test('a degraded stream follows error <-> stale without waiting again', () => {
+    const stream = createStream();
+    poll(stream, ['error', 'error', 'error']);
+    const { transition } = updateStatus(stream, 'stale', 'test', T0 + 3000);
+    assert.deepEqual([transition.from, transition.to], ['error', 'stale']);
+});
+
+test('failing for long enough takes a stream offline, and it needs several good polls to recover', () => {
+    const stream = createStream('online', { offlineAfter: 10000 });
+    const failing = poll(stream, Array(12).fill('error'));
+    const moves = failing.filter(result => result.transition).map(result => result.transition);
+    assert.deepEqual(moves.map(move => [move.to, move.type]), [['error', 'degraded'], ['offline', 'offline']]);
+    assert.equal(failing.findIndex(result => result.transition?.to === 'offline'), 10);
+
+    const recovering = poll(stream, ['online', 'online', 'online'], T0 + 20000);
+    assert.deepEqual(recovering.map(result => result.transition?.to ?? null), [null, null, 'online']);
+    assert.equal(recovering[2].transition.type, 'recovered');
+});
+
+test('flapping starts at the flip threshold, even when hysteresis hides the flips', () => {
+    const stream = createStream();
+    // Alternating polls never reach the failure threshold, but every change is a flip
+    const observations = Array.from({ length: FLAP_THRESHOLD }, (_, i) => (i % 2 === 0 ? 'error' : 'online'));
+    const results = poll(stream, observations);
+
+    assert.ok(results.every(result => result.transition === null));
+    assert.deepEqual(results.map(result => result.flapping), [...Array(FLAP_THRESHOLD - 1).fill(null), 'start']);
+    assert.equal(stream.health.isFlapping, true);
+});
+
+test('flapping ends once the flips age out of the window', () => {
+    const stream = createStream();
+    poll(stream, Array.from({ length: FLAP_THRESHOLD }, (_, i) => (i % 2 === 0 ? 'error' : 'online')));
+
+    const { flapping } = updateStatus(stream, 'online', 'test', T0 + FLAP_WINDOW + FLAP_THRESHOLD * 1000);
+    assert.equal(flapping, 'end');
+    assert.equal(stream.health.isFlapping, false);
+    assert.deepEqual(stream.health.recentFlips, []);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVideoContent, createContentRuns, trackContent, findOverThreshold } = require('../workers/videoContent');
+
+const black = (start, end) => `[blackdetect @ 0x5581] black_start:${start} black_end:${end} black_duration:${end - start}`;
+
+// An analyzed segment of `duration` s with the given ffmpeg log lines
+function segment(sequence, lines, duration = 6) {
+    return { sequence, duration, ...parseVideoContent(lines, duration) };
+}
+
+test('blackdetect and freezedetect lines are summarized per segment', () => {
+    const content = parseVideoContent([
+        black(0, 1.5),
+        black(2, 2.8),
+        '[freezedetect @ 0x5582] lavfi.freezedetect.freeze_start: 3.9',
+        '[freezedetect @ 0x5582] lavfi.freezedetect.freeze_duration: 2.1'
+    ], 6);
+
+    assert.equal(content.black.leading, 1.5);
+    assert.equal(content.black.trailing, 0);
+    assert.equal(content.black.whole, false);
+    assert.equal(content.black.inner.length, 1);
+    assert.ok(Math.abs(content.black.inner[0] - 0.8) < 1e-9);
+    // A freeze with no end line lasts to the end of the segment
+    assert.deepEqual(content.freeze, { leading: 0, trailing: 2.1, whole: false, inner: [] });
+});
+
+test('an interval within the edge tolerance covers the whole segment', () => {
+    const { black: found, freeze } = parseVideoContent([black(0.1, 5.9)], 6);
+    assert.deepEqual(found, { leading: 6, trailing: 6, whole: true, inner: [] });
+    assert.deepEqual(freeze, { leading: 0, trailing: 0, whole: false, inner: [] });
+});
+
+test('a condition spanning segments is one run, reported once', () => {
+    const runs = createContentRuns();
+    trackContent(runs, segment(1, [black(4, 6)]));
+    assert.equal(runs.black.duration, 2);
+
+    const ended = trackContent(runs, segment(2, [black(0, 6)]));
+    assert.deepEqual(ended.black, []);
+    assert.equal(runs.black.duration, 8);
+    assert.equal(findOverThreshold(runs.black, ended.black, 5), 8);
+    assert.equal(runs.black.reported, true);
+
+    const finished = trackContent(runs, segment(3, [black(0, 1)]));
+    assert.deepEqual(finished.black, [{ duration: 9, reported: true }]);
+    assert.equal(findOverThreshold(runs.black, finished.black, 5), null);
+    assert.equal(runs.black.duration, 0);
+});
+
+test('a run is bridged across a few unanalyzed segments but not a long gap', () => {
+    const runs = createContentRuns();
+    trackContent(runs, segment(10, [black(4, 6)]));
+    const bridged = trackContent(runs, segment(12, [black(0, 1)]));
+    assert.deepEqual(bridged.black, [{ duration: 9, reported: false }]); // 2 + 6 skipped + 1
+
+    trackContent(runs, segment(13, [black(5, 6)]));
+    const apart = trackContent(runs, segment(20, [black(0, 1)]));
+    assert.deepEqual(apart.black, [{ duration: 1, reported: false }]);
+});
+
+test('short inner stretches are found, and a segment seen already is skipped', () => {
+    const runs = createContentRuns();
+    const ended = trackContent(runs, segment(1, [black(1, 4)]));
+    assert.deepEqual(ended.black, [{ duration: 3, reported: false }]);
+    assert.equal(findOverThreshold(runs.black, ended.black, 2), 3);
+    assert.equal(findOverThreshold(runs.black, ended.black, 5), null);
+    assert.equal(trackContent(runs, segment(1, [black(1, 4)])), null);
+});
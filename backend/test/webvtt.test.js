@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimestamp, parseWebVtt, toMpegTime, clockDifference } = require('../workers/webvtt');
+
+const WRAP = Math.pow(2, 33) / 90000;
+
+test('cue timestamps are parsed with and without hours', () => {
+    assert.equal(parseTimestamp('01:02:03.456'), 3723.456);
+    assert.equal(parseTimestamp('02:03.500'), 123.5);
+    assert.equal(parseTimestamp('2:03.5'), null);
+    assert.equal(parseTimestamp(undefined), null);
+});
+
+test('a segment with X-TIMESTAMP-MAP yields its cues and the map', () => {
+    const text = [
+        'WEBVTT',
+        'X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000',
+        '',
+        '1',
+        '00:00:10.000 --> 00:00:12.500 line:90%',
+        'Hello',
+        '',
+        '00:00:13.000 --> 00:00:15.000',
+        'World'
+    ].join('\r\n');
+    assert.deepEqual(parseWebVtt(text), {
+        errors: [],
+        timestampMap: { mpegts: 900000, local: 0 },
+        cues: [{ start: 10, end: 12.5 }, { start: 13, end: 15 }]
+    });
+});
+
+test('a missing signature, a bad map and bad cue timings are errors', () => {
+    const text = [
+        'WEBVT',
+        'X-TIMESTAMP-MAP=MPEGTS:abc,LOCAL:00:00:00.000',
+        '',
+        '00:00:05.000 --> 00:00:06.000',
+        '00:00:04.000 --> 00:00:04.500',
+        '00:00:08.000 --> 00:00:07.000',
+        '00:00:9.000 --> 00:00:10.000'
+    ].join('\n');
+    const { errors, timestampMap, cues } = parseWebVtt(text);
+    assert.equal(timestampMap, null);
+    assert.equal(cues.length, 2);
+    assert.equal(errors.length, 5);
+    assert.match(errors[0], /Missing WEBVTT signature/);
+    assert.match(errors[1], /Malformed X-TIMESTAMP-MAP/);
+    assert.match(errors[2], /line 5 starts before the previous cue/);
+    assert.match(errors[3], /line 6 ends before it starts/);
+    assert.match(errors[4], /Malformed cue timing on line 7/);
+});
+
+test('cue times are moved onto the MPEG-TS clock', () => {
+    assert.equal(toMpegTime(12, { mpegts: 900000, local: 2 }), 20);
+    assert.equal(toMpegTime(12, null), 12);
+});
+
+test('clock differences are taken across a PTS wrap', () => {
+    assert.equal(clockDifference(10, 4), 6);
+    assert.ok(Math.abs(clockDifference(0.5, WRAP - 0.5) - 1) < 1e-6);
+    assert.ok(Math.abs(clockDifference(WRAP - 0.5, 0.5) + 1) < 1e-6);
+});
@@ -0,0 +1,45 @@
+// ============================================
+// Headless Monitor Worker (distributed mode)
+// Checks a share of the streams and publishes socket events through MongoDB for
+// the web instances (started with MONITOR_MODE=off or distributed) to relay.
+// Run as many as needed: node worker.js
+// ============================================
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { createPublisher } = require('./workers/eventBus');
+const { createWorkerId } = require('./workers/leases');
+
+const MONGO_URI = process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+    console.error('❌ FATAL: MONGO_URI environment variable is not defined.');
+    process.exit(1);
+}
+
+mongoose.connect(MONGO_URI)
+    .then(() => {
+        console.log('✅ MongoDB Connected Successfully!');
+
+        const workerId = createWorkerId();
+        const monitor = require('./workers/monitor')(createPublisher(workerId), { workerId });
+
+        const stop = async (signal) => {
+            console.log(`[WORKER] ${signal} received - releasing streams`);
+            try {
+                await monitor.shutdown();
+            } catch (err) {
+                console.error('[WORKER] Shutdown error:', err.message);
+            }
+            process.exit(0);
+        };
+        process.on('SIGTERM', () => stop('SIGTERM'));
+        process.on('SIGINT', () => stop('SIGINT'));
+    })
+    .catch(err => {
+        console.error('❌ MongoDB Connection Error:', err);
+        process.exit(1);
+    });
+
+process.on('unhandledRejection', (reason) => {
+    console.error('Unhandled Rejection:', reason);
+});
@@ -0,0 +1,220 @@
+// ============================================
+// Ad Marker Tracking (SCTE-35)
+// EXT-X-CUE-OUT / EXT-X-CUE-OUT-CONT / EXT-X-CUE-IN on segments and
+// EXT-X-DATERANGE with SCTE35-OUT / SCTE35-IN. A CUE-OUT and a SCTE35-OUT
+// starting at the same segment are one break (source 'CUE+DATERANGE'), which
+// the CUE markers then follow. A CUE break still signalled past its planned
+// duration is an overrun; once its segments carry no marker any more, it is
+// unterminated.
+// ============================================
+const { v4: uuidv4 } = require('uuid');
+
+const AD_OVERRUN_TOLERANCE = 2; // Seconds a break may run past its planned duration
+const MAX_UNPLANNED_BREAK = 600; // Seconds before a break with no duration is considered unterminated
+
+function createAdState() {
+    // lastCue: the newest CUE-OUT break, open or not, for a SCTE35-OUT at its segment
+    return { lastSequence: -1, open: null, lastCue: null, dateRanges: new Map() };
+}
+
+// "#EXT-X-CUE-OUT:30", "#EXT-X-CUE-OUT:DURATION=30"
+function parseCueOutDuration(data) {
+    if (!data) return null;
+    const match = data.match(/(?:DURATION=)?([\d.]+)/i);
+    return match ? parseFloat(match[1]) : null;
+}
+
+// "#EXT-X-CUE-OUT-CONT:ElapsedTime=4,Duration=30", "#EXT-X-CUE-OUT-CONT:4/30"
+function parseCueOutCont(data) {
+    if (!data) return { elapsed: 0, duration: null };
+    const slash = data.match(/([\d.]+)\/([\d.]+)/);
+    if (slash) return { elapsed: parseFloat(slash[1]), duration: parseFloat(slash[2]) };
+
+    const elapsed = data.match(/ElapsedTime=([\d.]+)/i);
+    const duration = data.match(/Duration=([\d.]+)/i);
+    return {
+        elapsed: elapsed ? parseFloat(elapsed[1]) : 0,
+        duration: duration ? parseFloat(duration[1]) : null
+    };
+}
+
+function newBreak(source, startedAt, plannedDuration, extra = {}) {
+    return {
+        breakId: uuidv4(),
+        source,
+        startedAt: new Date(startedAt),
+        plannedDuration: plannedDuration ?? null,
+        actualDuration: 0,
+        status: 'open',
+        overrunReported: false,
+        ...extra
+    };
+}
+
+// The open DATERANGE-only break starting within [from, to) (ms), if any
+function findDateRangeBreak(adState, from, to) {
+    return [...adState.dateRanges.values()].find(brk => brk.source === 'DATERANGE' && brk.status === 'open' &&
+        brk.startedAt.getTime() >= from && brk.startedAt.getTime() < to);
+}
+
+// Seconds a break may last before it counts as running over
+function getLimit(brk) {
+    return brk.plannedDuration !== null ? brk.plannedDuration + AD_OVERRUN_TOLERANCE : MAX_UNPLANNED_BREAK;
+}
+
+// Flag a break that has run past its planned duration (once per break)
+function checkOverrun(brk, events) {
+    if (brk.status !== 'open' || brk.overrunReported) return;
+
+    if (brk.actualDuration > getLimit(brk)) {
+        brk.overrunReported = true;
+        events.push({ type: 'overrun', break: brk });
+    }
+}
+
+// Process segments that appeared since the last poll, plus the playlist's DATERANGEs.
+// Mutates `adState` and returns events in order:
+//   { type: 'start' | 'end' | 'overrun' | 'unterminated' | 'merged', break }
+function trackAdMarkers(manifest, adState, now) {
+    const events = [];
+    const segments = manifest.segments || [];
+    const firstSequence = manifest.mediaSequence || 0;
+    const lastSequence = firstSequence + segments.length - 1;
+
+    // After a sequence reset start over from the current window
+    if (adState.lastSequence > lastSequence) adState.lastSequence = firstSequence - 1;
+
+    // Wall-clock start of each segment: PDT when present, else counted back from now
+    let remaining = segments.reduce((sum, seg) => sum + (seg.duration || 0), 0);
+    const startTimes = segments.map(seg => {
+        const start = typeof seg.programDateTime === 'number' ? seg.programDateTime : now - remaining * 1000;
+        remaining -= seg.duration || 0;
+        return start;
+    });
+
+    segments.forEach((seg, i) => {
+        const sequence = firstSequence + i;
+        if (sequence <= adState.lastSequence) return;
+        const segmentEnd = startTimes[i] + (seg.duration || 0) * 1000;
+
+        // CUE-IN: this segment is back to programme content
+        if (seg.cueIn !== undefined && adState.open) {
+            adState.open.status = 'closed';
+            adState.open.endedAt = new Date(startTimes[i]);
+            events.push({ type: 'end', break: adState.open });
+            adState.open = null;
+        }
+
+        // CUE-OUT: first segment of a new break
+        if (seg.cueOut !== undefined) {
+            if (adState.open) {
+                adState.open.status = 'unterminated';
+                adState.open.endedAt = new Date(startTimes[i]);
+                events.push({ type: 'unterminated', break: adState.open });
+            }
+            const signalled = findDateRangeBreak(adState, startTimes[i], segmentEnd);
+            if (signalled) {
+                // Announced by a SCTE35-OUT already: one break, measured from this segment on
+                signalled.source = 'CUE+DATERANGE';
+                signalled.startedAt = new Date(startTimes[i]);
+                signalled.actualDuration = 0;
+                signalled.plannedDuration = signalled.plannedDuration ?? parseCueOutDuration(seg.cueOut);
+                signalled.segmentEnd = segmentEnd;
+                adState.open = signalled;
+                adState.lastCue = signalled;
+                events.push({ type: 'merged', break: signalled });
+            } else {
+                adState.open = newBreak('CUE', startTimes[i], parseCueOutDuration(seg.cueOut), { segmentEnd });
+                adState.lastCue = adState.open;
+                events.push({ type: 'start', break: adState.open });
+            }
+        } else if (seg.cueOutCont !== undefined && !adState.open) {
+            // Joined mid-break (first poll or after a gap)
+            const cont = parseCueOutCont(seg.cueOutCont);
+            adState.open = newBreak('CUE', startTimes[i] - cont.elapsed * 1000, cont.duration);
+            adState.open.actualDuration = cont.elapsed;
+            events.push({ type: 'start', break: adState.open });
+        }
+
+        // A segment past the break's planned end (plus tolerance) that carries neither
+        // CUE-IN nor CUE-OUT-CONT: the markers stopped and the CUE-IN never came
+        const brk = adState.open;
+        const inBreak = seg.cueOut !== undefined || seg.cueOutCont !== undefined;
+        if (brk && !inBreak && brk.startedAt.getTime() + getLimit(brk) * 1000 < segmentEnd) {
+            brk.status = 'unterminated';
+            brk.endedAt = new Date(startTimes[i]);
+            events.push({ type: 'unterminated', break: brk });
+            adState.open = null;
+        } else if (brk) {
+            brk.actualDuration += seg.duration || 0;
+            checkOverrun(brk, events);
+        }
+    });
+
+    adState.lastSequence = Math.max(adState.lastSequence, lastSequence);
+
+    // --- DATERANGE (SCTE35-OUT / SCTE35-IN) ---
+    (manifest.dateRanges || []).forEach(range => {
+        if (!range.scte35Out && !range.scte35In) return;
+
+        const start = new Date(range.startDate).getTime();
+        let brk = adState.dateRanges.get(range.id);
+
+        // Same segment as the last CUE-OUT: one break, followed by the CUE markers
+        const cue = adState.lastCue;
+        if (!brk && range.scte35Out && cue?.source === 'CUE' &&
+            start >= cue.startedAt.getTime() && start < cue.segmentEnd) {
+            cue.source = 'CUE+DATERANGE';
+            cue.rangeId = range.id;
+            cue.plannedDuration = cue.plannedDuration ?? range.plannedDuration ?? range.duration ?? null;
+            adState.dateRanges.set(range.id, cue);
+            events.push({ type: 'merged', break: cue });
+            return;
+        }
+
+        if (!brk && range.scte35Out) {
+            brk = newBreak('DATERANGE', start, range.plannedDuration ?? range.duration, { rangeId: range.id });
+            adState.dateRanges.set(range.id, brk);
+            events.push({ type: 'start', break: brk });
+        } else if (!brk && range.scte35In) {
+            // SCTE35-IN under its own ID: pair it with the newest open DATERANGE break
+            brk = [...adState.dateRanges.values()].reverse().find(b => b.source === 'DATERANGE' && b.status === 'open');
+            if (!brk) return;
+            brk.endedAt = new Date(start);
+            adState.dateRanges.set(range.id, brk);
+        }
+        if (!brk || brk.source !== 'DATERANGE' || brk.status !== 'open') return;
+
+        if (range.duration !== undefined) {
+            brk.endedAt = new Date(brk.startedAt.getTime() + range.duration * 1000);
+        } else if (range.endDate) {
+            brk.endedAt = new Date(range.endDate);
+        }
+
+        const end = brk.endedAt ? brk.endedAt.getTime() : now;
+        brk.actualDuration = Math.max(0, (end - brk.startedAt.getTime()) / 1000);
+
+        if (brk.endedAt) {
+            checkOverrun(brk, events);
+            brk.status = 'closed';
+            events.push({ type: 'end', break: brk });
+        } else {
+            checkOverrun(brk, events);
+        }
+    });
+
+    // Forget DATERANGE breaks that left the playlist; one still open never got its SCTE35-IN
+    const present = new Set((manifest.dateRanges || []).map(range => range.id));
+    for (const [id, brk] of adState.dateRanges) {
+        if (present.has(id)) continue;
+        if (brk.source === 'DATERANGE' && brk.status === 'open') {
+            brk.status = 'unterminated';
+            events.push({ type: 'unterminated', break: brk });
+        }
+        adState.dateRanges.delete(id);
+    }
+
+    return events;
+}
+
+module.exports = { createAdState, trackAdMarkers, parseCueOutDuration, parseCueOutCont };
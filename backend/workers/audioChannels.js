@@ -0,0 +1,122 @@
+// ============================================
+// Per-Channel Audio
+// RMS and peak level of every channel of the analyzed segment (ffmpeg's astats,
+// run by workers/processor.js), and how the first two channels (L/R) relate:
+// the filter adds their mid (L+R)/2 and side (L-R)/2 as extra channels, and
+//   correlation = (mid² - side²) / (mid² + side²) = 2·E[LR] / (E[L²] + E[R²])
+// is +1 for identical channels, 0 for unrelated ones and -1 when one is the
+// other inverted.
+// Findings: { key, rule: 'silence' | 'phase' | 'mono', details }
+// ============================================
+
+const SILENCE_PEAK = -50;        // dBFS a channel's peak stays below when it's silent (as the overall check)
+const PHASE_INVERTED = -0.8;     // Correlation at or below which L/R are out of phase
+const DUAL_MONO_SIDE = -40;      // dB the side stays below the mid when L/R carry the same signal
+
+// Channel names in ffmpeg's order for the common layouts
+const CHANNEL_NAMES = {
+    1: ['C'],
+    2: ['L', 'R'],
+    6: ['L', 'R', 'C', 'LFE', 'Ls', 'Rs'],
+    8: ['L', 'R', 'C', 'LFE', 'Lb', 'Rb', 'Ls', 'Rs']
+};
+
+function getChannelNames(count) {
+    return CHANNEL_NAMES[count] || Array.from({ length: count }, (_, i) => `Ch${i + 1}`);
+}
+
+// -af chain for a stream with `count` channels: the channels as they are, then
+// (with two or more) the mid and side of the first two, into astats
+function getChannelFilter(count) {
+    if (count < 2) return 'astats';
+    const channels = Array.from({ length: count }, (_, i) => `c${i}=c${i}`);
+    channels.push(`c${count}=0.5*c0+0.5*c1`, `c${count + 1}=0.5*c0-0.5*c1`);
+    return `pan=${count + 2}c|${channels.join('|')},astats`;
+}
+
+// "-inf" (digital silence) is kept as -Infinity
+const toDb = value => (value === '-inf' ? -Infinity : parseFloat(value));
+
+// astats log lines: "Channel: 1", "Peak level dB: -6.0", "RMS level dB: -20.1", ... "Overall"
+function parseAstats(lines) {
+    const channels = [];
+    let current = null;
+    lines.forEach(line => {
+        const channel = line.match(/\bChannel:\s*(\d+)/);
+        if (channel) {
+            current = { peakDb: null, rmsDb: null };
+            channels.push(current);
+            return;
+        }
+        if (/\]\s*Overall\s*$/.test(line)) current = null;
+        if (!current) return;
+        const peak = line.match(/Peak level dB:\s*(-?[\d.]+|-inf)/);
+        const rms = line.match(/RMS level dB:\s*(-?[\d.]+|-inf)/);
+        if (peak) current.peakDb = toDb(peak[1]);
+        if (rms) current.rmsDb = toDb(rms[1]);
+    });
+    return channels;
+}
+
+// Log lines of one pass with getChannelFilter(count).
+// Returns { channels: [{ name, rmsDb, peakDb, isSilent }], correlation, phaseInverted, dualMono } or null.
+function parseChannelStats(lines, count) {
+    const measured = parseAstats(lines);
+    const expected = count < 2 ? count : count + 2;
+    if (count < 1 || measured.length < expected) return null;
+
+    const round = value => (isFinite(value) ? Math.round(value * 10) / 10 : null);
+    const names = getChannelNames(count);
+    const channels = measured.slice(0, count).map((channel, i) => ({
+        name: names[i],
+        rmsDb: round(channel.rmsDb),
+        peakDb: round(channel.peakDb),
+        isSilent: channel.peakDb == null || channel.peakDb < SILENCE_PEAK
+    }));
+
+    const result = { channels, correlation: null, phaseInverted: false, dualMono: false };
+    if (count < 2 || channels[0].isSilent || channels[1].isSilent) return result;
+
+    const [mid, side] = measured.slice(count, count + 2).map(channel => channel.rmsDb);
+    const midPower = Math.pow(10, mid / 10);
+    const sidePower = Math.pow(10, side / 10);
+    if (midPower + sidePower > 0) {
+        result.correlation = Math.round(((midPower - sidePower) / (midPower + sidePower)) * 1000) / 1000;
+    }
+    result.phaseInverted = result.correlation != null && result.correlation <= PHASE_INVERTED;
+    result.dualMono = side - mid <= DUAL_MONO_SIDE;
+    return result;
+}
+
+// Issues in one segment's channel stats. A silent LFE is normal and a fully
+// silent mix is left to the overall silence check.
+function findChannelIssues(stats) {
+    const findings = [];
+    if (!stats || stats.channels.every(channel => channel.isSilent)) return findings;
+
+    stats.channels.forEach(channel => {
+        if (!channel.isSilent || channel.name === 'LFE') return;
+        findings.push({
+            key: `silence:${channel.name}`,
+            rule: 'silence',
+            details: `Channel ${channel.name} is silent (peak ${channel.peakDb != null ? `${channel.peakDb} dBFS` : '-inf'}) while the others carry audio`
+        });
+    });
+    if (stats.phaseInverted) {
+        findings.push({
+            key: 'phase',
+            rule: 'phase',
+            details: `L/R are out of phase (correlation ${stats.correlation}) - one channel looks inverted, a mono downmix cancels out`
+        });
+    }
+    if (stats.dualMono && stats.channels.length === 2) {
+        findings.push({
+            key: 'mono',
+            rule: 'mono',
+            details: 'Stereo audio carries the same signal on L and R (duplicated mono)'
+        });
+    }
+    return findings;
+}
+
+module.exports = { getChannelFilter, parseChannelStats, findChannelIssues };
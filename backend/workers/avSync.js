@@ -0,0 +1,79 @@
+// ============================================
+// A/V Sync
+// Within each analyzed segment the audio and video streams start at their own
+// PTS (ffprobe start_time) and run for their own duration. The offset between
+// the two starts is followed across consecutive segments: an offset beyond the
+// stream's tolerance, or one that changes suddenly (typically at an
+// EXT-X-DISCONTINUITY, where a new encoder or ad takes over), is reported.
+// Segment cuts leave up to one audio frame (~20-30 ms) of jitter on the offset.
+// Offsets are audio minus video, in ms: positive = audio starts later.
+// Findings: { key, rule: 'offset' | 'jump', details }
+// ============================================
+
+const PTS_WRAP = Math.pow(2, 33) / 90000; // s, MPEG-TS timestamps wrap at 33 bits
+const MAX_COMPARED_GAP = 3;               // Unanalyzed segments the offset may be compared across
+
+const toSeconds = value => (value == null || !isFinite(parseFloat(value)) ? null : parseFloat(value));
+
+// ffprobe streams of one segment -> { offset, durationDelta, videoStart, audioStart } or
+// null when there isn't both a video and an audio stream with timestamps
+function measureAvOffset(video, audio) {
+    const videoStart = toSeconds(video?.start_time);
+    const audioStart = toSeconds(audio?.start_time);
+    if (videoStart == null || audioStart == null) return null;
+
+    let difference = audioStart - videoStart;
+    // One stream's timestamps wrapped around and the other's didn't yet
+    if (Math.abs(difference) > PTS_WRAP / 2) difference -= Math.sign(difference) * PTS_WRAP;
+
+    const videoDuration = toSeconds(video.duration);
+    const audioDuration = toSeconds(audio.duration);
+    return {
+        offset: Math.round(difference * 1000),
+        durationDelta: videoDuration != null && audioDuration != null ? Math.round((audioDuration - videoDuration) * 1000) : null,
+        videoStart,
+        audioStart
+    };
+}
+
+function createSyncState() {
+    return { lastSequence: null, lastTimeline: null, lastOffset: null, reported: new Set() };
+}
+
+const describeOffset = offset => (offset === 0 ? 'in step with' : `${Math.abs(offset)} ms ${offset > 0 ? 'behind' : 'ahead of'}`);
+
+// Follow the offset into the next analyzed segment ({ sequence, timeline, avSync }).
+// limits: { tolerance, jump } in ms (null = not checked).
+// Returns the findings of this segment, or null for a segment seen before.
+function trackAvSync(state, analysis, limits) {
+    if (analysis.sequence === state.lastSequence) return null;
+    const { offset } = analysis.avSync;
+    const gap = state.lastSequence != null ? analysis.sequence - state.lastSequence - 1 : -1;
+    const comparable = state.lastOffset != null && gap >= 0 && gap <= MAX_COMPARED_GAP;
+    const acrossDiscontinuity = state.lastTimeline != null && analysis.timeline !== state.lastTimeline;
+
+    const findings = [];
+    if (limits.tolerance != null && Math.abs(offset) > limits.tolerance) {
+        findings.push({
+            key: 'offset',
+            rule: 'offset',
+            details: `Audio starts ${describeOffset(offset)} video in segment ${analysis.sequence} (tolerance ±${limits.tolerance} ms)`
+        });
+    }
+    const change = comparable ? offset - state.lastOffset : null;
+    if (limits.jump != null && change != null && Math.abs(change) > limits.jump) {
+        findings.push({
+            key: 'jump',
+            rule: 'jump',
+            details: `A/V offset changed by ${change > 0 ? '+' : ''}${change} ms (${state.lastOffset} ms -> ${offset} ms) ` +
+                `at segment ${analysis.sequence}${acrossDiscontinuity ? ', across a discontinuity' : ''}`
+        });
+    }
+
+    state.lastSequence = analysis.sequence;
+    state.lastTimeline = analysis.timeline;
+    state.lastOffset = offset;
+    return { findings, change, acrossDiscontinuity };
+}
+
+module.exports = { measureAvOffset, createSyncState, trackAvSync };
@@ -0,0 +1,167 @@
+// ============================================
+// Variant Compliance
+// Declared EXT-X-STREAM-INF attributes (BANDWIDTH, AVERAGE-BANDWIDTH, CODECS,
+// RESOLUTION) against what the variant actually delivers: segment bitrates
+// from the segment probes, codecs and resolution from an ffprobe sample.
+// Findings: { key, rule: 'bitrate' | 'codec' | 'resolution', details }
+// ============================================
+
+const BITRATE_TOLERANCE = 1.1; // Measured bitrate may exceed the declared value by 10%
+
+// H.264 profile_idc (first byte after "avc1.") -> ffprobe profile names
+const AVC_PROFILES = {
+    0x42: ['Baseline', 'Constrained Baseline'],
+    0x4d: ['Main'],
+    0x58: ['Extended'],
+    0x64: ['High'],
+    0x6e: ['High 10', 'High 10 Intra'],
+    0x7a: ['High 4:2:2', 'High 4:2:2 Intra'],
+    0xf4: ['High 4:4:4 Predictive', 'High 4:4:4 Intra']
+};
+
+// HEVC general_profile_idc -> ffprobe profile names
+const HEVC_PROFILES = { 1: ['Main'], 2: ['Main 10'], 3: ['Main Still Picture'], 4: ['Rext'] };
+
+// mp4a.40.<object type> -> ffprobe profile names
+const AAC_PROFILES = { 2: ['LC'], 5: ['HE-AAC'], 29: ['HE-AACv2'], 23: ['LD'], 39: ['ELD'] };
+
+// Sample entry / RFC 6381 prefix -> [stream type, ffprobe codec_name]
+const CODEC_FAMILIES = {
+    avc1: ['video', 'h264'], avc3: ['video', 'h264'],
+    hvc1: ['video', 'hevc'], hev1: ['video', 'hevc'],
+    dvh1: ['video', 'hevc'], dvhe: ['video', 'hevc'],
+    av01: ['video', 'av1'],
+    vp09: ['video', 'vp9'],
+    mp4a: ['audio', 'aac'],
+    'ac-3': ['audio', 'ac3'],
+    'ec-3': ['audio', 'eac3'],
+    opus: ['audio', 'opus'],
+    fLaC: ['audio', 'flac'],
+    wvtt: ['subtitle', 'webvtt'],
+    stpp: ['subtitle', 'ttml']
+};
+
+// "avc1.4d401f,mp4a.40.2" -> [{ raw, type, codec, profiles, level }]
+function parseCodecs(codecs) {
+    return (codecs || '').split(',').map(raw => raw.trim()).filter(Boolean).map(raw => {
+        const [prefix, ...rest] = raw.split('.');
+        const [type, codec] = CODEC_FAMILIES[prefix] || [null, prefix];
+        const entry = { raw, type, codec, profiles: null, level: null };
+
+        if (codec === 'h264' && /^[0-9a-f]{6}$/i.test(rest[0] || '')) {
+            entry.profiles = AVC_PROFILES[parseInt(rest[0].slice(0, 2), 16)] || null;
+            entry.level = parseInt(rest[0].slice(4, 6), 16);
+        } else if (codec === 'hevc') {
+            // hvc1.<space><profile>.<compat>.<tier><level>..., e.g. hvc1.2.4.L153.B0
+            const profile = parseInt((rest[0] || '').replace(/^[A-C]/, ''));
+            entry.profiles = HEVC_PROFILES[profile] || null;
+            const level = (rest[2] || '').match(/^[LH](\d+)/);
+            if (level) entry.level = parseInt(level[1]);
+        } else if (prefix === 'mp4a') {
+            if (rest[1] === '34') {
+                entry.codec = 'mp3';
+            } else {
+                entry.profiles = AAC_PROFILES[parseInt(rest[1])] || null;
+            }
+        }
+        return entry;
+    });
+}
+
+// Peak and average bitrate (bits/s) over the variant's recent segments
+function measureBitrates(segmentBitrates) {
+    if (!segmentBitrates || segmentBitrates.length === 0) return null;
+    return {
+        peak: Math.max(...segmentBitrates),
+        average: Math.round(segmentBitrates.reduce((sum, value) => sum + value, 0) / segmentBitrates.length)
+    };
+}
+
+function checkBitrates(declared, measured) {
+    const findings = [];
+    if (!measured) return findings;
+    const kbps = bits => `${Math.round(bits / 1000)}kbps`;
+
+    if (declared.bandwidth && measured.peak > declared.bandwidth * BITRATE_TOLERANCE) {
+        findings.push({
+            key: 'bitrate:peak',
+            rule: 'bitrate',
+            details: `Peak segment bitrate ${kbps(measured.peak)} exceeds BANDWIDTH ${kbps(declared.bandwidth)}`
+        });
+    }
+
+    const averageLimit = declared.averageBandwidth || declared.bandwidth;
+    const averageAttribute = declared.averageBandwidth ? 'AVERAGE-BANDWIDTH' : 'BANDWIDTH';
+    if (averageLimit && measured.average > averageLimit * BITRATE_TOLERANCE) {
+        findings.push({
+            key: 'bitrate:average',
+            rule: 'bitrate',
+            details: `Average segment bitrate ${kbps(measured.average)} exceeds ${averageAttribute} ${kbps(averageLimit)}`
+        });
+    }
+    return findings;
+}
+
+// Compare CODECS and RESOLUTION with ffprobe's streams for a sample segment.
+// declared: { codecs, resolution, audioGroup }
+function checkProbe(declared, streams) {
+    const findings = [];
+    const probed = (streams || []).filter(s => s.codec_type === 'video' || s.codec_type === 'audio');
+
+    if (declared.codecs) {
+        const entries = parseCodecs(declared.codecs).filter(entry => entry.type === 'video' || entry.type === 'audio');
+
+        entries.forEach(entry => {
+            const match = probed.find(s => s.codec_type === entry.type && s.codec_name === entry.codec);
+            // With an AUDIO group, the declared audio codec may live in the rendition instead
+            if (!match && entry.type === 'audio' && declared.audioGroup && !probed.some(s => s.codec_type === 'audio')) return;
+            if (!match) {
+                const actual = probed.filter(s => s.codec_type === entry.type).map(s => s.codec_name).join(', ') || `no ${entry.type}`;
+                findings.push({
+                    key: `codec:${entry.raw}`,
+                    rule: 'codec',
+                    details: `CODECS declares ${entry.raw} (${entry.codec}) but the segment has ${actual}`
+                });
+                return;
+            }
+
+            if (entry.profiles && match.profile && !entry.profiles.includes(match.profile)) {
+                findings.push({
+                    key: `profile:${entry.raw}`,
+                    rule: 'codec',
+                    details: `CODECS declares ${entry.raw} (${entry.profiles[0]} profile) but the segment is ${match.profile}`
+                });
+            }
+            if (entry.level && match.level > 0 && match.level > entry.level) {
+                findings.push({
+                    key: `level:${entry.raw}`,
+                    rule: 'codec',
+                    details: `CODECS declares ${entry.raw} (level ${entry.level}) but the segment uses level ${match.level}`
+                });
+            }
+        });
+
+        // Streams the playlist doesn't mention (an undeclared audio track, say)
+        probed.forEach(s => {
+            if (entries.some(entry => entry.type === s.codec_type)) return;
+            findings.push({
+                key: `undeclared:${s.codec_type}`,
+                rule: 'codec',
+                details: `Segment has a ${s.codec_type} stream (${s.codec_name}) that CODECS does not declare`
+            });
+        });
+    }
+
+    const video = probed.find(s => s.codec_type === 'video');
+    if (declared.resolution && video && `${video.width}x${video.height}` !== declared.resolution) {
+        findings.push({
+            key: 'resolution',
+            rule: 'resolution',
+            details: `RESOLUTION declares ${declared.resolution} but the segment is ${video.width}x${video.height}`
+        });
+    }
+
+    return findings;
+}
+
+module.exports = { parseCodecs, measureBitrates, checkBitrates, checkProbe };
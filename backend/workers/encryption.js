@@ -0,0 +1,70 @@
+// ============================================
+// EXT-X-KEY Helpers
+// Key retrieval (with a small cache shared by monitor and processor)
+// and AES-128 segment decryption
+// ============================================
+const crypto = require('crypto');
+const { streamRequest } = require('./requestConfig');
+
+const KEY_TIMEOUT = 10000;
+const KEY_CACHE_TTL = 5 * 60 * 1000; // Keys are re-fetched at least every 5 minutes
+const keyCache = new Map(); // url -> { key: Buffer, fetchedAt }
+
+// Only keys we can fetch over HTTP; skd:// (FairPlay) and data: URIs are left alone
+function isFetchableKey(keyInfo) {
+    return !!keyInfo && keyInfo.method !== 'NONE' && /^https?:\/\//i.test(keyInfo.url || '');
+}
+
+async function fetchKey(stream, url) {
+    const response = await streamRequest(stream, { url, responseType: 'arraybuffer', timeout: KEY_TIMEOUT });
+    const key = Buffer.from(response.data);
+    if (key.length !== 16) {
+        throw new Error(`Key is ${key.length} bytes, expected 16`);
+    }
+    return key;
+}
+
+// Cached key lookup. maxAge lets the monitor force fresher checks than the processor needs.
+async function getKey(stream, url, maxAge = KEY_CACHE_TTL) {
+    const cached = keyCache.get(url);
+    if (cached && Date.now() - cached.fetchedAt < maxAge) return cached.key;
+
+    const key = await fetchKey(stream, url);
+    keyCache.set(url, { key, fetchedAt: Date.now() });
+
+    // Keep the cache from growing forever on streams that rotate keys
+    for (const [cachedUrl, entry] of keyCache) {
+        if (Date.now() - entry.fetchedAt > KEY_CACHE_TTL * 2) keyCache.delete(cachedUrl);
+    }
+    return key;
+}
+
+// IV from the EXT-X-KEY IV attribute (parsed as four 32-bit words), or
+// the segment's media sequence number as a 128-bit big-endian integer
+function getIv(keyInfo, sequence) {
+    const iv = Buffer.alloc(16);
+    if (keyInfo.iv) {
+        for (let i = 0; i < 4; i++) iv.writeUInt32BE(keyInfo.iv[i] >>> 0, i * 4);
+    } else {
+        iv.writeBigUInt64BE(BigInt(sequence), 8);
+    }
+    return iv;
+}
+
+function describeKey(keyInfo) {
+    if (!keyInfo || keyInfo.method === 'NONE') return null;
+    const iv = keyInfo.iv ? getIv(keyInfo, 0).toString('hex') : 'sequence';
+    return `${keyInfo.method}|${keyInfo.uri}|${iv}`;
+}
+
+// Compare keys across polls without keeping them around in logs or state dumps
+function keyFingerprint(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function decryptAes128(data, key, iv) {
+    const decipher = crypto.createDecipheriv('aes-128-cbc', key, iv);
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+module.exports = { isFetchableKey, getKey, getIv, describeKey, keyFingerprint, decryptAes128 };
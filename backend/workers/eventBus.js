@@ -0,0 +1,93 @@
+// ============================================
+// Cross-Instance Event Bus (distributed mode)
+// Monitor workers publish socket events into a capped MongoDB collection;
+// every web instance tails it and re-emits to its own socket clients.
+// ============================================
+const mongoose = require('mongoose');
+const MonitorEvent = require('../models/MonitorEvent');
+
+const TAIL_RETRY_DELAY = 2000; // ms before re-opening a closed tailable cursor
+const RESUME_LOOKBACK = 30;    // s re-read when re-opening: events from other workers aren't stored in _id order
+
+// Documents (the whole stream, on every poll) are published as a reference and read
+// back by the relaying instance; anything else is serialized like socket.io would
+function toEvent(data) {
+    if (data instanceof mongoose.Document) {
+        return { data: null, ref: { model: data.constructor.modelName, id: data._id } };
+    }
+    return { data: JSON.parse(JSON.stringify(data ?? null)) };
+}
+
+// Drop-in for `io` on the publishing side: emit() stores the event instead
+function createPublisher(source) {
+    return {
+        emit(event, data) {
+            MonitorEvent.create({ event, ...toEvent(data), source, date: new Date() })
+                .catch(err => console.error(`[EVENTS] Failed to publish ${event}: ${err.message}`));
+        }
+    };
+}
+
+// The payload to relay, or undefined when a referenced document is gone by now.
+// Not lean, so the model's toJSON (masked secrets) applies.
+async function loadData(doc) {
+    if (!doc.ref) return doc.data;
+    const found = await mongoose.model(doc.ref.model).findById(doc.ref.id);
+    return found ? JSON.parse(JSON.stringify(found)) : undefined;
+}
+
+// Relay every event published from now on to this instance's socket clients
+function subscribe(io) {
+    let lastId = mongoose.Types.ObjectId.createFromTime(Math.floor(Date.now() / 1000));
+    const relayed = new Map(); // _id -> ObjectId seconds, of the events within the lookback
+    let relaying = Promise.resolve();
+
+    const relay = doc => {
+        const seconds = doc._id.getTimestamp().getTime() / 1000;
+        relayed.set(doc._id.toString(), seconds);
+        if (doc._id.getTimestamp() > lastId.getTimestamp()) lastId = doc._id;
+        relayed.forEach((time, id) => {
+            if (time < seconds - RESUME_LOOKBACK) relayed.delete(id);
+        });
+
+        // One at a time, so loading a document doesn't reorder events
+        relaying = relaying
+            .then(() => loadData(doc))
+            .then(data => { if (data !== undefined) io.emit(doc.event, data); })
+            .catch(err => console.error(`[EVENTS] Failed to relay ${doc.event}: ${err.message}`));
+    };
+
+    const tail = (resuming) => {
+        let retrying = false;
+        const retry = () => {
+            if (retrying) return;
+            retrying = true;
+            setTimeout(() => tail(true), TAIL_RETRY_DELAY);
+        };
+
+        // Re-read a little before the last relayed event and skip what was seen already
+        const from = resuming
+            ? mongoose.Types.ObjectId.createFromTime(Math.floor(lastId.getTimestamp().getTime() / 1000) - RESUME_LOOKBACK)
+            : lastId;
+
+        // A tailable cursor on an empty capped collection closes straight away; just retry
+        const cursor = MonitorEvent.find({ _id: { $gte: from } })
+            .tailable(true, { awaitData: true })
+            .lean()
+            .cursor();
+
+        cursor.on('data', doc => {
+            if (!relayed.has(doc._id.toString())) relay(doc);
+        });
+        cursor.on('error', err => {
+            console.error(`[EVENTS] Subscription error: ${err.message}`);
+            retry();
+        });
+        cursor.on('end', retry);
+    };
+
+    console.log('[EVENTS] Relaying monitor events from MongoDB');
+    tail(false);
+}
+
+module.exports = { createPublisher, subscribe };
@@ -0,0 +1,103 @@
+// ============================================
+// Response Header Checks
+// Headers players depend on: Content-Type (RFC 8216 section 4 and the segment
+// formats), Cache-Control on live playlists, and CORS for browser players.
+// Findings: { key, details } - keys are stable so callers can report each once.
+// ============================================
+
+const PLAYLIST_TYPES = ['application/vnd.apple.mpegurl', 'audio/mpegurl', 'application/x-mpegurl'];
+
+// Segment extension -> accepted Content-Types
+const SEGMENT_TYPES = {
+    ts: ['video/mp2t'],
+    aac: ['audio/aac', 'audio/x-aac'],
+    ac3: ['audio/ac3'],
+    ec3: ['audio/eac3'],
+    mp3: ['audio/mpeg'],
+    mp4: ['video/mp4', 'audio/mp4', 'video/iso.segment'],
+    m4s: ['video/iso.segment', 'video/mp4', 'audio/mp4'],
+    m4v: ['video/mp4', 'video/iso.segment'],
+    m4a: ['audio/mp4', 'video/iso.segment'],
+    cmfv: ['video/mp4', 'video/iso.segment'],
+    cmfa: ['audio/mp4', 'video/iso.segment'],
+    vtt: ['text/vtt'],
+    webvtt: ['text/vtt']
+};
+
+function getMimeType(headers) {
+    return (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+function getExtension(url) {
+    const path = url.split('?')[0].split('#')[0];
+    const dot = path.lastIndexOf('.');
+    return dot > path.lastIndexOf('/') ? path.slice(dot + 1).toLowerCase() : '';
+}
+
+// Cache lifetime in seconds from Cache-Control (s-maxage wins for CDNs), or
+// 0 for no-cache/no-store, or null when the header doesn't say
+function getMaxAge(headers) {
+    const directives = (headers['cache-control'] || '').toLowerCase().split(',').map(d => d.trim());
+    if (directives.includes('no-store') || directives.includes('no-cache')) return 0;
+
+    const sMaxAge = directives.find(d => d.startsWith('s-maxage='));
+    const maxAge = directives.find(d => d.startsWith('max-age='));
+    const value = sMaxAge || maxAge;
+    return value ? parseInt(value.split('=')[1]) : null;
+}
+
+function checkCors(headers, key, subject, findings) {
+    if (!headers['access-control-allow-origin']) {
+        findings.push({ key, details: `${subject} has no Access-Control-Allow-Origin header - browser players on other origins cannot load it` });
+    }
+}
+
+// options: { live, targetDuration } - live media playlists must not be cached
+// for longer than a target duration, or players keep reloading a stale copy
+function checkPlaylistHeaders(headers, options = {}) {
+    const findings = [];
+    const mimeType = getMimeType(headers);
+
+    if (!PLAYLIST_TYPES.includes(mimeType)) {
+        findings.push({
+            key: 'content-type',
+            details: `Content-Type is "${mimeType || 'missing'}", expected application/vnd.apple.mpegurl`
+        });
+    }
+
+    if (options.live) {
+        const maxAge = getMaxAge(headers);
+        if (maxAge === null) {
+            findings.push({
+                key: 'cache-control',
+                details: 'Live playlist has no Cache-Control max-age - caches may serve it stale'
+            });
+        } else if (options.targetDuration && maxAge > options.targetDuration) {
+            findings.push({
+                key: 'cache-control',
+                details: `Live playlist is cacheable for ${maxAge}s, longer than its target duration (${options.targetDuration}s)`
+            });
+        }
+    }
+
+    checkCors(headers, 'cors', 'Playlist', findings);
+    return findings;
+}
+
+function checkSegmentHeaders(url, headers) {
+    const findings = [];
+    const expected = SEGMENT_TYPES[getExtension(url)];
+    const mimeType = getMimeType(headers);
+
+    if (expected && !expected.includes(mimeType)) {
+        findings.push({
+            key: 'segment-content-type',
+            details: `Segment Content-Type is "${mimeType || 'missing'}", expected ${expected[0]}`
+        });
+    }
+
+    checkCors(headers, 'segment-cors', 'Segment', findings);
+    return findings;
+}
+
+module.exports = { checkPlaylistHeaders, checkSegmentHeaders };
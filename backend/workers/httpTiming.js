@@ -0,0 +1,136 @@
+// ============================================
+// HTTP Timing
+// axios requests with a per-phase timing breakdown (DNS, connect, TLS, time to
+// first byte, total), the responding CDN edge (Via, X-Cache, Age, provider) and
+// the redirects followed on the way.
+// Each request gets its own agent without keep-alive, so every phase is
+// measured instead of hidden behind a reused connection.
+// https requests through a proxy are tunnelled with CONNECT (axios' own proxy
+// support only speaks plain HTTP to the proxy).
+// ============================================
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const axios = require('axios');
+
+function watchSocket(socket, marks) {
+    socket.once('lookup', () => { marks.lookup = Date.now(); });
+    socket.once('connect', () => { marks.connect = Date.now(); });
+    socket.once('secureConnect', () => { marks.secureConnect = Date.now(); });
+    socket.once('data', () => { if (!marks.firstByte) marks.firstByte = Date.now(); });
+}
+
+// TLS connection to the target through an HTTP proxy's CONNECT tunnel.
+// proxy: axios-style { host, port, auth: { username, password } }
+function connectThroughProxy(proxy, options, marks, callback) {
+    const headers = {};
+    if (proxy.auth) {
+        headers['Proxy-Authorization'] = `Basic ${Buffer.from(`${proxy.auth.username}:${proxy.auth.password}`).toString('base64')}`;
+    }
+    const request = http.request({
+        host: proxy.host,
+        port: proxy.port,
+        method: 'CONNECT',
+        path: `${options.host}:${options.port || 443}`,
+        headers
+    });
+
+    request.once('socket', socket => socket.once('lookup', () => { marks.lookup = Date.now(); }));
+    request.once('connect', (response, socket) => {
+        if (response.statusCode !== 200) {
+            socket.destroy();
+            callback(new Error(`Proxy refused the tunnel with status code ${response.statusCode}`));
+            return;
+        }
+        marks.connect = Date.now();
+        const secureSocket = tls.connect({ ...options, socket });
+        secureSocket.once('secureConnect', () => { marks.secureConnect = Date.now(); });
+        secureSocket.once('data', () => { if (!marks.firstByte) marks.firstByte = Date.now(); });
+        callback(null, secureSocket);
+    });
+    request.once('error', callback);
+    request.end();
+}
+
+// Agent that timestamps the socket events of the connections it opens
+function createTimingAgent(secure, marks, tunnelProxy = null) {
+    const agent = secure ? new https.Agent({ keepAlive: false }) : new http.Agent({ keepAlive: false });
+    const createConnection = agent.createConnection.bind(agent);
+
+    agent.createConnection = (options, callback) => {
+        if (tunnelProxy) {
+            connectThroughProxy(tunnelProxy, options, marks, callback);
+            return undefined;
+        }
+        const socket = createConnection(options, callback);
+        watchSocket(socket, marks);
+        return socket;
+    };
+    return agent;
+}
+
+// Phase durations in ms. DNS is null for IP literals (no lookup), TLS for plain http.
+function toTiming(marks, end) {
+    const { start, lookup, connect, secureConnect, firstByte } = marks;
+    return {
+        dns: lookup ? lookup - start : null,
+        connect: connect ? connect - (lookup || start) : null,
+        tls: secureConnect && connect ? secureConnect - connect : null,
+        ttfb: firstByte ? firstByte - (secureConnect || connect || start) : null,
+        total: end - start
+    };
+}
+
+// CDN provider from its signature headers, or the Server header when there is none
+function identifyCdn(headers) {
+    const server = (headers.server || '').toLowerCase();
+    const via = (headers.via || '').toLowerCase();
+    if (headers['cf-ray'] || server === 'cloudflare') return 'Cloudflare';
+    if (headers['x-amz-cf-id'] || via.includes('cloudfront')) return 'CloudFront';
+    if (headers['x-akamai-request-id'] || server.includes('akamai')) return 'Akamai';
+    if (headers['x-fastly-request-id'] || /^cache-/.test(headers['x-served-by'] || '')) return 'Fastly';
+    if (headers['x-azure-ref']) return 'Azure Front Door';
+    if (via.includes('google')) return 'Google Cloud CDN';
+    return headers.server || null;
+}
+
+// The CDN edge that answered, from the usual cache headers
+function getEdge(headers = {}) {
+    const age = parseInt(headers.age);
+    return {
+        via: headers.via || null,
+        cache: headers['x-cache'] || headers['cf-cache-status'] || null,
+        age: isNaN(age) ? null : age,
+        cdn: identifyCdn(headers)
+    };
+}
+
+// axios.request with `timing`, `edge`, `redirects` ([{ status, url }] - each
+// redirect and where it led) and `finalUrl` added to the response - or to the
+// error, when the request fails
+async function timedRequest(config) {
+    const marks = { start: Date.now() };
+    const redirects = [];
+    const beforeRedirect = (options, response) => redirects.push({ status: response.statusCode, url: options.href });
+    const tunnelProxy = config.proxy && /^https:/i.test(config.url) ? config.proxy : null;
+    const agents = {
+        httpAgent: createTimingAgent(false, marks),
+        httpsAgent: createTimingAgent(true, marks, tunnelProxy)
+    };
+
+    try {
+        const response = await axios.request({ ...config, ...agents, beforeRedirect, proxy: tunnelProxy ? false : config.proxy });
+        response.timing = toTiming(marks, Date.now());
+        response.edge = getEdge(response.headers);
+        response.redirects = redirects;
+        response.finalUrl = redirects.length > 0 ? redirects[redirects.length - 1].url : config.url;
+        return response;
+    } catch (err) {
+        err.timing = toTiming(marks, Date.now());
+        err.edge = getEdge(err.response?.headers);
+        err.redirects = redirects;
+        throw err;
+    }
+}
+
+module.exports = { timedRequest, getEdge };
@@ -0,0 +1,60 @@
+// ============================================
+// fMP4 / CMAF Helpers
+// EXT-X-MAP init segments (cached and fingerprinted) and EXT-X-BYTERANGE requests
+// ============================================
+const crypto = require('crypto');
+const { streamRequest } = require('./requestConfig');
+
+const INIT_TIMEOUT = 10000;
+const INIT_CACHE_TTL = 5 * 60 * 1000; // Init segments are re-fetched at least every 5 minutes
+const initCache = new Map(); // url + range -> { data: Buffer, fingerprint, fetchedAt }
+
+// Range header for a parsed EXT-X-BYTERANGE ({ length, offset }), or none
+function getRangeHeaders(byterange) {
+    if (!byterange) return {};
+    const start = byterange.offset || 0;
+    return { Range: `bytes=${start}-${start + byterange.length - 1}` };
+}
+
+// "init.mp4" or "init.mp4 [700@0]" - byte-range segments share a URI, so the
+// range is part of what identifies them
+function describeRange(uri, byterange) {
+    return byterange ? `${uri} [${byterange.length}@${byterange.offset || 0}]` : uri;
+}
+
+async function fetchInitSegment(stream, url, byterange) {
+    const response = await streamRequest(stream, {
+        url,
+        responseType: 'arraybuffer',
+        timeout: INIT_TIMEOUT,
+        headers: getRangeHeaders(byterange)
+    });
+    const data = Buffer.from(response.data);
+    if (data.length === 0) {
+        throw new Error('Init segment is empty');
+    }
+    return data;
+}
+
+// Cached init segment lookup. maxAge lets the monitor check for changes more often
+// than the processor needs a fresh copy.
+async function getInitSegment(stream, url, byterange = null, maxAge = INIT_CACHE_TTL) {
+    const cacheKey = describeRange(url, byterange);
+    const cached = initCache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < maxAge) return cached;
+
+    const data = await fetchInitSegment(stream, url, byterange);
+    const entry = {
+        data,
+        fingerprint: crypto.createHash('sha256').update(data).digest('hex').slice(0, 16),
+        fetchedAt: Date.now()
+    };
+    initCache.set(cacheKey, entry);
+
+    for (const [key, value] of initCache) {
+        if (Date.now() - value.fetchedAt > INIT_CACHE_TTL * 2) initCache.delete(key);
+    }
+    return entry;
+}
+
+module.exports = { getRangeHeaders, describeRange, getInitSegment };
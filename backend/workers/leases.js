@@ -0,0 +1,124 @@
+// ============================================
+// Stream Leases (distributed mode)
+// Each worker claims a fair share of the streams through leases in MongoDB and
+// renews them while it runs. A worker that dies stops renewing, its leases
+// expire, and the surviving workers pick the streams up on their next round.
+// ============================================
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const StreamLease = require('../models/StreamLease');
+const MonitorWorker = require('../models/MonitorWorker');
+
+const LEASE_TTL = 30000;  // ms a lease stays valid without renewal
+const WORKER_TTL = 30000; // ms without a heartbeat before a worker no longer counts toward the share
+
+function createWorkerId() {
+    return `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+}
+
+function createLeaseManager(workerId) {
+    const owned = new Set();
+
+    // Register this worker and return how many workers are alive (including this one)
+    async function heartbeat() {
+        await MonitorWorker.updateOne(
+            { workerId },
+            {
+                $set: { host: os.hostname(), pid: process.pid, lastHeartbeat: new Date(), streamCount: owned.size },
+                $setOnInsert: { startedAt: new Date() }
+            },
+            { upsert: true }
+        );
+        return MonitorWorker.countDocuments({ lastHeartbeat: { $gt: new Date(Date.now() - WORKER_TTL) } });
+    }
+
+    // Extend our leases. Returns streams whose lease another worker took over
+    // (only possible if we failed to renew in time, e.g. a stalled event loop).
+    async function renew() {
+        if (owned.size === 0) return [];
+
+        await StreamLease.updateMany(
+            { workerId, streamId: { $in: [...owned] } },
+            { $set: { expiresAt: new Date(Date.now() + LEASE_TTL) } }
+        );
+        const held = new Set((await StreamLease.distinct('streamId', { workerId })).map(String));
+        const lost = [...owned].filter(id => !held.has(id));
+        lost.forEach(id => owned.delete(id));
+        return lost;
+    }
+
+    // Take a stream that has no lease or whose lease expired. Losing the race
+    // against another worker shows up as a duplicate key on the upsert.
+    async function claim(streamId) {
+        const now = new Date();
+        try {
+            await StreamLease.findOneAndUpdate(
+                { streamId, expiresAt: { $lt: now } },
+                { $set: { workerId, claimedAt: now, expiresAt: new Date(now.getTime() + LEASE_TTL) } },
+                { upsert: true }
+            );
+            owned.add(streamId);
+            return true;
+        } catch (err) {
+            if (err.code === 11000) return false;
+            throw err;
+        }
+    }
+
+    async function release(streamId) {
+        owned.delete(streamId);
+        await StreamLease.deleteOne({ streamId, workerId });
+    }
+
+    // One balancing round against the current stream list: renew, drop deleted
+    // streams, then claim free streams up to a fair share - or hand one back when
+    // over it, so a newly started worker takes load over gradually.
+    // Returns the ids this worker should be polling.
+    async function rebalance(streamIds) {
+        const workers = await heartbeat();
+
+        const lost = await renew();
+        lost.forEach(id => console.warn(`[LEASE] ${workerId}: lost stream ${id} to another worker`));
+
+        const existing = new Set(streamIds);
+        for (const id of [...owned]) {
+            if (!existing.has(id)) await release(id);
+        }
+
+        const share = Math.ceil(streamIds.length / Math.max(1, workers));
+        if (owned.size < share) {
+            const taken = new Set((await StreamLease.distinct('streamId', { expiresAt: { $gt: new Date() } })).map(String));
+            for (const id of streamIds) {
+                if (owned.size >= share) break;
+                if (owned.has(id) || taken.has(id)) continue;
+                if (await claim(id)) console.log(`[LEASE] ${workerId}: claimed stream ${id}`);
+            }
+        } else if (owned.size > share) {
+            const id = [...owned].pop();
+            await release(id);
+            console.log(`[LEASE] ${workerId}: handed stream ${id} back (${owned.size}/${share} after rebalancing)`);
+        }
+
+        return [...owned];
+    }
+
+    // Whether this worker still holds an unexpired lease on the stream. Checked
+    // right before writing, as a stalled worker's lease may have been taken over
+    // since the last round.
+    async function holds(streamId) {
+        const held = await StreamLease.exists({ streamId, workerId, expiresAt: { $gt: new Date() } });
+        if (!held) owned.delete(streamId);
+        return !!held;
+    }
+
+    // Graceful shutdown: free every stream right away instead of waiting for expiry
+    async function releaseAll() {
+        owned.clear();
+        await StreamLease.deleteMany({ workerId });
+        await MonitorWorker.deleteOne({ workerId });
+    }
+
+    return { rebalance, holds, releaseAll };
+}
+
+module.exports = { createWorkerId, createLeaseManager, LEASE_TTL, WORKER_TTL };
@@ -0,0 +1,149 @@
+// ============================================
+// Low-Latency HLS Helpers
+// EXT-X-PART / EXT-X-PRELOAD-HINT / EXT-X-SERVER-CONTROL handling
+// and blocking playlist reload (_HLS_msn / _HLS_part) URLs
+// ============================================
+
+const PART_MIN_RATIO = 0.85;     // Non-final parts should be at least 85% of PART-TARGET
+const PART_DURATION_EPSILON = 0.001; // Rounding slack when comparing part durations
+
+function getPartTarget(manifest) {
+    return manifest.partTargetDuration || manifest.partInf?.partTarget || 0;
+}
+
+// PART-HOLD-BACK as declared. m3u8-parser fills in a missing one and raises one
+// under twice PART-TARGET, so it is read from the tag when the raw text is there.
+function getPartHoldBack(manifest) {
+    if (manifest.raw === undefined) return manifest.serverControl?.partHoldBack;
+    const match = manifest.raw.match(/^#EXT-X-SERVER-CONTROL:.*\bPART-HOLD-BACK=([\d.]+)/m);
+    return match ? parseFloat(match[1]) : undefined;
+}
+
+// A playlist is LL-HLS when it declares a part target duration
+function isLowLatency(manifest) {
+    return getPartTarget(manifest) > 0;
+}
+
+// Media sequence number of the segment currently being built from parts
+function getPreloadSequence(manifest) {
+    return (manifest.mediaSequence || 0) + manifest.segments.length;
+}
+
+// The newest part in the playlist, with its media sequence number and part index
+function getLatestPart(manifest) {
+    const preloadParts = manifest.preloadSegment?.parts || [];
+    if (preloadParts.length > 0) {
+        return { msn: getPreloadSequence(manifest), index: preloadParts.length - 1, part: preloadParts[preloadParts.length - 1] };
+    }
+
+    const lastSegment = manifest.segments[manifest.segments.length - 1];
+    const parts = lastSegment?.parts || [];
+    if (parts.length === 0) return null;
+    return { msn: getPreloadSequence(manifest) - 1, index: parts.length - 1, part: parts[parts.length - 1] };
+}
+
+// The part a blocking reload should wait for: the one after the newest part
+function getNextPart(manifest) {
+    return {
+        msn: getPreloadSequence(manifest),
+        part: manifest.preloadSegment?.parts?.length || 0
+    };
+}
+
+// Does the playlist already contain the given part?
+function hasPart(manifest, { msn, part }) {
+    const preloadSequence = getPreloadSequence(manifest);
+    if (msn < preloadSequence) return true;
+    if (msn > preloadSequence) return false;
+    return (manifest.preloadSegment?.parts?.length || 0) > part;
+}
+
+function getBlockingReloadUrl(playlistUrl, { msn, part }) {
+    const url = new URL(playlistUrl);
+    url.searchParams.set('_HLS_msn', msn);
+    url.searchParams.set('_HLS_part', part);
+    return url.toString();
+}
+
+// Static LL-HLS checks of a single playlist.
+// Returns [{ key, rule, details }] where rule is 'serverControl' or 'partTarget';
+// `key` is stable across polls so callers can report each finding once.
+function lintLowLatency(manifest) {
+    const findings = [];
+    const partTarget = getPartTarget(manifest);
+    const serverControl = manifest.serverControl || {};
+    const partHoldBack = getPartHoldBack(manifest);
+
+    if (!serverControl.canBlockReload) {
+        findings.push({
+            key: 'no-block-reload',
+            rule: 'serverControl',
+            details: 'Playlist has EXT-X-PART-INF but EXT-X-SERVER-CONTROL lacks CAN-BLOCK-RELOAD=YES'
+        });
+    }
+
+    if (partHoldBack === undefined) {
+        findings.push({
+            key: 'no-part-hold-back',
+            rule: 'serverControl',
+            details: 'Playlist has EXT-X-PART-INF but EXT-X-SERVER-CONTROL lacks PART-HOLD-BACK'
+        });
+    } else if (partHoldBack < 2 * partTarget) {
+        findings.push({
+            key: 'short-part-hold-back',
+            rule: 'serverControl',
+            details: `PART-HOLD-BACK ${partHoldBack}s is less than twice PART-TARGET (${partTarget}s)`
+        });
+    }
+
+    if (!manifest.preloadSegment?.preloadHints?.length) {
+        findings.push({
+            key: 'no-preload-hint',
+            rule: 'serverControl',
+            details: 'Playlist has no EXT-X-PRELOAD-HINT for the next part'
+        });
+    }
+
+    // Part durations, for completed segments and the one being built
+    const groups = manifest.segments
+        .filter(seg => seg.parts && seg.parts.length > 0)
+        .map(seg => ({ parts: seg.parts, complete: true }));
+    if (manifest.preloadSegment?.parts?.length) {
+        groups.push({ parts: manifest.preloadSegment.parts, complete: false });
+    }
+
+    groups.forEach(({ parts, complete }) => {
+        parts.forEach((part, i) => {
+            if (part.duration > partTarget + PART_DURATION_EPSILON) {
+                findings.push({
+                    key: `long:${part.uri}`,
+                    rule: 'partTarget',
+                    details: `Part ${part.uri} is ${part.duration}s, longer than PART-TARGET ${partTarget}s`
+                });
+            }
+
+            // Only the last part of a segment may be short
+            const isFinal = complete && i === parts.length - 1;
+            if (!isFinal && part.duration < partTarget * PART_MIN_RATIO) {
+                findings.push({
+                    key: `short:${part.uri}`,
+                    rule: 'partTarget',
+                    details: `Part ${part.uri} is ${part.duration}s, under 85% of PART-TARGET ${partTarget}s`
+                });
+            }
+        });
+    });
+
+    return findings;
+}
+
+module.exports = {
+    getPartTarget,
+    getPartHoldBack,
+    isLowLatency,
+    getLatestPart,
+    getNextPart,
+    hasPart,
+    getBlockingReloadUrl,
+    lintLowLatency
+};
@@ -0,0 +1,207 @@
+// ============================================
+// Loudness (EBU R128 / ATSC A/85)
+// ffmpeg's ebur128 filter, run by workers/processor.js over each analyzed
+// segment, logs momentary (400 ms) and short-term (3 s) loudness every 100 ms
+// and a summary with the segment's integrated loudness, loudness range and
+// true peak. Those blocks are aggregated over a rolling window and over the
+// whole program the way BS.1770 gates them, so the window and program values
+// are real integrated loudness, not averages of per-segment figures.
+// Histograms: { "<LUFS * 10>": block count }
+// ============================================
+
+const LOUDNESS_FILTER = 'ebur128=peak=true:framelog=info';
+
+// Target (LUFS), tolerance (LU) and maximum true peak (dBTP) per standard
+const STANDARDS = {
+    EBU_R128: { target: -23, tolerance: 1, truePeak: -1 },
+    ATSC_A85: { target: -24, tolerance: 2, truePeak: -2 }
+};
+
+const ABSOLUTE_GATE = -70;      // LUFS
+const RELATIVE_GATE = -10;      // LU below the absolute-gated loudness (integrated)
+const RANGE_RELATIVE_GATE = -20; // LU below the absolute-gated loudness (loudness range)
+const BLOCK_STEP = 0.1;         // s between logged blocks
+
+const toNumber = value => (value == null || !isFinite(parseFloat(value)) ? null : parseFloat(value));
+
+// Log lines of one ebur128 pass:
+// "[Parsed_ebur128_0 @ 0x..] t: 1.2  TARGET:-23 LUFS  M: -24.1 S: -25.0  I: -24.3 LUFS ..."
+// then "Summary:" followed by "I: -23.0 LUFS", "LRA: 5.0 LU" and "Peak: -1.5 dBFS".
+// Returns { integrated, range, truePeak, momentary: [LUFS], shortTerm: [LUFS] } or null.
+function parseLoudness(lines) {
+    const loudness = { integrated: null, range: null, truePeak: null, momentary: [], shortTerm: [] };
+    let summary = false;
+
+    lines.forEach(line => {
+        if (/Summary:/.test(line)) summary = true;
+        if (!summary) {
+            const block = line.match(/\bt:\s*[\d.]+\s.*\bM:\s*(-?[\d.]+)\s+S:\s*(-?[\d.]+)/);
+            if (block) {
+                loudness.momentary.push(parseFloat(block[1]));
+                loudness.shortTerm.push(parseFloat(block[2]));
+            }
+            return;
+        }
+        const integrated = line.match(/^\s*I:\s*(-?[\d.]+|-inf)\s*LUFS/);
+        const range = line.match(/^\s*LRA:\s*(-?[\d.]+)\s*LU\b/);
+        const peak = line.match(/^\s*Peak:\s*(-?[\d.]+|-inf)\s*dBFS/);
+        if (integrated) loudness.integrated = toNumber(integrated[1]);
+        if (range) loudness.range = toNumber(range[1]);
+        if (peak) loudness.truePeak = toNumber(peak[1]);
+    });
+
+    return summary || loudness.momentary.length > 0 ? loudness : null;
+}
+
+// --- GATED AGGREGATION ---
+function createHistogram() {
+    return {};
+}
+
+function addBlocks(histogram, values) {
+    values.forEach(value => {
+        if (value < ABSOLUTE_GATE) return;
+        const bin = Math.round(value * 10);
+        histogram[bin] = (histogram[bin] || 0) + 1;
+    });
+    return histogram;
+}
+
+function toBins(histogram) {
+    return Object.entries(histogram).map(([bin, count]) => ({ loudness: bin / 10, count }));
+}
+
+// Energy mean of the blocks at or above `gate`, in LUFS (null when there are none)
+function meanLoudness(bins, gate) {
+    let energy = 0;
+    let count = 0;
+    bins.forEach(bin => {
+        if (bin.loudness < gate) return;
+        energy += Math.pow(10, bin.loudness / 10) * bin.count;
+        count += bin.count;
+    });
+    return count > 0 ? 10 * Math.log10(energy / count) : null;
+}
+
+// Integrated loudness (LUFS) of momentary blocks: absolute gate, then relative gate
+function integratedLoudness(histogram) {
+    const bins = toBins(histogram);
+    const ungated = meanLoudness(bins, ABSOLUTE_GATE);
+    return ungated == null ? null : meanLoudness(bins, ungated + RELATIVE_GATE);
+}
+
+// Loudness range (LU) of short-term blocks: the 10th to 95th percentile of the
+// gated distribution
+function loudnessRange(histogram) {
+    const bins = toBins(histogram).sort((a, b) => a.loudness - b.loudness);
+    const ungated = meanLoudness(bins, ABSOLUTE_GATE);
+    if (ungated == null) return null;
+
+    const gated = bins.filter(bin => bin.loudness >= ungated + RANGE_RELATIVE_GATE);
+    const total = gated.reduce((sum, bin) => sum + bin.count, 0);
+    const percentile = fraction => {
+        let seen = 0;
+        return gated.find(bin => (seen += bin.count) >= fraction * total).loudness;
+    };
+    return total > 0 ? percentile(0.95) - percentile(0.1) : null;
+}
+
+// Measured seconds in a histogram (gated-out blocks not included)
+function measuredDuration(histogram) {
+    return Object.values(histogram).reduce((sum, count) => sum + count, 0) * BLOCK_STEP;
+}
+
+// --- WINDOW AND PROGRAM ---
+// window: per-segment blocks [{ time, momentary, shortTerm, truePeak }] within the
+// rolling window; program: histograms and peak since monitoring began
+function createLoudnessState() {
+    return {
+        lastSequence: null,
+        window: [],
+        program: { since: Date.now(), momentary: createHistogram(), shortTerm: createHistogram(), truePeak: null },
+        reported: new Set()
+    };
+}
+
+// Add one analyzed segment ({ sequence, loudness }) analyzed at `now`; drops
+// blocks older than `windowLength` ms. Returns false for a segment seen before.
+function addSegment(state, content, now, windowLength) {
+    if (content.sequence === state.lastSequence) return false;
+    state.lastSequence = content.sequence;
+
+    const { momentary, shortTerm, truePeak } = content.loudness;
+    state.window.push({ time: now, momentary, shortTerm, truePeak });
+    state.window = state.window.filter(entry => now - entry.time <= windowLength);
+
+    addBlocks(state.program.momentary, momentary);
+    addBlocks(state.program.shortTerm, shortTerm);
+    if (truePeak != null) state.program.truePeak = Math.max(state.program.truePeak ?? -Infinity, truePeak);
+    return true;
+}
+
+function summarizeHistograms(momentary, shortTerm, truePeak) {
+    return {
+        integrated: integratedLoudness(momentary),
+        range: loudnessRange(shortTerm),
+        truePeak,
+        duration: measuredDuration(momentary)
+    };
+}
+
+// { integrated, range, truePeak, duration } of the rolling window and the program
+function measureLoudness(state) {
+    const momentary = createHistogram();
+    const shortTerm = createHistogram();
+    let truePeak = null;
+    state.window.forEach(entry => {
+        addBlocks(momentary, entry.momentary);
+        addBlocks(shortTerm, entry.shortTerm);
+        if (entry.truePeak != null) truePeak = Math.max(truePeak ?? -Infinity, entry.truePeak);
+    });
+
+    const { program } = state;
+    return {
+        window: summarizeHistograms(momentary, shortTerm, truePeak),
+        program: { ...summarizeHistograms(program.momentary, program.shortTerm, program.truePeak), since: new Date(program.since) }
+    };
+}
+
+// Deviations from the standard/target: { key, rule: 'loudness' | 'truePeak', details }.
+// Nothing is judged before `minDuration` seconds have been measured.
+function checkLoudness(measured, limits, minDuration) {
+    const findings = [];
+    const format = value => value.toFixed(1);
+
+    [['window', 'Rolling window'], ['program', 'Program']].forEach(([key, label]) => {
+        const { integrated, duration } = measured[key];
+        if (integrated == null || duration < minDuration) return;
+        const deviation = integrated - limits.target;
+        if (Math.abs(deviation) > limits.tolerance) {
+            findings.push({
+                key,
+                rule: 'loudness',
+                details: `${label} integrated loudness ${format(integrated)} LUFS is ${format(Math.abs(deviation))} LU ${deviation > 0 ? 'above' : 'below'} the ${limits.target} LUFS target (tolerance ±${limits.tolerance} LU)`
+            });
+        }
+    });
+
+    const { truePeak, duration } = measured.window;
+    if (truePeak != null && duration > 0 && truePeak > limits.truePeak) {
+        findings.push({
+            key: 'truePeak',
+            rule: 'truePeak',
+            details: `True peak ${format(truePeak)} dBTP exceeds the ${limits.truePeak} dBTP maximum`
+        });
+    }
+    return findings;
+}
+
+module.exports = {
+    LOUDNESS_FILTER,
+    STANDARDS,
+    parseLoudness,
+    createLoudnessState,
+    addSegment,
+    measureLoudness,
+    checkLoudness
+};
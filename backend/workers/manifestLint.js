@@ -0,0 +1,256 @@
+// ============================================
+// RFC 8216 Conformance Linter
+// Checks the raw playlist text for spec violations the parser silently accepts.
+// Findings: { key, rule, severity, line, message }
+//   rule     - stable rule ID, e.g. 'extinf-exceeds-target-duration'
+//   severity - 'error' (MUST / MUST NOT) or 'warning' (SHOULD)
+//   key      - identifies the finding across polls; segment-level rules use the
+//              rule alone, so a live playlist repeating a mistake reports it once
+// ============================================
+
+// Tags that may appear at most once in a playlist
+const SINGLE_TAGS = [
+    'EXT-X-VERSION',
+    'EXT-X-TARGETDURATION',
+    'EXT-X-MEDIA-SEQUENCE',
+    'EXT-X-DISCONTINUITY-SEQUENCE',
+    'EXT-X-PLAYLIST-TYPE',
+    'EXT-X-ENDLIST',
+    'EXT-X-I-FRAMES-ONLY',
+    'EXT-X-INDEPENDENT-SEGMENTS',
+    'EXT-X-START'
+];
+
+// Tags that must come before the first media segment (RFC 8216 4.3.3)
+const HEADER_TAGS = [
+    'EXT-X-TARGETDURATION',
+    'EXT-X-MEDIA-SEQUENCE',
+    'EXT-X-DISCONTINUITY-SEQUENCE',
+    'EXT-X-PLAYLIST-TYPE',
+    'EXT-X-I-FRAMES-ONLY'
+];
+
+const MASTER_TAGS = ['EXT-X-STREAM-INF', 'EXT-X-I-FRAME-STREAM-INF', 'EXT-X-MEDIA', 'EXT-X-SESSION-DATA', 'EXT-X-SESSION-KEY'];
+const MEDIA_TAGS = ['EXTINF', 'EXT-X-TARGETDURATION', 'EXT-X-MEDIA-SEQUENCE', 'EXT-X-BYTERANGE', 'EXT-X-ENDLIST', 'EXT-X-PLAYLIST-TYPE'];
+
+// KEY=VALUE,KEY="quoted, value" -> { KEY: 'VALUE', ... }
+function parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attributes;
+}
+
+function splitTag(line) {
+    const colon = line.indexOf(':');
+    return colon === -1
+        ? { name: line.slice(1), value: '' }
+        : { name: line.slice(1, colon), value: line.slice(colon + 1) };
+}
+
+function lintManifest(text) {
+    const findings = [];
+    const report = (rule, severity, line, message, subject = null) => {
+        findings.push({ key: subject ? `${rule}:${subject}` : rule, rule, severity, line, message });
+    };
+
+    const lines = (text || '').split(/\r?\n/).map(line => line.trim());
+    if (lines[0] !== '#EXTM3U') {
+        report('missing-extm3u', 'error', 1, 'Playlist does not start with #EXTM3U');
+    }
+
+    const tags = lines
+        .map((line, i) => ({ line, number: i + 1 }))
+        .filter(({ line }) => line.startsWith('#EXT'))
+        .map(entry => ({ ...entry, ...splitTag(entry.line) }));
+    const has = name => tags.some(tag => tag.name === name);
+
+    const isMaster = MASTER_TAGS.some(has);
+    const isMedia = MEDIA_TAGS.some(has);
+    if (isMaster && isMedia) {
+        report('mixed-playlist-type', 'error', null, 'Playlist contains both master playlist and media playlist tags');
+    }
+
+    // --- ONCE-ONLY TAGS ---
+    SINGLE_TAGS.forEach(name => {
+        const found = tags.filter(tag => tag.name === name);
+        if (found.length > 1) {
+            report('duplicate-tag', 'error', found[1].number, `#${name} appears ${found.length} times`, name);
+        }
+    });
+
+    // --- COMPATIBILITY VERSION (RFC 8216 7) ---
+    const versionTag = tags.find(tag => tag.name === 'EXT-X-VERSION');
+    const version = versionTag ? parseInt(versionTag.value) : 1;
+    const required = [];
+    tags.forEach(tag => {
+        const attributes = parseAttributes(tag.value);
+        if (tag.name === 'EXTINF' && /^\d+\./.test(tag.value)) required.push([3, 'floating-point EXTINF durations']);
+        if (tag.name === 'EXT-X-BYTERANGE') required.push([4, 'EXT-X-BYTERANGE']);
+        if (tag.name === 'EXT-X-I-FRAMES-ONLY') required.push([4, 'EXT-X-I-FRAMES-ONLY']);
+        if (tag.name === 'EXT-X-KEY' && attributes.IV) required.push([2, 'the EXT-X-KEY IV attribute']);
+        if (tag.name === 'EXT-X-KEY' && (attributes.KEYFORMAT || attributes.KEYFORMATVERSIONS)) required.push([5, 'KEYFORMAT/KEYFORMATVERSIONS']);
+        if (tag.name === 'EXT-X-MAP') required.push([has('EXT-X-I-FRAMES-ONLY') ? 5 : 6, 'EXT-X-MAP']);
+        if (tag.name === 'EXT-X-MEDIA' && /^SERVICE/.test(attributes['INSTREAM-ID'] || '')) required.push([7, 'SERVICE values for INSTREAM-ID']);
+    });
+    const highest = required.reduce((max, entry) => (entry[0] > max[0] ? entry : max), [1, null]);
+    if (highest[0] > version) {
+        if (!versionTag) {
+            report('missing-version', 'error', null, `Playlist uses ${highest[1]} (version ${highest[0]}) but has no #EXT-X-VERSION`);
+        } else {
+            report('version-too-low', 'error', versionTag.number,
+                `#EXT-X-VERSION is ${version} but the playlist uses ${highest[1]} (version ${highest[0]})`);
+        }
+    }
+
+    if (isMaster) lintMaster(lines, tags, report);
+    if (isMedia) lintMedia(lines, tags, report);
+
+    return findings;
+}
+
+// --- MASTER PLAYLIST ---
+function lintMaster(lines, tags, report) {
+    const groups = new Set();
+
+    tags.filter(tag => tag.name === 'EXT-X-MEDIA').forEach(tag => {
+        const attributes = parseAttributes(tag.value);
+        ['TYPE', 'GROUP-ID', 'NAME'].forEach(name => {
+            if (!attributes[name]) {
+                report('media-missing-attribute', 'error', tag.number, `#EXT-X-MEDIA has no ${name}`, `${tag.number}:${name}`);
+            }
+        });
+        if (attributes.TYPE === 'CLOSED-CAPTIONS' && attributes.URI) {
+            report('media-closed-captions-uri', 'error', tag.number, `CLOSED-CAPTIONS rendition "${attributes.NAME}" must not have a URI`, attributes.NAME);
+        }
+        if (attributes.TYPE === 'SUBTITLES' && !attributes.URI) {
+            report('media-subtitles-uri', 'error', tag.number, `SUBTITLES rendition "${attributes.NAME}" has no URI`, attributes.NAME);
+        }
+        groups.add(`${attributes.TYPE}:${attributes['GROUP-ID']}`);
+    });
+
+    tags.filter(tag => tag.name === 'EXT-X-STREAM-INF').forEach(tag => {
+        const attributes = parseAttributes(tag.value);
+        const next = lines.slice(tag.number).find(line => line);
+        const uri = next && !next.startsWith('#') ? next : null;
+        const subject = uri || tag.number;
+
+        if (!uri) {
+            report('stream-inf-missing-uri', 'error', tag.number, '#EXT-X-STREAM-INF is not followed by a URI', tag.number);
+        }
+        if (!attributes.BANDWIDTH) {
+            report('stream-inf-missing-bandwidth', 'error', tag.number, `Variant ${subject} has no BANDWIDTH`, subject);
+        }
+        if (!attributes.CODECS) {
+            report('stream-inf-missing-codecs', 'warning', tag.number, `Variant ${subject} has no CODECS`, subject);
+        }
+
+        ['AUDIO', 'SUBTITLES', 'VIDEO'].forEach(attribute => {
+            const group = attributes[attribute];
+            if (group && !groups.has(`${attribute}:${group}`)) {
+                report('stream-inf-unknown-group', 'error', tag.number,
+                    `Variant ${subject} references ${attribute} group "${group}" with no matching #EXT-X-MEDIA`, `${subject}:${attribute}`);
+            }
+        });
+    });
+
+    tags.filter(tag => tag.name === 'EXT-X-I-FRAME-STREAM-INF').forEach(tag => {
+        const attributes = parseAttributes(tag.value);
+        if (!attributes.URI) {
+            report('iframe-stream-inf-missing-uri', 'error', tag.number, '#EXT-X-I-FRAME-STREAM-INF has no URI', tag.number);
+        }
+        if (!attributes.BANDWIDTH) {
+            report('stream-inf-missing-bandwidth', 'error', tag.number, `I-frame variant ${attributes.URI} has no BANDWIDTH`, attributes.URI || tag.number);
+        }
+    });
+}
+
+// --- MEDIA PLAYLIST ---
+function lintMedia(lines, tags, report) {
+    const targetTag = tags.find(tag => tag.name === 'EXT-X-TARGETDURATION');
+    const targetDuration = targetTag ? parseInt(targetTag.value) : null;
+    if (!targetTag) {
+        report('missing-target-duration', 'error', null, 'Media playlist has no #EXT-X-TARGETDURATION');
+    }
+
+    let pendingExtinf = null;   // EXTINF waiting for its URI
+    let firstSegmentLine = null;
+    let mapSeen = false;
+    let segmentsWithoutMap = 0;
+    let previousSegment = null; // { uri, byterange } for BYTERANGE offset continuation
+    let pendingByterange = null;
+
+    lines.forEach((line, i) => {
+        const number = i + 1;
+        if (!line) return;
+
+        if (!line.startsWith('#')) {
+            // --- URI LINE ---
+            if (!pendingExtinf) {
+                report('uri-without-extinf', 'error', number, `URI ${line} is not preceded by #EXTINF`);
+            }
+            if (firstSegmentLine === null) firstSegmentLine = number;
+            if (!mapSeen) segmentsWithoutMap++;
+
+            if (pendingByterange && pendingByterange.offset === null &&
+                (!previousSegment || previousSegment.uri !== line || !previousSegment.byterange)) {
+                report('byterange-missing-offset', 'error', pendingByterange.number,
+                    `#EXT-X-BYTERANGE for ${line} has no offset, but the previous segment is not a sub-range of the same resource`);
+            }
+
+            previousSegment = { uri: line, byterange: !!pendingByterange };
+            pendingExtinf = null;
+            pendingByterange = null;
+            return;
+        }
+        if (!line.startsWith('#EXT')) return; // Comment
+
+        const { name, value } = splitTag(line);
+
+        if (name === 'EXTINF') {
+            if (pendingExtinf) {
+                report('extinf-missing-uri', 'error', pendingExtinf, '#EXTINF is not followed by a URI');
+            }
+            pendingExtinf = number;
+
+            const duration = parseFloat(value);
+            if (isNaN(duration)) {
+                report('extinf-invalid-duration', 'error', number, `#EXTINF duration "${value}" is not a number`);
+            } else if (targetDuration !== null && Math.round(duration) > targetDuration) {
+                report('extinf-exceeds-target-duration', 'error', number,
+                    `EXTINF ${duration}s rounds above EXT-X-TARGETDURATION ${targetDuration}s`);
+            }
+        } else if (name === 'EXT-X-BYTERANGE') {
+            const [, offset] = value.split('@');
+            pendingByterange = { number, offset: offset === undefined ? null : parseInt(offset) };
+        } else if (name === 'EXT-X-MAP') {
+            mapSeen = true;
+        } else if (name === 'EXT-X-KEY') {
+            const attributes = parseAttributes(value);
+            if (attributes.METHOD && attributes.METHOD !== 'NONE' && !attributes.URI) {
+                report('key-missing-uri', 'error', number, `#EXT-X-KEY METHOD=${attributes.METHOD} has no URI`);
+            }
+            if (attributes.METHOD === 'NONE' && (attributes.URI || attributes.IV)) {
+                report('key-none-attributes', 'error', number, '#EXT-X-KEY METHOD=NONE must not have URI or IV');
+            }
+        } else if (HEADER_TAGS.includes(name) && firstSegmentLine !== null) {
+            report('illegal-tag-placement', 'error', number,
+                `#${name} appears after the first media segment (line ${firstSegmentLine})`, name);
+        }
+    });
+
+    if (pendingExtinf) {
+        report('extinf-missing-uri', 'error', pendingExtinf, '#EXTINF is not followed by a URI');
+    }
+
+    // fMP4 segments all need an init section; a MAP that only starts partway is a mix
+    if (mapSeen && segmentsWithoutMap > 0) {
+        report('mixed-map-usage', 'error', null,
+            `${segmentsWithoutMap} segment(s) come before the first #EXT-X-MAP while later segments use one`);
+    }
+}
+
+module.exports = { lintManifest, parseAttributes };
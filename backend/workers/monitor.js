@@ -1,13 +1,52 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const m3u8Parser = require('m3u8-parser');
 const Stream = require('../models/Stream');
 const MetricsHistory = require('../models/MetricsHistory');
+const AdBreak = require('../models/AdBreak');
+const StatusTransition = require('../models/StatusTransition');
+const VodReport = require('../models/VodReport');
 const { ErrorTypes } = require('../models/Stream');
-const { processSegment } = require('./processor');
+const { processSegment, probeStreams, countKeyframes } = require('./processor');
+const { probeSegment } = require('./segmentProbe');
+const { createScheduler } = require('./scheduler');
+const llhls = require('./llhls');
+const { getLiveEdge, findTimelineJumps } = require('./programDateTime');
+const { createAdState, trackAdMarkers } = require('./adMarkers');
+const { isFetchableKey, getKey, describeKey, keyFingerprint } = require('./encryption');
+const { describeRange, getRangeHeaders, getInitSegment } = require('./initSegment');
+const { updateStatus, FLAP_WINDOW, FLAP_THRESHOLD } = require('./statusMachine');
+const { saveState, loadState, deleteState } = require('./monitorState');
+const { createLeaseManager } = require('./leases');
+const { lintManifest } = require('./manifestLint');
+const { measureBitrates, checkBitrates, checkProbe } = require('./compliance');
+const { parseWebVtt, toMpegTime, clockDifference } = require('./webvtt');
+const { crawlVod } = require('./vodCrawl');
+const { streamRequest, redact } = require('./requestConfig');
+const { checkPlaylistHeaders, checkSegmentHeaders } = require('./headerCheck');
+const { createContentRuns, trackContent, findOverThreshold } = require('./videoContent');
+const loudness = require('./loudness');
+const { findChannelIssues } = require('./audioChannels');
+const { createSyncState, trackAvSync } = require('./avSync');
 const { v4: uuidv4 } = require('uuid');
 
-const MONITOR_INTERVAL = 7000; // 7 seconds as requested
+const DEFAULT_POLL_INTERVAL = 7000; // Used until a stream's target duration is known
+const MIN_POLL_INTERVAL = 1000;
+const MAX_POLL_INTERVAL = 30000;
+const MAX_CONCURRENT_CHECKS = 8; // Streams checked in parallel
+const STREAM_SYNC_INTERVAL = 5000; // How often the scheduler picks up added/deleted streams
+const MONITOR_OUTAGE_THRESHOLD = 60000; // Resuming after a longer gap than this is logged as a monitor outage
+const POLL_DRIFT_TOLERANCE = 0.5; // Warn when a poll starts 50%+ later than intended
 const SLIDING_WINDOW_SIZE = 100; // Last 100 segments (~12 minutes)
+const PLAYLIST_SIZE_TOLERANCE = 2; // Segments a live window may shrink/grow between polls
+const PART_GAP_TOLERANCE = 1.5; // Flag LL-HLS parts published 50%+ slower than PART-TARGET
+const PDT_JUMP_TOLERANCE = 1000; // ms a PDT may differ from the expected timeline
+const KEY_CHECK_INTERVAL = 60000; // Re-fetch each key URI at most once a minute
+const INIT_CHECK_INTERVAL = 60000; // Re-fetch each EXT-X-MAP init segment at most once a minute
+const COMPLIANCE_PROBE_INTERVAL = 300000; // ffprobe a sample segment of each variant every 5 minutes
+const BITRATE_WINDOW = 30; // Recent segments the measured variant bitrate is based on
+const SUBTITLE_SYNC_INTERVAL = 300000; // Line subtitle cues up with the video every 5 minutes
+const SUBTITLE_SYNC_TOLERANCE = 2; // s a cue may lie outside the matching video segment
+const KEYFRAME_CHECK_INTERVAL = 60000; // ffprobe the newest entry of each I-frame playlist once a minute
 
 // Error decay factor based on time since last error
 // Returns a value 0-1 where 1 = full forgiveness, 0 = no forgiveness
@@ -126,6 +165,9 @@ function calculateVideoScore(stream) {
     if (!video.codec) score -= 20;
     if (video.width && video.width < 720) score -= 10;
     if (video.width && video.width >= 1920) score += 0;
+    // Penalize black or frozen picture
+    if (video.isBlack) score -= 15;
+    if (video.isFrozen) score -= 15;
     return Math.max(0, Math.min(100, score));
 }
 
@@ -145,13 +187,18 @@ function generateErrorId() {
     return `eid-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
-function addError(stream, errorType, details, mediaType = 'VIDEO', code = null) {
+// variant: the entry in stream.variants the error came from (null for master-level errors).
+// Errors of alternate renditions and I-frame playlists are reported under their own media type.
+function addError(stream, errorType, details, mediaType = 'VIDEO', code = null, variant = null) {
+    const isRendition = variant && variant.mediaType && variant.mediaType !== 'VIDEO';
     const error = {
         eid: generateErrorId(),
         date: new Date(),
         errorType,
-        mediaType,
-        variant: stream.stats?.bandwidth?.toString() || 'unknown',
+        mediaType: isRendition ? variant.mediaType : mediaType,
+        variant: variant ? variant.uri : null,
+        language: isRendition ? variant.language || null : null,
+        rendition: isRendition ? variant.name || null : null,
         details,
         code
     };
@@ -162,194 +209,1627 @@ function addError(stream, errorType, details, mediaType = 'VIDEO', code = null)
     stream.health.timeSinceLastError = 0;
     stream.health.lastErrorTime = new Date(); // Track for decay calculation
 
-    console.log(`[ERROR] ${stream.name}: ${errorType} - ${details}`);
+    if (variant) {
+        variant.health.totalErrors++;
+        variant.health.lastErrorTime = new Date();
+    }
+
+    const label = isRendition && variant.name
+        ? `${variant.mediaType} ${variant.name}${variant.language ? ` (${variant.language})` : ''}`
+        : isRendition ? `${variant.mediaType} ${variant.uri}` : variant?.uri;
+    console.log(`[ERROR] ${stream.name}${variant ? ` [${label}]` : ''}: ${errorType} - ${details}`);
 }
 
-async function fetchManifest(url) {
-    const response = await axios.get(url, { timeout: 10000 });
+// The parsed manifest carries the playlist text (for the conformance linter),
+// `baseUrl` - the URL it was served from after redirects, which its relative
+// URIs resolve against - and `http`: status, headers, redirects, timing
+// breakdown and responding edge of the request. `http` is stored and shown, so
+// its final URL is redacted; `baseUrl` must stay the real one.
+async function fetchManifest(stream, url, timeout = 10000) {
+    const response = await streamRequest(stream, { url, timeout });
     const parser = new m3u8Parser.Parser();
     parser.push(response.data);
     parser.end();
+    parser.manifest.raw = response.data;
+    parser.manifest.baseUrl = response.finalUrl;
+    parser.manifest.http = {
+        status: response.status,
+        finalUrl: redact(stream, response.finalUrl),
+        redirects: response.redirects,
+        headers: response.headers,
+        timing: response.timing,
+        edge: response.edge
+    };
     return parser.manifest;
 }
 
+// Relative URIs (RFC 3986) - including "../" and host-relative "/path" ones -
+// against the URL the playlist was served from
 async function resolveVariantUrl(masterUrl, variantUri) {
-    if (variantUri.startsWith('http')) return variantUri;
-    const baseUrl = masterUrl.substring(0, masterUrl.lastIndexOf('/') + 1);
-    return baseUrl + variantUri;
+    return new URL(variantUri, masterUrl).toString();
 }
 
-async function checkStream(stream, io) {
-    const now = Date.now();
-    const state = streamState.get(stream._id.toString()) || {
-        lastPollTime: 0,
-        lastMediaSequence: -1,
-        consecutiveStales: 0
+function resolveSegmentUrl(playlistUrl, segmentUri) {
+    return new URL(segmentUri, playlistUrl).toString();
+}
+
+// Build the list of variants to poll from a master playlist: the STREAM-INF
+// variants, then every audio and subtitle rendition with its own playlist
+// (EXT-X-MEDIA with a URI; renditions muxed into the video have none), then
+// the I-frame playlists.
+// A media playlist (no STREAM-INF entries) is treated as a single variant.
+async function listVariants(stream, manifest) {
+    if (!manifest.playlists || manifest.playlists.length === 0) {
+        return [{ uri: stream.url, url: stream.url, attributes: {} }];
+    }
+
+    const variants = [];
+    for (const playlist of manifest.playlists) {
+        variants.push({
+            uri: playlist.uri,
+            url: await resolveVariantUrl(manifest.baseUrl, playlist.uri),
+            attributes: playlist.attributes || {}
+        });
+    }
+
+    const groups = { AUDIO: manifest.mediaGroups?.AUDIO, SUBTITLE: manifest.mediaGroups?.SUBTITLES };
+    for (const [mediaType, byGroup] of Object.entries(groups)) {
+        for (const [groupId, renditions] of Object.entries(byGroup || {})) {
+            for (const [name, rendition] of Object.entries(renditions)) {
+                // Groups may share a rendition playlist - poll it once
+                if (!rendition.uri || variants.some(v => v.uri === rendition.uri)) continue;
+                variants.push({
+                    uri: rendition.uri,
+                    url: await resolveVariantUrl(manifest.baseUrl, rendition.uri),
+                    attributes: {},
+                    mediaType,
+                    groupId,
+                    language: rendition.language || null,
+                    name
+                });
+            }
+        }
+    }
+
+    for (const playlist of manifest.iFramePlaylists || []) {
+        if (!playlist.uri || variants.some(v => v.uri === playlist.uri)) continue;
+        variants.push({
+            uri: playlist.uri,
+            url: await resolveVariantUrl(manifest.baseUrl, playlist.uri),
+            attributes: playlist.attributes || {},
+            mediaType: 'IFRAME'
+        });
+    }
+    return variants;
+}
+
+// Sync stream.variants with the current ladder: keep existing entries (and their
+// counters), add new renditions and drop ones that left the master playlist
+function syncVariantDocs(stream, variants) {
+    const existing = new Map((stream.variants || []).map(v => [v.uri, v.toObject ? v.toObject() : v]));
+
+    stream.variants = variants.map(variant => {
+        const attrs = variant.attributes;
+        const doc = existing.get(variant.uri) || { uri: variant.uri, health: {} };
+        doc.url = redact(stream, variant.url); // Stored and shown; the real one is in the variant state
+        doc.bandwidth = attrs.BANDWIDTH || null;
+        doc.averageBandwidth = parseInt(attrs['AVERAGE-BANDWIDTH']) || null;
+        doc.resolution = attrs.RESOLUTION ? `${attrs.RESOLUTION.width}x${attrs.RESOLUTION.height}` : null;
+        doc.codecs = attrs.CODECS || null;
+        doc.audioGroup = attrs.AUDIO || null;
+        doc.mediaType = variant.mediaType || 'VIDEO';
+        doc.groupId = variant.groupId || null;
+        doc.language = variant.language || null;
+        doc.name = variant.name || null;
+        return doc;
+    });
+
+    // Return the mongoose subdocuments so later updates are tracked
+    return stream.variants;
+}
+
+// Compare the current window with the previous poll of the same variant:
+// - SEGMENT_CONTINUITY: segments may only leave from the head, in order, and keep their URI
+// - PLAYLIST_SIZE: the window may not shrink or swell beyond PLAYLIST_SIZE_TOLERANCE
+// - DISCONTINUITY_SEQUENCE: must advance by the number of discontinuities that left the window
+// Byte-range segments share a URI, so the range is part of a segment's identity
+function segmentId(seg) {
+    return describeRange(seg.uri, seg.byterange);
+}
+
+// Everything the processor needs to fetch and decode one segment of a playlist
+function describeSegment(manifest, index) {
+    const playlistUrl = manifest.baseUrl;
+    const segment = manifest.segments[index];
+    const key = segment.key && segment.key.method !== 'NONE'
+        ? { ...segment.key, url: resolveSegmentUrl(playlistUrl, segment.key.uri) }
+        : null;
+    const map = segment.map
+        ? { ...segment.map, url: resolveSegmentUrl(playlistUrl, segment.map.uri) }
+        : null;
+
+    return {
+        url: resolveSegmentUrl(playlistUrl, segment.uri),
+        sequence: (manifest.mediaSequence || 0) + index,
+        timeline: segment.timeline ?? 0, // Discontinuity sequence the segment belongs to
+        duration: segment.duration,
+        byterange: segment.byterange || null,
+        key,
+        map
     };
+}
 
-    try {
-        // --- FETCH MANIFEST ---
-        let manifest;
-        let variantUrl = stream.url;
+// Measured bitrate (bps) of the audio rendition a variant plays with, from the
+// rendition's latest probed segment; null when the audio is muxed in or unmeasured
+function getRenditionAudioBitrate(variant, variants) {
+    if (!variant.audioGroup) return null;
+    const rendition = variants.find(v => v.mediaType === 'AUDIO' && v.groupId === variant.audioGroup && v.lastSegment?.size);
+    const { size, duration } = rendition?.lastSegment || {};
+    return duration > 0 ? Math.round((size * 8) / duration) : null;
+}
 
-        try {
-            manifest = await fetchManifest(stream.url);
-        } catch (err) {
-            addError(stream, ErrorTypes.MANIFEST_RETRIEVAL,
-                `Failed to fetch manifest: ${err.message}`, 'MASTER', err.response?.status);
-            stream.status = 'error';
-            try {
-                await stream.save();
-            } catch (saveErr) {
-                if (saveErr.name === 'VersionError') {
-                    console.warn(`[WARN] ${stream.name}: VersionError during status update - skipping`);
-                    return;
+function checkSlidingWindow(stream, variant, state, manifest) {
+    const previous = state.lastSegments;
+    if (!previous || previous.length === 0) return;
+
+    const segments = manifest.segments;
+    const currentSequence = manifest.mediaSequence || 0;
+    const removed = currentSequence - state.lastMediaSequence;
+
+    // A reset is reported by the sequence checks, and after a jump past the
+    // whole previous window there is nothing left to compare against
+    if (removed < 0 || removed > previous.length) return;
+
+    // --- SEGMENT CONTINUITY ---
+    const retained = previous.slice(removed);
+    const currentUris = new Set(segments.map(segmentId));
+    const missing = retained.find(seg => !currentUris.has(seg.uri));
+
+    if (missing) {
+        addError(stream, ErrorTypes.SEGMENT_CONTINUITY,
+            `Segment ${missing.uri} left the playlist out of order (media sequence advanced by ${removed})`,
+            'VIDEO', null, variant);
+    } else {
+        const index = retained.findIndex((seg, i) => segments[i] && segmentId(segments[i]) !== seg.uri);
+        if (index !== -1) {
+            addError(stream, ErrorTypes.SEGMENT_CONTINUITY,
+                `Segment at media sequence ${currentSequence + index} changed from ${retained[index].uri} to ${segmentId(segments[index])}`,
+                'VIDEO', null, variant);
+        }
+    }
+
+    // --- PLAYLIST SIZE ---
+    // EVENT playlists only ever grow, so only shrinking is suspicious there
+    const sizeDelta = segments.length - previous.length;
+    const canGrow = manifest.playlistType === 'EVENT';
+    if (sizeDelta < -PLAYLIST_SIZE_TOLERANCE || (!canGrow && sizeDelta > PLAYLIST_SIZE_TOLERANCE)) {
+        addError(stream, ErrorTypes.PLAYLIST_SIZE,
+            `Playlist size changed from ${previous.length} to ${segments.length} segments`,
+            'VIDEO', null, variant);
+    }
+
+    // --- DISCONTINUITY SEQUENCE ---
+    const leftWithDiscontinuity = previous.slice(0, removed).filter(seg => seg.discontinuity).length;
+    const expectedDiscontinuitySequence = state.lastDiscontinuitySequence + leftWithDiscontinuity;
+    const discontinuitySequence = manifest.discontinuitySequence || 0;
+    if (discontinuitySequence !== expectedDiscontinuitySequence) {
+        addError(stream, ErrorTypes.DISCONTINUITY_SEQUENCE,
+            `Discontinuity sequence is ${discontinuitySequence}, expected ${expectedDiscontinuitySequence} ` +
+            `(${leftWithDiscontinuity} discontinuities left the window)`,
+            'VIDEO', null, variant);
+    }
+}
+
+// --- SEGMENT AVAILABILITY ---
+// Fetch (or HEAD) every segment that appeared since the last poll. On the first poll,
+// or after a sequence reset, only the newest segment is checked.
+// Returns what a GET probe of a subtitle rendition fetched, for checkSubtitleSegments:
+// media sequence -> WebVTT text, or null when the segment failed.
+async function probeNewSegments(stream, variant, state, manifest) {
+    const bodies = new Map();
+    const method = stream.config?.segmentProbe || 'GET';
+    if (method === 'OFF') return bodies;
+
+    const segments = manifest.segments;
+    const firstSequence = manifest.mediaSequence || 0;
+    const lastSequence = firstSequence + segments.length - 1;
+
+    let nextSequence = state.lastProbedSequence + 1;
+    if (state.lastProbedSequence === -1 || state.lastProbedSequence > lastSequence) {
+        nextSequence = lastSequence;
+    }
+    nextSequence = Math.max(nextSequence, firstSequence);
+
+    for (let sequence = nextSequence; sequence <= lastSequence; sequence++) {
+        const segment = segments[sequence - firstSequence];
+        const result = await probeSegment(stream, resolveSegmentUrl(manifest.baseUrl, segment.uri), method, segment.byterange);
+        const label = segmentId(segment);
+        if (variant.mediaType === 'SUBTITLE' && method === 'GET') {
+            bodies.set(sequence, result.ok ? result.data.toString('utf8') : null);
+        }
+
+        variant.health.segmentsProbed++;
+        if (result.ok) trackOrigin(stream, variant, 'Segments', variant.lastSegment, result);
+        variant.lastSegment = {
+            uri: label,
+            status: result.status,
+            downloadTime: result.downloadTime,
+            size: result.size,
+            duration: segment.duration,
+            finalUrl: result.finalUrl,
+            timing: result.timing,
+            edge: result.edge,
+            date: new Date()
+        };
+
+        if (!result.ok) {
+            variant.health.segmentFailures++;
+            variant.status = 'error';
+            addError(stream, ErrorTypes.SEGMENT_AVAILABILITY,
+                `Segment ${label} (seq ${sequence}) failed: ${result.error}`,
+                'VIDEO', result.status, variant);
+            continue;
+        }
+
+        // Header findings follow the newest segment (see checkResponseHeaders)
+        state.segmentHeaderFindings = checkSegmentHeaders(segment.uri, result.headers);
+
+        // A 200 means the server ignored the Range header and sent the whole resource
+        if (segment.byterange && result.status !== 206) {
+            variant.health.segmentFailures++;
+            addError(stream, ErrorTypes.SEGMENT_AVAILABILITY,
+                `Segment ${label} (seq ${sequence}) returned ${result.status} instead of 206 for a byte-range request`,
+                'VIDEO', result.status, variant);
+        }
+
+        // Measured bitrate for the compliance check
+        if (result.size > 0 && segment.duration > 0) {
+            state.segmentBitrates.push(Math.round(result.size * 8 / segment.duration));
+            if (state.segmentBitrates.length > BITRATE_WINDOW) state.segmentBitrates.shift();
+        }
+
+        // A segment that takes longer to download than it plays cannot be streamed in real time
+        if (segment.duration && result.downloadTime > segment.duration * 1000) {
+            variant.health.slowSegments++;
+            addError(stream, ErrorTypes.SEGMENT_DOWNLOAD_TIME,
+                `Segment ${label} (seq ${sequence}) took ${result.downloadTime}ms to download (EXTINF ${segment.duration}s)`,
+                'VIDEO', result.status, variant);
+        }
+    }
+
+    state.lastProbedSequence = lastSequence;
+    return bodies;
+}
+
+// --- DECLARED VS. MEASURED ---
+// Bitrates come from the segment probes; codecs and resolution from an ffprobe
+// sample of the newest segment every COMPLIANCE_PROBE_INTERVAL. The sample runs
+// in the background and its findings are applied from the next poll on.
+function checkCompliance(stream, variant, state, manifest, now) {
+    const declared = {
+        bandwidth: variant.bandwidth,
+        averageBandwidth: variant.averageBandwidth,
+        codecs: variant.codecs,
+        resolution: variant.resolution,
+        audioGroup: variant.audioGroup
+    };
+
+    if (!state.complianceProbe && now - state.lastComplianceProbe >= COMPLIANCE_PROBE_INTERVAL) {
+        state.lastComplianceProbe = now;
+        state.complianceProbe = probeStreams(stream, describeSegment(manifest, manifest.segments.length - 1))
+            .then(streams => {
+                if (streams) {
+                    state.probedStreams = streams;
+                    state.probeFindings = checkProbe(declared, streams);
                 }
-                throw saveErr;
+            })
+            .finally(() => { state.complianceProbe = null; });
+    }
+
+    const measured = measureBitrates(state.segmentBitrates);
+    const findings = [...checkBitrates(declared, measured), ...state.probeFindings];
+
+    // Report each mismatch once, until it goes away and comes back
+    findings.forEach(finding => {
+        if (state.complianceFindings.has(finding.key)) return;
+        const errorType = finding.rule === 'bitrate' ? ErrorTypes.VARIANT_BITRATE
+            : finding.rule === 'codec' ? ErrorTypes.VARIANT_CODEC
+                : ErrorTypes.VARIANT_RESOLUTION;
+        addError(stream, errorType, finding.details, 'VIDEO', null, variant);
+    });
+    state.complianceFindings = new Set(findings.map(finding => finding.key));
+
+    const compliance = {
+        measuredPeakBitrate: measured?.peak ?? null,
+        measuredAverageBitrate: measured?.average ?? null,
+        segmentsMeasured: state.segmentBitrates.length,
+        probedCodecs: variant.compliance?.probedCodecs,
+        probedResolution: variant.compliance?.probedResolution,
+        lastProbe: variant.compliance?.lastProbe,
+        findings: findings.map(finding => finding.details)
+    };
+    if (state.probedStreams) {
+        const probed = state.probedStreams.filter(s => s.codec_type === 'video' || s.codec_type === 'audio');
+        const video = probed.find(s => s.codec_type === 'video');
+        compliance.probedCodecs = probed.map(s => s.profile ? `${s.codec_name} (${s.profile})` : s.codec_name).join(', ');
+        compliance.probedResolution = video ? `${video.width}x${video.height}` : null;
+        compliance.lastProbe = new Date(state.lastComplianceProbe);
+        state.probedStreams = null;
+    }
+    variant.compliance = compliance;
+}
+
+// --- REDIRECTS AND ORIGIN CHANGES ---
+// "host (CDN)" that served a request ({ finalUrl, edge })
+function describeOrigin(request) {
+    const host = new URL(request.finalUrl).host;
+    return request.edge?.cdn ? `${host} (${request.edge.cdn})` : host;
+}
+
+// Report when a different host or CDN serves a request than on the previous
+// poll - it often explains sudden changes in timing or errors.
+// `previous` is the stored request (lastManifestRequest, lastSegment or origin).
+function trackOrigin(stream, variant, what, previous, current) {
+    if (!previous?.finalUrl || !current.finalUrl) return;
+    const from = describeOrigin(previous);
+    const to = describeOrigin(current);
+    if (from === to) return;
+
+    addError(stream, ErrorTypes.ORIGIN_CHANGE, `${what} now served by ${to} (was ${from})`,
+        variant ? 'VIDEO' : 'MASTER', null, variant);
+    stream.origin.lastChange = new Date();
+}
+
+// --- RESPONSE HEADERS ---
+// Report header findings once, until they go away and come back. Returns the
+// keys now present, for the caller to keep.
+function reportHeaderFindings(stream, variant, reported, findings) {
+    findings.forEach(finding => {
+        if (reported.has(finding.key)) return;
+        addError(stream, ErrorTypes.HTTP_HEADERS, finding.details, variant ? 'VIDEO' : 'MASTER', null, variant);
+    });
+    return new Set(findings.map(finding => finding.key));
+}
+
+// A variant's findings: its playlist response from this poll, plus the newest
+// probed segment's. Only live playlists are held to the Cache-Control rule.
+function checkResponseHeaders(stream, variant, state, manifest, vod) {
+    const findings = [
+        ...checkPlaylistHeaders(manifest.http.headers, { live: !vod, targetDuration: manifest.targetDuration }),
+        ...state.segmentHeaderFindings
+    ];
+    state.headerFindings = reportHeaderFindings(stream, variant, state.headerFindings, findings);
+    variant.headerFindings = findings.map(finding => finding.details);
+}
+
+// --- WEBVTT SUBTITLES ---
+// Parse each new segment of a subtitle rendition, from the body the segment probe
+// fetched (`bodies`) or, when it only sent a HEAD or is off, fetched here. The
+// newest one with cues is kept (cue times on the MPEG-TS clock) for checkSubtitleSync.
+async function checkSubtitleSegments(stream, variant, state, manifest, bodies) {
+    const firstSequence = manifest.mediaSequence || 0;
+    const lastSequence = firstSequence + manifest.segments.length - 1;
+
+    let nextSequence = state.lastSubtitleSequence + 1;
+    if (state.lastSubtitleSequence === -1 || state.lastSubtitleSequence > lastSequence) {
+        nextSequence = lastSequence;
+    }
+    nextSequence = Math.max(nextSequence, firstSequence);
+
+    for (let sequence = nextSequence; sequence <= lastSequence; sequence++) {
+        const segment = manifest.segments[sequence - firstSequence];
+        const label = segmentId(segment);
+
+        let text = bodies.get(sequence);
+        if (text === null) continue; // Availability is reported by the segment probe
+        if (text === undefined) {
+            try {
+                const response = await streamRequest(stream, {
+                    url: resolveSegmentUrl(manifest.baseUrl, segment.uri),
+                    responseType: 'text',
+                    timeout: 10000,
+                    headers: getRangeHeaders(segment.byterange)
+                });
+                text = response.data;
+            } catch (err) {
+                continue;
             }
-            io.emit('stream:update', stream);
-            return;
         }
 
-        // --- HANDLE MASTER PLAYLIST ---
-        if (manifest.playlists && manifest.playlists.length > 0) {
-            // It's a master, follow first variant
-            const variant = manifest.playlists[0];
-            variantUrl = await resolveVariantUrl(stream.url, variant.uri);
+        const parsed = parseWebVtt(text);
+        variant.subtitles.segmentsChecked++;
+        variant.subtitles.cueCount = parsed.cues.length;
+
+        if (parsed.errors.length > 0) {
+            variant.subtitles.invalidSegments++;
+            const more = parsed.errors.length > 3 ? ` (+${parsed.errors.length - 3} more)` : '';
+            addError(stream, ErrorTypes.SUBTITLE_SEGMENT,
+                `Segment ${label} (seq ${sequence}): ${parsed.errors.slice(0, 3).join('; ')}${more}`,
+                'SUBTITLE', null, variant);
+        }
+
+        if (parsed.cues.length > 0) {
+            state.lastSubtitle = {
+                sequence,
+                programDateTime: typeof segment.programDateTime === 'number' ? segment.programDateTime : null,
+                duration: segment.duration,
+                cues: parsed.cues.map(cue => ({
+                    start: toMpegTime(cue.start, parsed.timestampMap),
+                    end: toMpegTime(cue.end, parsed.timestampMap)
+                }))
+            };
+        }
+    }
+
+    state.lastSubtitleSequence = lastSequence;
+}
+
+// The video segment playing when a subtitle segment starts: by PDT when both
+// playlists carry it, else by media sequence if the segment durations match
+function findMatchingSegment(manifest, subtitle) {
+    const segments = manifest.segments;
+    if (subtitle.programDateTime !== null && segments.some(seg => typeof seg.programDateTime === 'number')) {
+        return segments.findIndex(seg => typeof seg.programDateTime === 'number' &&
+            subtitle.programDateTime >= seg.programDateTime &&
+            subtitle.programDateTime < seg.programDateTime + seg.duration * 1000);
+    }
+
+    const index = subtitle.sequence - (manifest.mediaSequence || 0);
+    const segment = segments[index];
+    if (!segment || Math.abs(segment.duration - subtitle.duration) > 0.1) return -1;
+    return index;
+}
+
+// Line the newest subtitle cues up with the video: ffprobe the start PTS of the
+// matching video segment and check some cue overlaps the subtitle segment's window
+// on that timeline. Runs in the background every SUBTITLE_SYNC_INTERVAL; the
+// result is reported from the next poll on.
+function checkSubtitleSync(stream, rendition, state, video, videoManifest, now) {
+    if (state.syncResult) {
+        const { offset, details, date } = state.syncResult;
+        rendition.subtitles.syncOffset = offset;
+        rendition.subtitles.lastSyncCheck = new Date(date);
+        if (details && !state.syncReported) {
+            addError(stream, ErrorTypes.SUBTITLE_SYNC, details, 'SUBTITLE', null, rendition);
+        }
+        state.syncReported = !!details;
+        state.syncResult = null;
+    }
+
+    const subtitle = state.lastSubtitle;
+    if (!subtitle || state.syncCheck || now - state.lastSyncCheck < SUBTITLE_SYNC_INTERVAL) return;
+
+    const index = findMatchingSegment(videoManifest, subtitle);
+    if (index === -1) return;
+    state.lastSyncCheck = now;
+
+    const segment = videoManifest.segments[index];
+    const videoSequence = (videoManifest.mediaSequence || 0) + index;
+    const lead = subtitle.programDateTime !== null && typeof segment.programDateTime === 'number'
+        ? (subtitle.programDateTime - segment.programDateTime) / 1000
+        : 0;
+
+    state.syncCheck = probeStreams(stream, describeSegment(videoManifest, index))
+        .then(streams => {
+            const videoStart = parseFloat((streams || []).find(s => s.codec_type === 'video')?.start_time);
+            if (isNaN(videoStart)) return;
+
+            const windowStart = videoStart + lead;
+            const windowEnd = windowStart + subtitle.duration;
+
+            // Distance of each cue from the window: > 0 after it, < 0 before it, 0 overlapping
+            const offset = subtitle.cues
+                .map(cue => {
+                    const after = clockDifference(cue.start, windowEnd);
+                    const before = clockDifference(cue.end, windowStart);
+                    return after > 0 ? after : before < 0 ? before : 0;
+                })
+                .reduce((nearest, distance) => Math.abs(distance) < Math.abs(nearest) ? distance : nearest);
+
+            state.syncResult = {
+                date: Date.now(),
+                offset: Math.round(offset * 1000) / 1000,
+                details: Math.abs(offset) > SUBTITLE_SYNC_TOLERANCE
+                    ? `Cues of subtitle seq ${subtitle.sequence} are ${Math.abs(offset).toFixed(1)}s ` +
+                      `${offset > 0 ? 'after' : 'before'} the matching video segment (seq ${videoSequence})`
+                    : null
+            };
+        })
+        .finally(() => { state.syncCheck = null; });
+}
 
-            // Update bandwidth from master
-            if (variant.attributes?.BANDWIDTH) {
-                stream.stats.bandwidth = variant.attributes.BANDWIDTH;
+// --- PICTURE CONTENT ---
+const CONTENT_CONDITIONS = [
+    { name: 'black', label: 'Black picture', errorType: ErrorTypes.BLACK_VIDEO, threshold: 'blackThreshold', flag: 'isBlack', duration: 'blackDuration' },
+    { name: 'freeze', label: 'Frozen picture', errorType: ErrorTypes.FROZEN_VIDEO, threshold: 'freezeThreshold', flag: 'isFrozen', duration: 'frozenDuration' }
+];
+
+// Black / frozen picture in the segments processSegment analyzed since the last
+// poll (workers/videoContent.js): each stretch that reaches the stream's
+// threshold is reported once, and stats.video says whether it is still going
+function checkVideoContent(stream, variant, state, analyzed) {
+    const runs = state.videoContent;
+
+    analyzed.forEach(analysis => {
+        const ended = trackContent(runs, { sequence: analysis.sequence, duration: analysis.duration, ...analysis.picture });
+        if (!ended) return;
+
+        CONTENT_CONDITIONS.forEach(condition => {
+            const run = runs[condition.name];
+            ended[condition.name].filter(stretch => stretch.reported).forEach(stretch => {
+                console.log(`[CONTENT] ${stream.name}: ${condition.label} ended after ${stretch.duration.toFixed(1)}s`);
+            });
+
+            const threshold = stream.config?.[condition.threshold];
+            if (threshold == null) return;
+            const over = findOverThreshold(run, ended[condition.name], threshold / 1000);
+            if (over != null) {
+                addError(stream, condition.errorType,
+                    `${condition.label} for ${over.toFixed(1)}s (threshold ${threshold / 1000}s)`, 'VIDEO', null, variant);
             }
-            if (variant.attributes?.RESOLUTION) {
-                stream.stats.resolution = `${variant.attributes.RESOLUTION.width}x${variant.attributes.RESOLUTION.height}`;
+        });
+    });
+
+    if (analyzed.length === 0) return;
+    CONTENT_CONDITIONS.forEach(condition => {
+        const run = runs[condition.name];
+        stream.stats.video[condition.flag] = run.duration > 0;
+        stream.stats.video[condition.duration] = Math.round(run.duration * 10) / 10;
+    });
+}
+
+// --- LOUDNESS (EBU R128 / ATSC A/85) ---
+const LOUDNESS_MIN_MEASURED = 60; // s of audio measured before the integrated values are judged
+
+// Loudness of the segments analyzed since the last poll, aggregated over the
+// stream's rolling window and the program (workers/loudness.js). Deviations
+// from the target and true peak overs are reported once, until they go away.
+function checkLoudness(stream, variant, state, analyzed, now) {
+    const config = stream.config || {};
+    const windowLength = config.loudnessWindow || 300000;
+    const added = analyzed.filter(analysis => loudness.addSegment(state.loudness, analysis, now, windowLength));
+    if (added.length === 0) return;
+
+    const standard = loudness.STANDARDS[config.loudnessStandard] || loudness.STANDARDS.EBU_R128;
+    const limits = { ...standard, target: config.loudnessTarget ?? standard.target };
+    const measured = loudness.measureLoudness(state.loudness);
+    const findings = loudness.checkLoudness(measured, limits, Math.min(LOUDNESS_MIN_MEASURED, windowLength / 1000));
+
+    findings.forEach(finding => {
+        if (state.loudness.reported.has(finding.key)) return;
+        const errorType = finding.rule === 'truePeak' ? ErrorTypes.TRUE_PEAK : ErrorTypes.LOUDNESS;
+        addError(stream, errorType, finding.details, 'AUDIO', null, variant);
+    });
+    state.loudness.reported = new Set(findings.map(finding => finding.key));
+
+    const round = value => (value != null ? Math.round(value * 10) / 10 : null);
+    const summarize = ({ integrated, range, truePeak, duration }) => ({
+        integrated: round(integrated), range: round(range), truePeak: round(truePeak), duration: Math.round(duration)
+    });
+    const latest = added[added.length - 1].loudness;
+    stream.stats.audio.loudness = {
+        integrated: round(latest.integrated),
+        range: round(latest.range),
+        truePeak: round(latest.truePeak),
+        window: summarize(measured.window),
+        program: { ...summarize(measured.program), since: measured.program.since },
+        target: limits.target,
+        standard: config.loudnessStandard || 'EBU_R128',
+        findings: findings.map(finding => finding.details),
+        date: new Date(now)
+    };
+}
+
+// --- PER-CHANNEL AUDIO ---
+const CHANNEL_CONSECUTIVE = 2; // Analyzed segments in a row an issue must show up in before it's reported
+
+const CHANNEL_ERROR_TYPES = {
+    silence: ErrorTypes.CHANNEL_SILENCE,
+    phase: ErrorTypes.PHASE_INVERSION,
+    mono: ErrorTypes.DUAL_MONO
+};
+
+// Channel silence, L/R phase inversion and duplicated mono in the segments
+// analyzed since the last poll (workers/audioChannels.js). An issue is reported
+// once it has lasted CHANNEL_CONSECUTIVE segments, then not again until it goes away.
+function checkAudioChannels(stream, variant, state, analyzed) {
+    const tracked = state.audioChannels;
+    const fresh = analyzed.filter(analysis => analysis.sequence !== tracked.lastSequence);
+    if (fresh.length === 0) return;
+
+    fresh.forEach(analysis => {
+        tracked.lastSequence = analysis.sequence;
+        const findings = findChannelIssues(analysis.channels);
+        const streaks = {};
+        findings.forEach(finding => {
+            streaks[finding.key] = (tracked.streaks[finding.key] || 0) + 1;
+            if (streaks[finding.key] >= CHANNEL_CONSECUTIVE && !tracked.reported.has(finding.key)) {
+                tracked.reported.add(finding.key);
+                addError(stream, CHANNEL_ERROR_TYPES[finding.rule], finding.details, 'AUDIO', null, variant);
             }
+        });
+        // Issues that went away can be reported again
+        tracked.reported = new Set([...tracked.reported].filter(key => streaks[key]));
+        tracked.streaks = streaks;
+    });
+
+    const latest = fresh[fresh.length - 1].channels;
+    stream.stats.audio.channelStats = latest.channels;
+    stream.stats.audio.correlation = latest.correlation;
+    stream.stats.audio.phaseInverted = latest.phaseInverted;
+    stream.stats.audio.dualMono = latest.dualMono;
+}
 
+// --- A/V SYNC ---
+// Audio/video start offset of the segments analyzed since the last poll
+// (workers/avSync.js). An offset beyond the tolerance is reported once until it
+// is back within it; every sudden change is reported.
+function checkAvSync(stream, variant, state, analyzed) {
+    const config = stream.config || {};
+    const limits = { tolerance: config.avSyncTolerance ?? null, jump: config.avSyncJump ?? null };
+
+    analyzed.forEach(analysis => {
+        const result = trackAvSync(state.avSync, analysis, limits);
+        if (!result) return;
+
+        result.findings.forEach(finding => {
+            if (finding.rule === 'offset' && state.avSync.reported.has(finding.key)) return;
+            const errorType = finding.rule === 'jump' ? ErrorTypes.AV_SYNC_CHANGE : ErrorTypes.AV_SYNC;
+            addError(stream, errorType, finding.details, 'AUDIO', null, variant);
+        });
+        state.avSync.reported = new Set(result.findings.filter(finding => finding.rule === 'offset').map(finding => finding.key));
+
+        stream.stats.avSync = {
+            offset: analysis.avSync.offset,
+            durationDelta: analysis.avSync.durationDelta,
+            change: result.change,
+            acrossDiscontinuity: result.acrossDiscontinuity,
+            sequence: analysis.sequence,
+            date: new Date()
+        };
+    });
+}
+
+// --- I-FRAME PLAYLISTS ---
+// Each entry of a trick-play playlist is a byte range that should hold one
+// keyframe. The newest entry is sampled with ffprobe every KEYFRAME_CHECK_INTERVAL
+// in the background; the result is applied from the next poll on.
+function checkIFrames(stream, variant, state, manifest, now) {
+    if (state.keyframeResult) {
+        const { sample, sequence, video, keyframes, date } = state.keyframeResult;
+        const problem = !video ? 'has no video stream' : keyframes === 0 ? 'holds no decodable keyframe' : null;
+        variant.iframes.keyframeStatus = problem ? 'error' : 'ok';
+        variant.iframes.lastSample = sample;
+        variant.iframes.lastKeyframeCheck = new Date(date);
+        if (problem && !state.keyframeReported) {
+            addError(stream, ErrorTypes.IFRAME_KEYFRAME, `I-frame ${sample} (seq ${sequence}) ${problem}`, 'IFRAME', null, variant);
+        }
+        state.keyframeReported = !!problem;
+        state.keyframeResult = null;
+    }
+
+    if (state.keyframeCheck || now - state.lastKeyframeCheck < KEYFRAME_CHECK_INTERVAL) return;
+    state.lastKeyframeCheck = now;
+
+    const index = manifest.segments.length - 1;
+    const sample = segmentId(manifest.segments[index]);
+    const sequence = (manifest.mediaSequence || 0) + index;
+    state.keyframeCheck = countKeyframes(stream, describeSegment(manifest, index))
+        .then(result => {
+            if (result) state.keyframeResult = { ...result, sample, sequence, date: Date.now() };
+        })
+        .finally(() => { state.keyframeCheck = null; });
+}
+
+// Seconds of media a playlist has added since we started watching it. Used to
+// compare timelines of playlists without PDT, so a reset starts over.
+function trackTimelineAdvance(state, manifest) {
+    const firstSequence = manifest.mediaSequence || 0;
+    const lastSequence = firstSequence + manifest.segments.length - 1;
+
+    if (state.timelineEndSequence !== -1 && lastSequence >= state.timelineEndSequence) {
+        manifest.segments.forEach((segment, index) => {
+            if (firstSequence + index > state.timelineEndSequence) state.timelineAdvance += segment.duration || 0;
+        });
+    } else {
+        state.timelineAdvance = 0;
+        state.timelineBaseline = null;
+    }
+    state.timelineEndSequence = lastSequence;
+}
+
+// A live I-frame playlist has to keep up with the video it indexes (the primary
+// variant): compared by live edge when both carry PDT, else by the media both
+// added since the I-frame playlist was first seen.
+function checkIFrameTimeline(stream, iframe, state, iframeManifest, videoState, videoManifest) {
+    const iframeEdge = getLiveEdge(iframeManifest);
+    const videoEdge = getLiveEdge(videoManifest);
+
+    let lag;
+    let basis;
+    if (iframeEdge !== null && videoEdge !== null) {
+        lag = (videoEdge - iframeEdge) / 1000;
+        basis = 'by PDT';
+    } else {
+        if (state.timelineBaseline === null || videoState.timelineAdvance < state.timelineBaseline) {
+            state.timelineBaseline = videoState.timelineAdvance;
+            state.timelineAdvance = 0;
+        }
+        lag = (videoState.timelineAdvance - state.timelineBaseline) - state.timelineAdvance;
+        basis = 'by media added since monitoring started';
+    }
+
+    // The two playlists may be updated at different points within a segment
+    const tolerance = 2 * (videoManifest.targetDuration || iframeManifest.targetDuration || 0);
+    const outOfStep = Math.abs(lag) > tolerance;
+    iframe.iframes.timelineLag = Math.round(lag * 10) / 10;
+
+    if (outOfStep && !state.iframeOutOfStep) {
+        addError(stream, ErrorTypes.IFRAME_TIMELINE,
+            `I-frame playlist is ${Math.abs(lag).toFixed(1)}s ${lag > 0 ? 'behind' : 'ahead of'} the main timeline ` +
+            `(${basis}, tolerance ${tolerance}s)`, 'IFRAME', null, iframe);
+    }
+    state.iframeOutOfStep = outOfStep;
+}
+
+// --- LOW-LATENCY HLS ---
+// Static part/server-control checks, a probe of the newest part, and two consecutive
+// blocking reloads: the time between their responses is the real part interval.
+async function checkLowLatency(stream, variant, state, manifest) {
+    const partTarget = llhls.getPartTarget(manifest);
+    const serverControl = manifest.serverControl || {};
+    const info = {
+        partTarget,
+        partHoldBack: llhls.getPartHoldBack(manifest),
+        canBlockReload: !!serverControl.canBlockReload,
+        partCount: manifest.preloadSegment?.parts?.length || 0,
+        date: new Date()
+    };
+
+    // Report each static finding once, until it goes away and comes back
+    const findings = llhls.lintLowLatency(manifest);
+    findings.forEach(finding => {
+        if (state.lowLatencyFindings.has(finding.key)) return;
+        const errorType = finding.rule === 'partTarget' ? ErrorTypes.LL_PART_TARGET : ErrorTypes.LL_SERVER_CONTROL;
+        addError(stream, errorType, finding.details, 'VIDEO', null, variant);
+    });
+    state.lowLatencyFindings = new Set(findings.map(finding => finding.key));
+
+    // --- PART AVAILABILITY ---
+    // Parts are probed like segments, so segmentProbe 'OFF' skips them too
+    const method = stream.config?.segmentProbe || 'GET';
+    const latest = llhls.getLatestPart(manifest);
+    const latestPartId = latest ? segmentId(latest.part) : null;
+    if (method !== 'OFF' && latest && latestPartId !== state.lastPartUri) {
+        const result = await probeSegment(stream, resolveSegmentUrl(manifest.baseUrl, latest.part.uri), method, latest.part.byterange);
+        state.lastPartUri = latestPartId;
+        info.lastPartUri = latestPartId;
+        info.lastPartStatus = result.status;
+        info.lastPartDownloadTime = result.downloadTime;
+
+        if (!result.ok) {
+            addError(stream, ErrorTypes.LL_PART_AVAILABILITY,
+                `Part ${latestPartId} (seq ${latest.msn}.${latest.index}) failed: ${result.error}`,
+                'VIDEO', result.status, variant);
+        }
+    } else if (variant.lowLatency) {
+        info.lastPartUri = variant.lowLatency.lastPartUri;
+        info.lastPartStatus = variant.lowLatency.lastPartStatus;
+        info.lastPartDownloadTime = variant.lowLatency.lastPartDownloadTime;
+    }
+
+    // --- BLOCKING RELOADS ---
+    if (info.canBlockReload) {
+        // Servers may hold a request for up to three target durations
+        const timeout = Math.max(3000, (manifest.targetDuration || 0) * 3000);
+        let current = manifest;
+        const arrivals = [];
+
+        for (let i = 0; i < 2; i++) {
+            const next = llhls.getNextPart(current);
+            const started = Date.now();
             try {
-                manifest = await fetchManifest(variantUrl);
+                // Against the URL the playlist was last served from, past any redirect
+                current = await fetchManifest(stream, llhls.getBlockingReloadUrl(current.baseUrl, next), timeout);
             } catch (err) {
-                addError(stream, ErrorTypes.MANIFEST_RETRIEVAL,
-                    `Failed to fetch variant: ${err.message}`, 'VIDEO', err.response?.status);
-                stream.status = 'error';
-                try {
-                    await stream.save();
-                } catch (saveErr) {
-                    if (saveErr.name === 'VersionError') {
-                        console.warn(`[WARN] ${stream.name}: VersionError during variant update - skipping`);
-                        return;
-                    }
-                    throw saveErr;
-                }
-                io.emit('stream:update', stream);
-                return;
+                addError(stream, ErrorTypes.LL_BLOCKING_RELOAD,
+                    `Blocking reload for ${next.msn}.${next.part} failed: ${redact(stream, err.message)}`,
+                    'VIDEO', err.response?.status, variant);
+                break;
+            }
+            arrivals.push(Date.now());
+            if (i === 0) info.blockingWait = Date.now() - started;
+
+            if (!llhls.hasPart(current, next)) {
+                addError(stream, ErrorTypes.LL_BLOCKING_RELOAD,
+                    `Blocking reload for ${next.msn}.${next.part} returned a playlist without that part`,
+                    'VIDEO', null, variant);
+                break;
             }
         }
 
-        // --- ANALYZE MEDIA PLAYLIST ---
-        if (!manifest.segments || manifest.segments.length === 0) {
-            addError(stream, ErrorTypes.PLAYLIST_CONTENT, 'Playlist has no segments');
-            stream.status = 'error';
-            try {
-                await stream.save();
-            } catch (saveErr) {
-                if (saveErr.name === 'VersionError') {
-                    console.warn(`[WARN] ${stream.name}: VersionError during playlist check - skipping`);
-                    return;
-                }
-                throw saveErr;
+        if (arrivals.length === 2) {
+            info.partGap = arrivals[1] - arrivals[0];
+            if (info.partGap > partTarget * 1000 * PART_GAP_TOLERANCE) {
+                addError(stream, ErrorTypes.LL_PART_AVAILABILITY,
+                    `Part published ${info.partGap}ms after the previous one (PART-TARGET ${partTarget}s)`,
+                    'VIDEO', null, variant);
             }
-            io.emit('stream:update', stream);
-            return;
         }
+    }
+
+    variant.lowLatency = info;
+}
+
+// --- PROGRAM-DATE-TIME / LIVE LATENCY ---
+// Latency is measured every poll; budget overruns are reported when they start,
+// timeline jumps when the segment first appears, drift when a segment's PDT moves.
+function checkProgramDateTime(stream, variant, state, manifest, now) {
+    const liveEdge = getLiveEdge(manifest);
+    if (liveEdge === null) {
+        variant.health.liveLatency = null;
+        variant.health.pdtDrift = 0;
+        return;
+    }
+
+    const latency = now - liveEdge;
+    variant.health.liveLatency = latency;
+
+    const budget = stream.config?.latencyBudget;
+    const overBudget = !!budget && latency > budget;
+    if (overBudget && !state.overLatencyBudget) {
+        addError(stream, ErrorTypes.LIVE_LATENCY,
+            `Live edge is ${(latency / 1000).toFixed(1)}s behind wall clock (budget ${(budget / 1000).toFixed(1)}s)`,
+            'VIDEO', null, variant);
+    }
+    state.overLatencyBudget = overBudget;
+
+    // Jumps inside the window
+    const seen = new Set(state.lastSegments.map(seg => seg.uri));
+    findTimelineJumps(manifest.segments, PDT_JUMP_TOLERANCE)
+        .filter(jump => !seen.has(segmentId(jump.segment)))
+        .forEach(jump => {
+            const direction = jump.delta < 0 ? 'jumped backwards' : 'skipped ahead';
+            addError(stream, ErrorTypes.PROGRAM_DATE_TIME,
+                `PDT ${direction} by ${Math.abs(jump.delta)}ms at ${segmentId(jump.segment)} (expected ${new Date(jump.expected).toISOString()})`,
+                'VIDEO', null, variant);
+        });
+
+    // Drift between polls: a segment still in the window must keep its PDT
+    const previous = new Map(state.lastSegments
+        .filter(seg => seg.programDateTime !== null)
+        .map(seg => [seg.uri, seg.programDateTime]));
+    const overlapping = manifest.segments.find(seg =>
+        previous.has(segmentId(seg)) && typeof seg.programDateTime === 'number');
+
+    variant.health.pdtDrift = overlapping ? overlapping.programDateTime - previous.get(segmentId(overlapping)) : 0;
+    if (Math.abs(variant.health.pdtDrift) > PDT_JUMP_TOLERANCE) {
+        addError(stream, ErrorTypes.PROGRAM_DATE_TIME,
+            `PDT timeline shifted by ${variant.health.pdtDrift}ms between polls (segment ${segmentId(overlapping)})`,
+            'VIDEO', null, variant);
+    }
+}
+
+// --- ENCRYPTION (EXT-X-KEY) ---
+// Every key URI in the window must be reachable, and a segment that stays in the
+// window must keep its key and IV. A key URI whose content changes is also flagged.
+async function checkEncryption(stream, variant, state, manifest) {
+    const keyed = manifest.segments.filter(seg => seg.key && seg.key.method !== 'NONE');
+    const encryption = variant.encryption;
+
+    if (keyed.length === 0) {
+        encryption.method = 'NONE';
+        encryption.keyUri = null;
+        return;
+    }
+
+    const latestKey = keyed[keyed.length - 1].key;
+    if (encryption.keyUri && encryption.keyUri !== latestKey.uri) encryption.rotations++;
+    encryption.method = latestKey.method;
+    encryption.keyUri = latestKey.uri;
+    encryption.keyFormat = latestKey.keyformat || 'identity';
+
+    // Rotation consistency across polls
+    const previous = new Map(state.lastSegments.map(seg => [seg.uri, seg.key]));
+    const changed = manifest.segments.find(seg =>
+        previous.has(segmentId(seg)) && previous.get(segmentId(seg)) !== describeKey(seg.key));
+    if (changed) {
+        addError(stream, ErrorTypes.KEY_ROTATION,
+            `Key for segment ${segmentId(changed)} changed between polls ` +
+            `(${previous.get(segmentId(changed)) || 'none'} -> ${describeKey(changed.key) || 'none'})`,
+            'VIDEO', null, variant);
+    }
 
-        const currentSequence = manifest.mediaSequence || 0;
-        const segmentCount = manifest.segments.length;
-        const targetDuration = manifest.targetDuration || 0;
+    // Reachability
+    const uris = [...new Set(keyed.map(seg => seg.key.uri))];
+    const checked = new Set();
+    encryption.keyStatus = 'ok';
 
-        // --- STALENESS CHECK ---
-        if (currentSequence === state.lastMediaSequence) {
-            state.consecutiveStales++;
-            stream.health.timeSinceLastUpdate = now - state.lastPollTime;
+    for (const uri of uris) {
+        const url = resolveSegmentUrl(manifest.baseUrl, uri);
+        if (!isFetchableKey({ method: latestKey.method, url })) continue;
+        checked.add(url);
 
-            if (stream.health.timeSinceLastUpdate > stream.health.staleThreshold) {
-                stream.health.isStale = true;
-                stream.status = 'stale';
-                addError(stream, ErrorTypes.STALE_MANIFEST,
-                    `Playlist stale for ${stream.health.timeSinceLastUpdate}ms`);
+        try {
+            const fingerprint = keyFingerprint(await getKey(stream, url, KEY_CHECK_INTERVAL));
+            const known = state.keyFingerprints.get(url);
+            if (known && known !== fingerprint) {
+                addError(stream, ErrorTypes.KEY_ROTATION,
+                    `Key at ${uri} changed content without a new key URI`, 'VIDEO', null, variant);
             }
-        } else {
-            // Playlist updated
-            stream.health.isStale = false;
-            stream.health.lastManifestUpdate = new Date();
-            stream.health.timeSinceLastUpdate = 0;
-            state.consecutiveStales = 0;
-            stream.status = 'online';
-        }
-
-        // --- SEQUENCE CHECKS ---
-        if (state.lastMediaSequence !== -1) {
-            const expectedSequence = state.lastMediaSequence + 1;
-
-            // Check for sequence jump (gap) - only count significant gaps (3+)
-            // Gaps of 1-2 are normal due to poll timing (7s) vs segment duration (~6s)
-            if (currentSequence > expectedSequence) {
-                const gap = currentSequence - expectedSequence;
-                if (gap >= 3) {
-                    stream.health.sequenceJumps++;
-                    addError(stream, ErrorTypes.MEDIA_SEQUENCE,
-                        `Sequence jumped from ${state.lastMediaSequence} to ${currentSequence} (gap: ${gap})`);
-                }
+            state.keyFingerprints.set(url, fingerprint);
+        } catch (err) {
+            encryption.keyStatus = 'error';
+            variant.status = 'error';
+            addError(stream, ErrorTypes.KEY_RETRIEVAL,
+                `Failed to fetch key ${uri}: ${redact(stream, err.message)}`, 'VIDEO', err.response?.status, variant);
+        }
+    }
+    encryption.lastKeyCheck = new Date();
+
+    for (const url of state.keyFingerprints.keys()) {
+        if (!checked.has(url)) state.keyFingerprints.delete(url);
+    }
+}
+
+// --- INIT SEGMENTS (EXT-X-MAP) ---
+// Every init segment in the window must be reachable, and an init segment must not
+// change content under the same URI (players that cached it would mis-decode).
+async function checkInitSegments(stream, variant, state, manifest) {
+    const maps = new Map();
+    manifest.segments.forEach(seg => {
+        if (seg.map) maps.set(describeRange(seg.map.uri, seg.map.byterange), seg.map);
+    });
+
+    const info = variant.initSegment;
+    if (maps.size === 0) {
+        info.format = 'TS';
+        info.uri = null;
+        return;
+    }
+
+    const latest = manifest.segments[manifest.segments.length - 1].map;
+    info.format = 'fMP4';
+    info.uri = latest ? describeRange(latest.uri, latest.byterange) : null;
+    info.status = 'ok';
+
+    for (const [id, map] of maps) {
+        try {
+            const init = await getInitSegment(stream, resolveSegmentUrl(manifest.baseUrl, map.uri), map.byterange, INIT_CHECK_INTERVAL);
+            const known = state.initFingerprints.get(id);
+            if (known && known !== init.fingerprint) {
+                addError(stream, ErrorTypes.INIT_SEGMENT_CHANGE,
+                    `Init segment ${id} changed content without a new URI`, 'VIDEO', null, variant);
             }
+            state.initFingerprints.set(id, init.fingerprint);
+            if (id === info.uri) info.size = init.data.length;
+        } catch (err) {
+            info.status = 'error';
+            variant.status = 'error';
+            addError(stream, ErrorTypes.INIT_SEGMENT,
+                `Failed to fetch init segment ${id}: ${redact(stream, err.message)}`, 'VIDEO', err.response?.status, variant);
+        }
+    }
+    info.lastCheck = new Date();
+
+    for (const id of state.initFingerprints.keys()) {
+        if (!maps.has(id)) state.initFingerprints.delete(id);
+    }
+}
+
+// --- AD BREAKS (SCTE-35) ---
+// Markers are read from the primary variant only; every rendition carries the same breaks.
+async function checkAdBreaks(stream, variant, state, manifest, now, io) {
+    const events = trackAdMarkers(manifest, state.ads, now);
+
+    for (const { type, break: brk } of events) {
+        const marker = brk.source === 'DATERANGE' ? `DATERANGE ${brk.rangeId} SCTE35-OUT` : 'CUE-OUT';
+        const started = brk.startedAt.toISOString();
+
+        if (type === 'overrun') {
+            addError(stream, ErrorTypes.AD_BREAK_OVERRUN,
+                `Ad break from ${started} ran ${brk.actualDuration.toFixed(1)}s` +
+                (brk.plannedDuration !== null ? ` (planned ${brk.plannedDuration}s)` : ' with no planned duration'),
+                'VIDEO', null, variant);
+        } else if (type === 'unterminated') {
+            addError(stream, ErrorTypes.AD_MARKER,
+                `${marker} at ${started} has no matching ${brk.source === 'DATERANGE' ? 'SCTE35-IN' : 'CUE-IN'}`,
+                'VIDEO', null, variant);
+        }
 
-            // Check for sequence reset
-            if (currentSequence < state.lastMediaSequence) {
-                stream.health.sequenceResets++;
+        // Source and range ID change when a break is merged
+        const record = {
+            source: brk.source,
+            rangeId: brk.rangeId,
+            startedAt: brk.startedAt,
+            endedAt: brk.endedAt || null,
+            plannedDuration: brk.plannedDuration,
+            actualDuration: brk.actualDuration,
+            status: brk.status,
+            overrun: brk.overrunReported
+        };
+
+        try {
+            await AdBreak.updateOne(
+                { breakId: brk.breakId },
+                {
+                    $set: record,
+                    $setOnInsert: { streamId: stream._id, variant: variant.uri }
+                },
+                { upsert: true }
+            );
+        } catch (err) {
+            console.error(`[ADS] ${stream.name}: ${err.message}`);
+        }
+
+        io.emit('stream:adbreak', { id: stream._id, type, breakId: brk.breakId, ...record });
+    }
+
+    stream.health.inAdBreak = !!state.ads.open ||
+        [...state.ads.dateRanges.values()].some(brk => brk.status === 'open');
+}
+
+// Poll a single variant's media playlist and run staleness, sequence and
+// discontinuity checks against its own state.
+// `preloaded` is the already fetched playlist when the stream URL is itself a media playlist.
+// Returns the parsed media playlist, or null if the variant could not be checked.
+async function checkVariant(stream, variant, state, now, preloaded = null) {
+    const health = variant.health;
+    variant.lastChecked = new Date();
+
+    let manifest = preloaded;
+    try {
+        if (!manifest) manifest = await fetchManifest(stream, state.url);
+    } catch (err) {
+        addError(stream, ErrorTypes.MANIFEST_RETRIEVAL,
+            `Failed to fetch variant: ${redact(stream, err.message)}`, 'VIDEO', err.response?.status, variant);
+        variant.status = 'error';
+        return null;
+    }
+
+    // VOD playlists get a one-time deep crawl (checkVod) instead of the live checks
+    const vod = isVod(stream, manifest);
+
+    // A media playlist given as the stream URL is tracked as the stream's origin
+    if (!preloaded) trackOrigin(stream, variant, 'Playlist', variant.lastManifestRequest, manifest.http);
+    variant.lastManifestRequest = {
+        status: manifest.http.status,
+        finalUrl: manifest.http.finalUrl,
+        redirects: manifest.http.redirects,
+        timing: manifest.http.timing,
+        edge: manifest.http.edge,
+        date: new Date()
+    };
+
+    applyLintFindings(stream, variant, manifest.raw, now);
+
+    if (!manifest.segments || manifest.segments.length === 0) {
+        addError(stream, ErrorTypes.PLAYLIST_CONTENT, 'Playlist has no segments', 'VIDEO', null, variant);
+        variant.status = 'error';
+        return null;
+    }
+
+    const currentSequence = manifest.mediaSequence || 0;
+
+    // The status follows this poll only: a good playlist is online unless the
+    // checks below find it stale or a segment, key or init segment failing
+    variant.status = 'online';
+
+    // --- STALENESS CHECK ---
+    // Measured from the last time the sequence advanced, not from the previous poll,
+    // so it holds regardless of the poll interval. A playlist can't be expected to
+    // change faster than its target duration (x1.5 to allow for segment jitter).
+    if (vod) {
+        health.isStale = false;
+        health.timeSinceLastUpdate = 0;
+        state.consecutiveStales = 0;
+    } else if (currentSequence === state.lastMediaSequence) {
+        state.consecutiveStales++;
+        health.timeSinceLastUpdate = now - state.lastUpdateTime;
+        const staleThreshold = Math.max(stream.health.staleThreshold, (manifest.targetDuration || 0) * 1500);
+
+        if (health.timeSinceLastUpdate > staleThreshold) {
+            health.isStale = true;
+            variant.status = 'stale';
+            addError(stream, ErrorTypes.STALE_MANIFEST,
+                `Playlist stale for ${health.timeSinceLastUpdate}ms`, 'VIDEO', null, variant);
+        }
+    } else {
+        // Playlist updated
+        health.isStale = false;
+        health.lastManifestUpdate = new Date();
+        health.timeSinceLastUpdate = 0;
+        state.consecutiveStales = 0;
+        state.lastUpdateTime = now;
+    }
+
+    // --- SEQUENCE CHECKS ---
+    if (!vod && state.lastMediaSequence !== -1) {
+        // After a restart, the segments published while the monitor was down are expected
+        const missedSegments = state.resumedAfter && manifest.targetDuration
+            ? Math.floor(state.resumedAfter / (manifest.targetDuration * 1000))
+            : 0;
+        const expectedSequence = state.lastMediaSequence + 1 + missedSegments;
+
+        // Check for sequence jump (gap) - only count significant gaps (3+)
+        // Gaps of 1-2 are normal due to poll timing (7s) vs segment duration (~6s)
+        if (currentSequence > expectedSequence) {
+            const gap = currentSequence - expectedSequence;
+            if (gap >= 3) {
+                health.sequenceJumps++;
+                stream.health.sequenceJumps++;
                 addError(stream, ErrorTypes.MEDIA_SEQUENCE,
-                    `Sequence reset from ${state.lastMediaSequence} to ${currentSequence}`);
+                    `Sequence jumped from ${state.lastMediaSequence} to ${currentSequence} (gap: ${gap}` +
+                    (missedSegments ? `, after allowing ${missedSegments} segments published during monitor downtime)` : ')'),
+                    'VIDEO', null, variant);
             }
         }
 
-        // --- DISCONTINUITY CHECK ---
-        let currentDiscontinuityCount = 0;
-        manifest.segments.forEach(seg => {
-            if (seg.discontinuity) currentDiscontinuityCount++;
+        // Check for sequence reset
+        if (currentSequence < state.lastMediaSequence) {
+            health.sequenceResets++;
+            stream.health.sequenceResets++;
+            addError(stream, ErrorTypes.MEDIA_SEQUENCE,
+                `Sequence reset from ${state.lastMediaSequence} to ${currentSequence}`,
+                'VIDEO', null, variant);
+        }
+    }
+
+    if (!vod) {
+        checkSlidingWindow(stream, variant, state, manifest);
+        checkProgramDateTime(stream, variant, state, manifest, now);
+    }
+    await checkEncryption(stream, variant, state, manifest);
+    await checkInitSegments(stream, variant, state, manifest);
+    const subtitleBodies = vod ? null : await probeNewSegments(stream, variant, state, manifest);
+    if (variant.mediaType === 'VIDEO') checkCompliance(stream, variant, state, manifest, now);
+    if (variant.mediaType === 'SUBTITLE' && !vod) await checkSubtitleSegments(stream, variant, state, manifest, subtitleBodies);
+    if (variant.mediaType === 'IFRAME') checkIFrames(stream, variant, state, manifest, now);
+    checkResponseHeaders(stream, variant, state, manifest, vod);
+    trackTimelineAdvance(state, manifest);
+
+    if (!vod && stream.config?.lowLatency !== false && llhls.isLowLatency(manifest)) {
+        await checkLowLatency(stream, variant, state, manifest);
+    }
+
+    // --- DISCONTINUITY CHECK ---
+    let currentDiscontinuityCount = 0;
+    manifest.segments.forEach(seg => {
+        if (seg.discontinuity) currentDiscontinuityCount++;
+    });
+
+    if (manifest.discontinuitySequence !== undefined) {
+        health.discontinuitySequence = manifest.discontinuitySequence;
+    }
+    health.discontinuityCount = currentDiscontinuityCount;
+
+    // --- UPDATE HEALTH ---
+    health.previousMediaSequence = state.lastMediaSequence;
+    health.mediaSequence = currentSequence;
+    health.segmentCount = manifest.segments.length;
+    health.targetDuration = manifest.targetDuration || 0;
+
+    // Update state
+    state.lastMediaSequence = currentSequence;
+    state.lastPollTime = now;
+    state.lastSegments = manifest.segments.map(seg => ({
+        uri: segmentId(seg),
+        discontinuity: !!seg.discontinuity,
+        programDateTime: typeof seg.programDateTime === 'number' ? seg.programDateTime : null,
+        key: describeKey(seg.key)
+    }));
+    state.lastDiscontinuitySequence = manifest.discontinuitySequence || 0;
+    state.resumedAfter = 0;
+
+    return manifest;
+}
+
+// --- RFC 8216 CONFORMANCE ---
+// Replace the findings of one playlist (a variant, or null for the master).
+// Findings already present keep their firstSeen; new error-level ones are logged.
+function applyLintFindings(stream, variant, text, now) {
+    const variantUri = variant ? variant.uri : null;
+    const findings = lintManifest(text);
+    const previous = new Map(stream.lintFindings
+        .filter(finding => (finding.variant || null) === variantUri)
+        .map(finding => [finding.key, finding]));
+
+    const current = [];
+    findings.forEach(finding => {
+        if (current.some(existing => existing.key === finding.key)) return;
+        const known = previous.get(finding.key);
+
+        if (!known && finding.severity === 'error') {
+            addError(stream, ErrorTypes.MANIFEST_LINT, `[${finding.rule}] ${finding.message}`,
+                variant ? 'VIDEO' : 'MASTER', null, variant);
+        }
+        current.push({
+            ...finding,
+            variant: variantUri,
+            firstSeen: known ? known.firstSeen : new Date(now),
+            lastSeen: new Date(now)
         });
+    });
+
+    stream.lintFindings = [
+        ...stream.lintFindings.filter(finding => (finding.variant || null) !== variantUri),
+        ...current
+    ];
+}
+
+// --- VOD DEEP CRAWL ---
+// VOD: PLAYLIST-TYPE:VOD or a finished playlist (EXT-X-ENDLIST), unless the user chose the mode
+function isVod(stream, manifest) {
+    const mode = stream.config?.playlistMode || 'AUTO';
+    if (mode !== 'AUTO') return mode === 'VOD';
+    return manifest.playlistType === 'VOD' || !!manifest.endList;
+}
+
+// Start a crawl when the playlists differ from the last crawled ones - after a
+// restart the stored report may already cover them. A version is the media
+// sequence and segment count of every playlist, as the text alone changes with
+// signed URIs. Playlists without EXT-X-ENDLIST (playlistMode 'VOD') are only
+// crawled once they stop changing. The crawl runs in the background; its
+// report is applied (summary and errors) on the next poll.
+async function checkVod(stream, state, variants, media, io) {
+    const vod = state.vod;
+
+    if (vod.report) {
+        const report = vod.report;
+        vod.report = null;
+        stream.vod.crawlStatus = 'complete';
+        stream.vod.lastCrawl = report.completedAt;
+        stream.vod.completeness = report.completeness;
+        stream.vod.segments = report.totals.segments;
+        stream.vod.issues = report.variants.reduce((sum, result) => sum + result.issueCount, 0);
+
+        report.variants.forEach(result => {
+            const variant = variants.find(v => v.uri === result.uri) || null;
+            const summarize = (problem, errorType, description) => {
+                const issues = result.issues.filter(issue => issue.problem === problem);
+                if (issues.length === 0) return;
+                const first = issues[0];
+                addError(stream, errorType,
+                    `VOD crawl: ${description} (first: seq ${first.sequence} ${first.uri} - ${first.details})`,
+                    'VIDEO', null, variant);
+            };
+            summarize('unavailable', ErrorTypes.SEGMENT_AVAILABILITY,
+                `${result.segments - result.available} of ${result.segments} segments unavailable`);
+            summarize('undecodable', ErrorTypes.SEGMENT_DECODE,
+                `${result.available - result.decodable} of ${result.segments} segments failed to decode`);
+            summarize('duration', ErrorTypes.SEGMENT_DURATION,
+                `${result.durationMismatches} of ${result.segments} segment durations differ from EXTINF`);
+        });
+        io.emit('stream:vod', { id: stream._id, status: 'complete', completeness: report.completeness });
+    }
 
-        if (manifest.discontinuitySequence !== undefined) {
-            if (stream.health.discontinuitySequence !== manifest.discontinuitySequence) {
-                stream.health.discontinuitySequence = manifest.discontinuitySequence;
+    // All playlists are needed for a complete crawl - try again next poll
+    if (vod.running || media.some(manifest => !manifest)) return;
+
+    const version = media.map(manifest => `${manifest.mediaSequence || 0}:${manifest.segments.length}`).join(',');
+    const previous = vod.version;
+    vod.version = version;
+    if (!media.every(manifest => manifest.endList) && version !== previous) {
+        if (previous !== null && !vod.changingReported) {
+            vod.changingReported = true;
+            addError(stream, ErrorTypes.PLAYLIST_CONTENT,
+                'Playlist mode is VOD, but the playlist has no EXT-X-ENDLIST and is still changing - not crawled until it stops',
+                'VIDEO');
+        }
+        return;
+    }
+
+    const hash = crypto.createHash('sha256').update(version).digest('hex');
+    if (hash === vod.hash) return;
+
+    if (vod.hash === null) {
+        const existing = await VodReport.findOne({ streamId: stream._id }).select('status playlistHash').lean()
+            .catch(err => {
+                console.error(`[VOD] ${stream.name}: failed to load report: ${err.message}`);
+                return null;
+            });
+        if (existing && existing.status === 'complete' && existing.playlistHash === hash) {
+            vod.hash = hash;
+            return;
+        }
+    }
+    vod.hash = hash;
+
+    const entries = variants.map((variant, i) => ({
+        variant: { uri: variant.uri, mediaType: variant.mediaType, language: variant.language, name: variant.name },
+        segments: media[i].segments.map((segment, index) => ({
+            ...describeSegment(media[i], index),
+            label: segmentId(segment),
+            duration: segment.duration
+        }))
+    }));
+
+    stream.vod.crawlStatus = 'running';
+    io.emit('stream:vod', { id: stream._id, status: 'running' });
+    vod.running = crawlVod(stream, entries, hash)
+        .then(report => { vod.report = report; })
+        .catch(err => {
+            console.error(`[VOD] ${stream.name}: crawl failed: ${redact(stream, err.message)}`);
+            vod.hash = null; // Retry on a later poll
+        })
+        .finally(() => { vod.running = null; });
+}
+
+// --- CHECKER STATE ---
+function createVariantState() {
+    return {
+        url: null, // Playlist URL to fetch, unredacted (not saved)
+        lastPollTime: 0,
+        lastUpdateTime: 0,
+        lastMediaSequence: -1,
+        consecutiveStales: 0,
+        lastSegments: [],
+        lastDiscontinuitySequence: 0,
+        lastProbedSequence: -1,
+        lowLatencyFindings: new Set(),
+        lastPartUri: null,
+        overLatencyBudget: false,
+        keyFingerprints: new Map(),
+        initFingerprints: new Map(),
+        resumedAfter: 0,
+        segmentBitrates: [],
+        complianceFindings: new Set(),
+        probeFindings: [],
+        probedStreams: null,
+        complianceProbe: null,
+        lastComplianceProbe: 0,
+        lastSubtitleSequence: -1,
+        lastSubtitle: null,
+        syncCheck: null,
+        syncResult: null,
+        syncReported: false,
+        lastSyncCheck: 0,
+        keyframeCheck: null,
+        keyframeResult: null,
+        keyframeReported: false,
+        lastKeyframeCheck: 0,
+        timelineEndSequence: -1,
+        timelineAdvance: 0,
+        timelineBaseline: null,
+        iframeOutOfStep: false,
+        headerFindings: new Set(),
+        segmentHeaderFindings: []
+    };
+}
+
+// In-memory state, restored from the database the first time a stream is polled
+// after a restart. Each restored variant remembers how long it went unpolled so
+// the sequence checks don't blame our downtime on the stream.
+async function getStreamState(stream, now) {
+    const id = stream._id.toString();
+    if (streamState.has(id)) return streamState.get(id);
+
+    const state = {
+        variants: new Map(),
+        ads: createAdState(),
+        vod: { hash: null, version: null, changingReported: false, running: null, report: null },
+        masterHeaderFindings: new Set(),
+        analyzed: [], // processSegment results not looked at yet
+        analysisPending: false, // A processSegment call hasn't settled yet
+        videoContent: createContentRuns(),
+        loudness: loudness.createLoudnessState(),
+        audioChannels: { lastSequence: null, streaks: {}, reported: new Set() },
+        avSync: createSyncState()
+    };
+    try {
+        const saved = await loadState(stream._id);
+        if (saved) {
+            saved.variants.forEach((variantState, uri) => {
+                const restored = { ...createVariantState(), ...variantState };
+                if (restored.lastPollTime) restored.resumedAfter = now - restored.lastPollTime;
+                state.variants.set(uri, restored);
+            });
+            if (saved.ads) state.ads = saved.ads;
+            state.masterHeaderFindings = saved.masterHeaderFindings;
+            if (saved.videoContent) state.videoContent = saved.videoContent;
+            if (saved.loudness) state.loudness = { ...state.loudness, ...saved.loudness };
+            if (saved.audioChannels) state.audioChannels = saved.audioChannels;
+            if (saved.avSync) state.avSync = saved.avSync;
+
+            const downtime = now - new Date(saved.savedAt).getTime();
+            console.log(`[STATE] ${stream.name}: restored state of ${saved.variants.size} variant(s) saved ${Math.round(downtime / 1000)}s ago`);
+            if (downtime > MONITOR_OUTAGE_THRESHOLD) {
+                console.warn(`[STATE] ${stream.name}: monitor was down for ${Math.round(downtime / 1000)}s - sequence advance in that time is not counted as jumps`);
             }
         }
-        stream.health.discontinuityCount = currentDiscontinuityCount;
+    } catch (err) {
+        console.error(`[STATE] ${stream.name}: failed to restore state: ${err.message}`);
+    }
 
-        // --- UPDATE HEALTH ---
-        stream.health.previousMediaSequence = state.lastMediaSequence;
-        stream.health.mediaSequence = currentSequence;
-        stream.health.segmentCount = segmentCount;
-        stream.health.targetDuration = targetDuration;
-        stream.health.playlistType = manifest.playlistType || 'LIVE';
+    streamState.set(id, state);
+    return state;
+}
 
-        // Update state
-        state.lastMediaSequence = currentSequence;
-        state.lastPollTime = now;
-        streamState.set(stream._id.toString(), state);
+// --- STATUS ---
+// Feed this poll's observation through the state machine; record transitions and announce
+// each as its own event (stream:degraded, stream:offline, stream:recovered, stream:flapping)
+function applyStatus(stream, observed, reason, now, io) {
+    const { transition, flapping } = updateStatus(stream, observed, reason, now);
+
+    if (transition) {
+        console.log(`[STATUS] ${stream.name}: ${transition.from} -> ${transition.to} (${transition.reason})`);
+        StatusTransition.create({ streamId: stream._id, ...transition, flapping: stream.health.isFlapping, date: new Date(now) })
+            .catch(err => console.error(`[STATUS] ${stream.name}: ${err.message}`));
+        io.emit(`stream:${transition.type}`, { id: stream._id, ...transition, flapping: stream.health.isFlapping, date: new Date(now) });
+    }
 
-        // --- TRIGGER SPRITE GENERATION ---
-        // Always process the latest segment for sprite
-        const latestSegment = manifest.segments[manifest.segments.length - 1];
-        let segmentUrl = latestSegment.uri;
-        if (!segmentUrl.startsWith('http')) {
-            const baseUrl = variantUrl.substring(0, variantUrl.lastIndexOf('/') + 1);
-            segmentUrl = baseUrl + segmentUrl;
+    if (flapping === 'start') {
+        addError(stream, ErrorTypes.STATUS_FLAPPING,
+            `Polls switched between good and bad ${stream.health.recentFlips.length} times in the last ` +
+            `${FLAP_WINDOW / 60000} minutes (threshold ${FLAP_THRESHOLD})`, 'MASTER');
+    }
+    if (flapping) {
+        console.log(`[STATUS] ${stream.name}: ${flapping === 'start' ? 'flapping' : 'stopped flapping'}`);
+        io.emit('stream:flapping', { id: stream._id, flapping: flapping === 'start', date: new Date(now) });
+    }
+}
+
+// Save a checked stream, unless another worker took it over while it was being
+// checked (distributed mode). Returns false when the save was skipped.
+async function saveStream(stream, leases) {
+    if (leases && !(await leases.holds(stream._id.toString()))) {
+        console.warn(`[LEASE] ${stream.name}: lease lost during the poll - not saving`);
+        return false;
+    }
+    await stream.save();
+    return true;
+}
+
+async function checkStream(stream, io, leases = null) {
+    const now = Date.now();
+    const state = await getStreamState(stream, now);
+
+    try {
+        // --- FETCH MANIFEST ---
+        let manifest;
+
+        try {
+            manifest = await fetchManifest(stream, stream.url);
+        } catch (err) {
+            const message = redact(stream, err.message);
+            addError(stream, ErrorTypes.MANIFEST_RETRIEVAL,
+                `Failed to fetch manifest: ${message}`, 'MASTER', err.response?.status);
+            applyStatus(stream, 'error', `Manifest fetch failed: ${message}`, now, io);
+            try {
+                if (!(await saveStream(stream, leases))) return;
+            } catch (saveErr) {
+                if (saveErr.name === 'VersionError') {
+                    console.warn(`[WARN] ${stream.name}: VersionError during status update - skipping`);
+                    return;
+                }
+                throw saveErr;
+            }
+            io.emit('stream:update', stream);
+            return;
+        }
+
+        // --- ORIGIN ---
+        const previousOrigin = stream.origin.finalUrl && { finalUrl: stream.origin.finalUrl, edge: { cdn: stream.origin.cdn } };
+        trackOrigin(stream, null, 'Stream URL', previousOrigin, manifest.http);
+        Object.assign(stream.origin, {
+            finalUrl: manifest.http.finalUrl,
+            redirects: manifest.http.redirects,
+            host: new URL(manifest.http.finalUrl).host,
+            cdn: manifest.http.edge.cdn
+        });
+
+        // --- POLL EVERY VARIANT ---
+        const isMaster = manifest.playlists && manifest.playlists.length > 0;
+        if (isMaster) {
+            applyLintFindings(stream, null, manifest.raw, now);
+            state.masterHeaderFindings = reportHeaderFindings(stream, null, state.masterHeaderFindings,
+                checkPlaylistHeaders(manifest.http.headers));
         }
 
-        processSegment(stream, segmentUrl, io);
+        const ladder = await listVariants(stream, manifest);
+        const variants = syncVariantDocs(stream, ladder);
+        const media = await Promise.all(variants.map((variant, i) => {
+            if (!state.variants.has(variant.uri)) state.variants.set(variant.uri, createVariantState());
+            const variantState = state.variants.get(variant.uri);
+            variantState.url = ladder[i].url;
+            return checkVariant(stream, variant, variantState, now, isMaster ? null : manifest);
+        }));
+
+        // Forget state and lint findings for renditions that left the ladder
+        for (const uri of state.variants.keys()) {
+            if (!variants.some(v => v.uri === uri)) state.variants.delete(uri);
+        }
+        stream.lintFindings = stream.lintFindings.filter(finding => finding.variant
+            ? variants.some(v => v.uri === finding.variant)
+            : isMaster);
+
+        // --- AGGREGATE STREAM HEALTH ---
+        // Status reflects the worst variant; sequence numbers follow the primary (first) variant
+        const failing = variants.filter(v => v.status === 'error');
+        const stale = variants.filter(v => v.status === 'stale');
+        if (failing.length > 0) {
+            applyStatus(stream, 'error', `Variant error: ${failing.map(v => v.uri).join(', ')}`, now, io);
+        } else if (stale.length > 0) {
+            applyStatus(stream, 'stale', `Variant stale: ${stale.map(v => v.uri).join(', ')}`, now, io);
+        } else {
+            applyStatus(stream, 'online', 'All variants healthy', now, io);
+        }
+        stream.health.isStale = variants.some(v => v.health.isStale);
+
+        const primary = variants[0];
+        const primaryManifest = media[0];
+        stream.stats.bandwidth = primary.bandwidth || stream.stats.bandwidth;
+        if (primary.resolution) stream.stats.resolution = primary.resolution;
+
+        stream.health.lastManifestUpdate = primary.health.lastManifestUpdate;
+        stream.health.timeSinceLastUpdate = Math.max(...variants.map(v => v.health.timeSinceLastUpdate || 0));
+        stream.health.previousMediaSequence = primary.health.previousMediaSequence;
+        stream.health.mediaSequence = primary.health.mediaSequence;
+        stream.health.segmentCount = primary.health.segmentCount;
+        stream.health.targetDuration = primary.health.targetDuration;
+        stream.health.discontinuitySequence = primary.health.discontinuitySequence;
+        stream.health.discontinuityCount = primary.health.discontinuityCount;
+        stream.health.liveLatency = primary.health.liveLatency;
+        stream.health.pdtDrift = primary.health.pdtDrift;
+        if (primaryManifest) stream.health.playlistType = primaryManifest.playlistType || 'LIVE';
+
+        const currentSequence = stream.health.mediaSequence;
+        const segmentCount = stream.health.segmentCount;
+
+        if (primaryManifest) await checkAdBreaks(stream, primary, state, primaryManifest, now, io);
+
+        // --- VOD ---
+        stream.vod.isVod = !!primaryManifest && isVod(stream, primaryManifest);
+        if (stream.vod.isVod) await checkVod(stream, state, variants, media, io);
+
+        // --- I-FRAME TIMELINE (live only) ---
+        if (primaryManifest && !stream.vod.isVod) {
+            variants.forEach((variant, i) => {
+                if (variant.mediaType !== 'IFRAME' || !media[i]) return;
+                checkIFrameTimeline(stream, variant, state.variants.get(variant.uri), media[i],
+                    state.variants.get(primary.uri), primaryManifest);
+            });
+        }
+
+        // --- SUBTITLE SYNC ---
+        if (primaryManifest) {
+            variants.filter(v => v.mediaType === 'SUBTITLE').forEach(rendition => {
+                checkSubtitleSync(stream, rendition, state.variants.get(rendition.uri), primary, primaryManifest, now);
+            });
+        }
+
+        // --- CONTENT ANALYSIS ---
+        // Results of the segments analyzed since the last poll
+        if (primary) {
+            const analyzed = state.analyzed.splice(0).sort((a, b) => a.sequence - b.sequence);
+            checkVideoContent(stream, primary, state, analyzed.filter(analysis => analysis.picture));
+            checkLoudness(stream, primary, state, analyzed.filter(analysis => analysis.loudness), now);
+            checkAudioChannels(stream, primary, state, analyzed.filter(analysis => analysis.channels));
+            checkAvSync(stream, primary, state, analyzed.filter(analysis => analysis.avSync));
+        }
+
+        // --- TRIGGER SPRITE GENERATION ---
+        // Always process the latest segment of the primary variant for sprite,
+        // unless the previous one is still being analyzed
+        if (primaryManifest && !state.analysisPending) {
+            state.analysisPending = true;
+            processSegment(stream, {
+                ...describeSegment(primaryManifest, primaryManifest.segments.length - 1),
+                bandwidth: primary.bandwidth,
+                renditionAudioBitrate: getRenditionAudioBitrate(primary, variants)
+            }, io)
+                .then(analysis => {
+                    if (analysis) state.analyzed.push(analysis);
+                })
+                .catch(err => console.error(`[PROCESSOR] ${stream.name}: segment analysis failed: ${redact(stream, err.message)}`))
+                .finally(() => { state.analysisPending = false; });
+        }
 
         // Update timestamp
         stream.lastChecked = new Date();
 
         try {
-            await stream.save();
+            if (!(await saveStream(stream, leases))) return;
         } catch (saveErr) {
             if (saveErr.name === 'VersionError') {
                 console.warn(`[WARN] ${stream.name}: VersionError during main loop save - skipping`);
@@ -358,11 +1838,8 @@ async function checkStream(stream, io) {
             throw saveErr;
         }
 
-        // Calculate signal levels for graphs
-        const videoBitrate = stream.stats?.video?.bitRate || stream.stats?.container?.bitRate * 0.85 || 0;
-        const audioBitrate = stream.stats?.audio?.bitRate || 128000;
-        const videoLevel = Math.min(100, Math.max(0, (videoBitrate / 5000000) * 100));
-        const audioLevel = Math.min(100, Math.max(0, (audioBitrate / 320000) * 100));
+        // Signal levels for graphs: the latest segment's measured bitrates (workers/processor.js)
+        const signal = stream.stats?.signal || {};
 
         // Calculate sliding window metrics + decay for health score
         const recentIssues = await calculateSlidingWindowMetrics(stream._id);
@@ -380,11 +1857,26 @@ async function checkStream(stream, io) {
                 healthScore: calculateHealthScore(stream, recentIssues, decayFactor),
                 videoScore: calculateVideoScore(stream),
                 audioScore: calculateAudioScore(stream),
-                videoBitrate: videoBitrate,
-                audioBitrate: audioBitrate,
-                videoLevel: videoLevel,
-                audioLevel: audioLevel,
+                totalBitrate: signal.totalBitrate,
+                videoBitrate: signal.videoBitrate,
+                audioBitrate: signal.audioBitrate,
+                declaredBandwidth: signal.declaredBandwidth,
+                videoLevel: signal.videoLevel,
+                audioLevel: signal.audioLevel,
                 fps: stream.stats?.fps || 0,
+                loudness: stream.stats?.audio?.loudness?.integrated,
+                loudnessWindow: stream.stats?.audio?.loudness?.window?.integrated,
+                loudnessProgram: stream.stats?.audio?.loudness?.program?.integrated,
+                truePeak: stream.stats?.audio?.loudness?.window?.truePeak,
+                avOffset: stream.stats?.avSync?.offset,
+                segmentDownloadTime: primary.lastSegment?.downloadTime,
+                segmentSize: primary.lastSegment?.size,
+                partGap: primary.lowLatency?.partGap,
+                liveLatency: primary.health.liveLatency,
+                manifestTiming: primary.lastManifestRequest?.timing,
+                segmentTiming: primary.lastSegment?.timing,
+                manifestEdge: primary.lastManifestRequest?.edge,
+                segmentEdge: primary.lastSegment?.edge,
                 status: stream.status,
                 mediaSequence: currentSequence,
                 segmentCount: segmentCount,
@@ -396,7 +1888,7 @@ async function checkStream(stream, io) {
 
         // Save updated recent metrics to database
         try {
-            await stream.save();
+            if (!(await saveStream(stream, leases))) return;
         } catch (saveErr) {
             if (saveErr.name !== 'VersionError') {
                 console.error(`[METRICS SAVE] ${stream.name}: ${saveErr.message}`);
@@ -404,16 +1896,18 @@ async function checkStream(stream, io) {
         }
 
         io.emit('stream:update', stream);
+        saveState(stream._id, state);
 
         console.log(`[OK] ${stream.name}: seq=${currentSequence}, segments=${segmentCount}`);
 
     } catch (err) {
-        console.error(`[FATAL] ${stream.name}:`, err.message);
-        stream.status = 'error';
-        addError(stream, ErrorTypes.MANIFEST_RETRIEVAL, err.message);
+        const message = redact(stream, err.message);
+        console.error(`[FATAL] ${stream.name}:`, message);
+        addError(stream, ErrorTypes.MANIFEST_RETRIEVAL, message);
+        applyStatus(stream, 'error', message, now, io);
 
         try {
-            await stream.save();
+            if (!(await saveStream(stream, leases))) return;
         } catch (saveErr) {
             // Handle VersionError specifically to avoid crash
             if (saveErr.name === 'VersionError') {
@@ -426,34 +1920,92 @@ async function checkStream(stream, io) {
     }
 }
 
-async function monitorLoop(io) {
-    const streams = await Stream.find();
-
-    for (const stream of streams) {
-        await checkStream(stream, io);
-    }
+// Poll interval for a stream: per-stream override, else one target duration
+// (RFC 8216 says clients should not reload a live playlist more often than that)
+function getPollInterval(stream) {
+    // A VOD playlist doesn't change - its segments are covered by the deep crawl
+    if (stream.vod?.isVod && !stream.config?.pollInterval) return MAX_POLL_INTERVAL;
+    const interval = stream.config?.pollInterval || (stream.health?.targetDuration || 0) * 1000 || DEFAULT_POLL_INTERVAL;
+    return Math.max(MIN_POLL_INTERVAL, Math.min(MAX_POLL_INTERVAL, interval));
 }
 
-module.exports = function (io) {
-    console.log(`[MONITOR] Starting with ${MONITOR_INTERVAL}ms interval`);
+// One scheduled poll: load the latest document, record scheduling drift, check it.
+// Returns the interval until the next poll, or null once the stream is gone.
+async function pollStream(id, io, timing, leases) {
+    const stream = await Stream.findById(id);
+    if (!stream) return null;
 
-    let isRunning = false;
+    stream.health.pollInterval = timing.intended || getPollInterval(stream);
+    stream.health.actualPollInterval = timing.actual || 0;
+    stream.health.pollDrift = timing.drift;
 
-    async function runMonitor() {
-        if (isRunning) return;
-        isRunning = true;
+    if (timing.intended && timing.drift > timing.intended * POLL_DRIFT_TOLERANCE) {
+        console.warn(`[SCHEDULER] ${stream.name}: polled after ${timing.actual}ms, intended ${timing.intended}ms (drift +${timing.drift}ms)`);
+    }
 
+    await checkStream(stream, io, leases);
+    return getPollInterval(stream);
+}
+
+// `io` is anything with emit(): the socket.io server, or an event bus publisher
+// in distributed mode. With `workerId` set, streams are shared with other workers
+// through leases instead of this process checking all of them.
+module.exports = function (io, { workerId = null } = {}) {
+    const leases = workerId ? createLeaseManager(workerId) : null;
+    console.log(leases
+        ? `[MONITOR] Starting worker ${workerId} (${MAX_CONCURRENT_CHECKS} concurrent checks, streams shared through leases)`
+        : `[MONITOR] Starting per-stream scheduler (${MAX_CONCURRENT_CHECKS} concurrent checks)`);
+
+    const scheduler = createScheduler({
+        concurrency: MAX_CONCURRENT_CHECKS,
+        defaultInterval: DEFAULT_POLL_INTERVAL,
+        run: (id, timing) => pollStream(id, io, timing, leases)
+    });
+
+    // Keep the scheduled set in line with the streams in the database (and our leases)
+    async function syncStreams() {
         try {
-            await monitorLoop(io);
+            const ids = (await Stream.find().distinct('_id')).map(id => id.toString());
+            const assigned = leases ? await leases.rebalance(ids) : ids;
+
+            assigned.forEach(id => scheduler.add(id));
+            scheduler.ids().filter(id => !assigned.includes(id)).forEach(id => {
+                scheduler.remove(id);
+                streamState.delete(id);
+                if (!ids.includes(id)) {
+                    deleteState(id).catch(err => console.error(`[STATE] Failed to delete state for ${id}: ${err.message}`));
+                }
+            });
         } catch (err) {
-            console.error('[MONITOR] Global loop error:', err);
-        } finally {
-            isRunning = false;
-            // Schedule next run only after current one finishes
-            setTimeout(runMonitor, MONITOR_INTERVAL);
+            console.error('[MONITOR] Stream sync error:', err.message);
         }
     }
 
+    // The next round is scheduled once the previous one finished, so slow rounds can't overlap
+    let syncTimer = null;
+    let syncing = null;
+    let stopped = false;
+    function runSync() {
+        syncing = syncStreams().finally(() => {
+            syncing = null;
+            if (!stopped) syncTimer = setTimeout(runSync, STREAM_SYNC_INTERVAL);
+        });
+    }
+
     // Start immediately
-    runMonitor();
+    runSync();
+
+    // Stop polling and hand our streams to the other workers
+    async function shutdown() {
+        stopped = true;
+        clearTimeout(syncTimer);
+        await syncing; // A round still running could claim streams after the release
+        scheduler.ids().forEach(id => scheduler.remove(id));
+        if (leases) await leases.releaseAll();
+    }
+
+    return { shutdown };
 };
+
+// A single poll, without the scheduler (used by the tests)
+module.exports.checkStream = checkStream;
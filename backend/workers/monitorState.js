@@ -0,0 +1,124 @@
+// ============================================
+// Monitor State Persistence
+// Saves each stream's checker state after every poll and loads it back after
+// a restart. Key and init segment fingerprints are not kept - they are cheap
+// to re-establish and a changed key across a restart can't be told apart
+// from a legitimate one anyway. Neither is the rolling loudness window, which
+// refills within minutes; the program loudness histograms are.
+// ============================================
+const MonitorState = require('../models/MonitorState');
+
+const VARIANT_FIELDS = [
+    'lastPollTime',
+    'lastUpdateTime',
+    'lastMediaSequence',
+    'consecutiveStales',
+    'lastDiscontinuitySequence',
+    'lastProbedSequence',
+    'lastPartUri',
+    'overLatencyBudget',
+    'lastSegments',
+    'segmentBitrates',
+    'probeFindings',
+    'lastSubtitleSequence',
+    'syncReported',
+    'keyframeReported',
+    'iframeOutOfStep',
+    'segmentHeaderFindings'
+];
+
+function toDocument(state) {
+    const variants = [...state.variants].map(([uri, variantState]) => {
+        const doc = {
+            uri,
+            lowLatencyFindings: [...variantState.lowLatencyFindings],
+            complianceFindings: [...variantState.complianceFindings],
+            headerFindings: [...variantState.headerFindings]
+        };
+        VARIANT_FIELDS.forEach(field => { doc[field] = variantState[field]; });
+        return doc;
+    });
+
+    return {
+        variants,
+        ads: {
+            lastSequence: state.ads.lastSequence,
+            open: state.ads.open,
+            lastCue: state.ads.lastCue,
+            dateRanges: [...state.ads.dateRanges]
+        },
+        masterHeaderFindings: [...state.masterHeaderFindings],
+        videoContent: state.videoContent,
+        loudness: {
+            lastSequence: state.loudness.lastSequence,
+            program: state.loudness.program,
+            reported: [...state.loudness.reported]
+        },
+        audioChannels: { ...state.audioChannels, reported: [...state.audioChannels.reported] },
+        avSync: { ...state.avSync, reported: [...state.avSync.reported] },
+        savedAt: new Date()
+    };
+}
+
+// Fire-and-forget: a failed save only costs continuity after the next restart
+function saveState(streamId, state) {
+    MonitorState.updateOne({ streamId }, { $set: toDocument(state) }, { upsert: true })
+        .catch(err => console.error(`[STATE] Failed to save state for ${streamId}: ${err.message}`));
+}
+
+// Saved state as { savedAt, variants: Map(uri -> partial variant state), ads,
+// masterHeaderFindings, videoContent, loudness, audioChannels, avSync }, or null
+async function loadState(streamId) {
+    const doc = await MonitorState.findOne({ streamId }).lean();
+    if (!doc) return null;
+
+    const variants = new Map((doc.variants || []).map(saved => {
+        const variantState = {
+            lowLatencyFindings: new Set(saved.lowLatencyFindings || []),
+            complianceFindings: new Set(saved.complianceFindings || []),
+            headerFindings: new Set(saved.headerFindings || [])
+        };
+        VARIANT_FIELDS.forEach(field => {
+            if (saved[field] !== undefined) variantState[field] = saved[field];
+        });
+        return [saved.uri, variantState];
+    }));
+
+    // A break can be saved in several places (open, last CUE-OUT, a DATERANGE);
+    // make those one object again
+    const breaks = new Map();
+    const relink = brk => {
+        if (!brk) return null;
+        if (!breaks.has(brk.breakId)) breaks.set(brk.breakId, brk);
+        return breaks.get(brk.breakId);
+    };
+    const ads = doc.ads && {
+        lastSequence: doc.ads.lastSequence ?? -1,
+        open: relink(doc.ads.open),
+        lastCue: relink(doc.ads.lastCue),
+        dateRanges: new Map((doc.ads.dateRanges || []).map(([id, brk]) => [id, relink(brk)]))
+    };
+
+    const masterHeaderFindings = new Set(doc.masterHeaderFindings || []);
+
+    const loudness = doc.loudness && { ...doc.loudness, reported: new Set(doc.loudness.reported || []) };
+    const audioChannels = doc.audioChannels && { ...doc.audioChannels, reported: new Set(doc.audioChannels.reported || []) };
+    const avSync = doc.avSync && { ...doc.avSync, reported: new Set(doc.avSync.reported || []) };
+
+    return {
+        savedAt: doc.savedAt,
+        variants,
+        ads,
+        masterHeaderFindings,
+        videoContent: doc.videoContent || null,
+        loudness,
+        audioChannels,
+        avSync
+    };
+}
+
+function deleteState(streamId) {
+    return MonitorState.deleteOne({ streamId });
+}
+
+module.exports = { saveState, loadState, deleteState };
@@ -1,6 +1,17 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { isFetchableKey, getKey, getIv, decryptAes128 } = require('./encryption');
+const { getRangeHeaders, getInitSegment } = require('./initSegment');
+const { streamRequest, redact } = require('./requestConfig');
+const { DETECT_FILTERS, parseVideoContent } = require('./videoContent');
+const { LOUDNESS_FILTER, parseLoudness } = require('./loudness');
+const { getChannelFilter, parseChannelStats } = require('./audioChannels');
+const { measureAvOffset } = require('./avSync');
+
+const SEGMENT_DOWNLOAD_TIMEOUT = 15000;
 
 // ============================================
 // FFmpeg Process Queue (Concurrency Limiter)
@@ -46,21 +57,241 @@ function getChannelLayout(channels) {
     }
 }
 
-async function processSegment(stream, segmentUrl, io) {
+// What ffmpeg should read for a segment: a temp copy, downloaded once (with the
+// stream's request settings) however many analyses read it, and assembled from
+// the pieces ffmpeg can't fetch itself - an EXT-X-BYTERANGE slice, an AES-128
+// decrypted payload, and the EXT-X-MAP init segment that fMP4 fragments need in
+// front of them. SAMPLE-AES (and keys we can't fetch, e.g. skd://) leave the
+// media encrypted, so only container-level probing is possible.
+// segment.data, when set, holds the already downloaded segment bytes.
+// `size` is the segment's own byte count.
+async function prepareInput(stream, segment) {
+    const key = segment.key;
+    const encrypted = !!key && (key.method !== 'AES-128' || !isFetchableKey(key));
+    const decrypt = !!key && !encrypted;
+
+    const [response, keyBytes, init] = await Promise.all([
+        segment.data ? { data: segment.data } : streamRequest(stream, {
+            url: segment.url,
+            responseType: 'arraybuffer',
+            timeout: SEGMENT_DOWNLOAD_TIMEOUT,
+            headers: getRangeHeaders(segment.byterange)
+        }),
+        decrypt ? getKey(stream, key.url) : null,
+        segment.map ? getInitSegment(stream, segment.map.url, segment.map.byterange) : null
+    ]);
+
+    let data = Buffer.from(response.data);
+    const size = data.length;
+    if (decrypt) data = decryptAes128(data, keyBytes, getIv(key, segment.sequence));
+    if (init) data = Buffer.concat([init.data, data]);
+
+    // EXT-X-MAP is an fMP4 init segment, or the PAT/PMT of a TS I-frame playlist
+    const extension = segment.map && !/\.ts$/i.test(segment.map.uri.split('?')[0]) ? 'mp4' : 'ts';
+    const tempFile = path.join(os.tmpdir(), `segment-${stream._id}-${crypto.randomUUID()}.${extension}`);
+    fs.writeFileSync(tempFile, data);
+    return {
+        input: tempFile,
+        encrypted,
+        size,
+        cleanup: () => fs.unlink(tempFile, () => { })
+    };
+}
+
+// ffprobe one segment and return its streams (null when it couldn't be probed).
+// Used by the compliance check, which samples every variant, not just the first.
+async function probeStreams(stream, segment) {
+    let source;
+    try {
+        source = await prepareInput(stream, segment);
+    } catch (err) {
+        console.error(`[COMPLIANCE] ${stream.name}: ${redact(stream, err.message)}`);
+        return null;
+    }
+
+    let streams = null;
+    await runLimited(() => new Promise((resolve) => {
+        ffmpeg.ffprobe(source.input, (err, metadata) => {
+            if (err) {
+                console.error(`[COMPLIANCE] ${stream.name}: ${redact(stream, err.message)}`);
+            } else {
+                streams = metadata.streams || [];
+            }
+            resolve();
+        });
+    }));
+    source.cleanup();
+    return streams;
+}
+
+// Keyframes ffprobe can decode from one segment - an I-frame playlist entry should hold one.
+// Returns { video, keyframes } (video: whether there is a video stream at all), or null
+// when the segment couldn't be probed.
+async function countKeyframes(stream, segment) {
+    let source;
+    try {
+        source = await prepareInput(stream, segment);
+    } catch (err) {
+        console.error(`[IFRAME] ${stream.name}: ${redact(stream, err.message)}`);
+        return null;
+    }
+
+    let result = null;
+    await runLimited(() => new Promise((resolve) => {
+        const options = ['-select_streams', 'v:0', '-skip_frame', 'nokey', '-count_frames'];
+        ffmpeg.ffprobe(source.input, options, (err, metadata) => {
+            if (err) {
+                console.error(`[IFRAME] ${stream.name}: ${redact(stream, err.message)}`);
+            } else {
+                const video = (metadata.streams || []).find(s => s.codec_type === 'video');
+                result = { video: !!video, keyframes: parseInt(video?.nb_read_frames) || 0 };
+            }
+            resolve();
+        });
+    }));
+    source.cleanup();
+    return result;
+}
+
+// Duration and decodability of one segment, for the VOD crawl: ffprobe, then a
+// full decode to a null output with only errors logged. Encrypted media that
+// can't be decrypted is probed but not decoded.
+// Returns { duration, streams, encrypted, errors: [message] }
+async function inspectSegment(stream, segment) {
+    const inspection = { duration: null, streams: [], encrypted: false, errors: [] };
+    let source;
+    try {
+        source = await prepareInput(stream, segment);
+    } catch (err) {
+        inspection.errors.push(redact(stream, err.message));
+        return inspection;
+    }
+    inspection.encrypted = source.encrypted;
+
+    const decodeErrors = stderr => redact(stream, stderr || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+    await runLimited(() => new Promise((resolve) => {
+        ffmpeg.ffprobe(source.input, (err, metadata) => {
+            if (err) {
+                inspection.errors.push(redact(stream, err.message));
+                resolve();
+                return;
+            }
+            inspection.streams = metadata.streams || [];
+            inspection.duration = parseFloat(metadata.format?.duration) || null;
+            if (source.encrypted) {
+                resolve();
+                return;
+            }
+
+            ffmpeg(source.input)
+                .inputOptions(['-v', 'error'])
+                .format('null')
+                .output('-')
+                .on('end', (stdout, stderr) => {
+                    inspection.errors.push(...decodeErrors(stderr));
+                    resolve();
+                })
+                .on('error', (decodeErr, stdout, stderr) => {
+                    const lines = decodeErrors(stderr);
+                    inspection.errors.push(...(lines.length > 0 ? lines : [redact(stream, decodeErr.message)]));
+                    resolve();
+                })
+                .run();
+        });
+    }));
+    source.cleanup();
+    return inspection;
+}
+
+// Payload bytes of the video and audio elementary streams from the summary
+// ffmpeg prints after a stream copy ("video:1234kB audio:56kB ...", "KiB" in
+// newer versions). Returns { video, audio } or null when there is none.
+function parseStreamBytes(stderr) {
+    const match = (stderr || '').match(/video:\s*([\d.]+)\s*ki?B\s+audio:\s*([\d.]+)\s*ki?B/i);
+    return match ? { video: parseFloat(match[1]) * 1024, audio: parseFloat(match[2]) * 1024 } : null;
+}
+
+// Stream copy of one segment to a null output, for parseStreamBytes
+function measureStreamBytes(stream, source) {
+    return new Promise((resolve) => {
+        ffmpeg(source.input)
+            .outputOptions(['-map', '0:v?', '-map', '0:a?', '-c', 'copy'])
+            .format('null')
+            .output('-')
+            .on('end', (stdout, stderr) => resolve(parseStreamBytes(stderr)))
+            .on('error', (err) => {
+                console.debug(`[SIGNAL] ${stream.name}: ${redact(stream, err.message)}`);
+                resolve(null);
+            })
+            .run();
+    });
+}
+
+// Measured bitrates (bps) of one segment over its EXTINF duration - the whole
+// segment from its size, video and audio from their elementary stream bytes -
+// and signal levels: the share (%) of the variant's declared BANDWIDTH each
+// takes. Audio in a separate rendition (EXT-X-MEDIA) comes from that
+// rendition's latest segment. Anything that couldn't be measured is null.
+function measureSignal(segment, size, bytes, hasVideo, hasAudio) {
+    const toBitrate = count => (segment.duration > 0 && count != null ? Math.round((count * 8) / segment.duration) : null);
+    const toLevel = bitrate => (segment.bandwidth && bitrate != null ? Math.min(100, (bitrate / segment.bandwidth) * 100) : null);
+
+    const videoBitrate = hasVideo ? toBitrate(bytes?.video) : null;
+    const audioBitrate = hasAudio ? toBitrate(bytes?.audio) : segment.renditionAudioBitrate ?? null;
+    return {
+        totalBitrate: toBitrate(size),
+        videoBitrate,
+        audioBitrate,
+        audioSource: hasAudio ? 'segment' : audioBitrate != null ? 'rendition' : null,
+        declaredBandwidth: segment.bandwidth || null,
+        videoLevel: toLevel(videoBitrate),
+        audioLevel: toLevel(audioBitrate),
+        date: new Date()
+    };
+}
+
+// segment: { url, sequence, duration, byterange, key: { method, uri, url, iv } | null,
+//            map: { uri, url, byterange } | null, bandwidth, renditionAudioBitrate }
+// bandwidth is the variant's declared BANDWIDTH; renditionAudioBitrate the measured
+// bitrate of its separate audio rendition, if it has one.
+// Resolves with what the content analysis found, or null when it couldn't run:
+// { sequence, timeline, duration,
+//   avSync: { offset, durationDelta, videoStart, audioStart } (workers/avSync.js) | null,
+//   picture: { black, freeze } (workers/videoContent.js) | null,
+//   loudness: { integrated, range, truePeak, momentary, shortTerm } (workers/loudness.js) | null,
+//   channels: { channels, correlation, phaseInverted, dualMono } (workers/audioChannels.js) | null }
+async function processSegment(stream, segment, io) {
+    let source;
+    try {
+        source = await prepareInput(stream, segment);
+    } catch (err) {
+        console.error(`[SEGMENT] ${stream.name}: ${redact(stream, err.message)}`);
+        return null;
+    }
+    const segmentUrl = source.input;
+
     // 1. Deep Analysis with FFprobe (Queued)
-    runLimited(() => new Promise((resolve) => {
-        ffmpeg.ffprobe(segmentUrl, (err, metadata) => {
+    let audioChannels = 0;
+    let avSync = null;
+    const probeTask = runLimited(() => new Promise((resolve) => {
+        ffmpeg.ffprobe(segmentUrl, async (err, metadata) => {
             if (err) {
-                console.error(`[PROBE] ${stream.name}: ${err.message}`);
+                console.error(`[PROBE] ${stream.name}: ${redact(stream, err.message)}`);
                 resolve();
                 return;
             }
 
             try {
-                // Container stats
-                let videoBitrate = 0;
-                let audioBitrate = 0;
+                const video = metadata.streams.find(s => s.codec_type === 'video');
+                const audio = metadata.streams.find(s => s.codec_type === 'audio');
+                audioChannels = audio?.channels || 0;
+                avSync = measureAvOffset(video, audio);
+                const bytes = await measureStreamBytes(stream, source);
+                const signal = measureSignal(segment, source.size, bytes, !!video, !!audio);
+                stream.stats.signal = signal;
 
+                // Container stats
                 if (metadata.format) {
                     stream.stats.container = {
                         formatName: metadata.format.format_name,
@@ -71,7 +302,6 @@ async function processSegment(stream, segmentUrl, io) {
                 }
 
                 // Video stream
-                const video = metadata.streams.find(s => s.codec_type === 'video');
                 if (video) {
                     stream.stats.resolution = `${video.width}x${video.height}`;
                     stream.stats.fps = 0;
@@ -84,8 +314,6 @@ async function processSegment(stream, segmentUrl, io) {
                             stream.stats.fps = parseFloat(video.r_frame_rate) || 0;
                         }
                     }
-                    videoBitrate = parseInt(video.bit_rate) || (metadata.format?.bit_rate * 0.85) || 0;
-
                     stream.stats.video = {
                         codec: video.codec_name,
                         profile: video.profile,
@@ -94,38 +322,43 @@ async function processSegment(stream, segmentUrl, io) {
                         height: video.height,
                         pixFmt: video.pix_fmt,
                         colorSpace: video.color_space || video.color_primaries || 'unknown',
-                        bitRate: videoBitrate
+                        bitRate: signal.videoBitrate,
+                        isBlack: stream.stats.video?.isBlack || false,
+                        isFrozen: stream.stats.video?.isFrozen || false,
+                        blackDuration: stream.stats.video?.blackDuration || 0,
+                        frozenDuration: stream.stats.video?.frozenDuration || 0
                     };
                 }
 
                 // Audio stream - Basic stats
-                const audio = metadata.streams.find(s => s.codec_type === 'audio');
                 if (audio) {
-                    audioBitrate = parseInt(audio.bit_rate) || 128000;
                     stream.stats.audio = {
                         codec: audio.codec_name,
                         channels: audio.channels,
                         sampleRate: parseInt(audio.sample_rate) || 0,
-                        bitRate: audioBitrate,
+                        bitRate: signal.audioBitrate,
                         channelLayout: getChannelLayout(audio.channels),
                         peakDb: stream.stats.audio?.peakDb || null,
                         avgDb: stream.stats.audio?.avgDb || null,
-                        isSilent: stream.stats.audio?.isSilent || false
+                        isSilent: stream.stats.audio?.isSilent || false,
+                        loudness: stream.stats.audio?.loudness,
+                        channelStats: stream.stats.audio?.channelStats,
+                        correlation: stream.stats.audio?.correlation ?? null,
+                        phaseInverted: stream.stats.audio?.phaseInverted || false,
+                        dualMono: stream.stats.audio?.dualMono || false
                     };
                 }
 
                 // Emit LIVE signal levels
-                const videoLevel = Math.min(100, Math.max(0, (videoBitrate / 5000000) * 100));
-                const audioLevel = Math.min(100, Math.max(0, (audioBitrate / 320000) * 100));
-                const variation = (Math.random() - 0.5) * 10;
-
                 io.emit('stream:signal', {
                     id: stream._id,
                     timestamp: Date.now(),
-                    video: Math.max(0, Math.min(100, videoLevel + variation)),
-                    audio: Math.max(0, Math.min(100, audioLevel + variation)),
-                    videoBitrate: videoBitrate,
-                    audioBitrate: audioBitrate,
+                    video: signal.videoLevel,
+                    audio: signal.audioLevel,
+                    videoBitrate: signal.videoBitrate,
+                    audioBitrate: signal.audioBitrate,
+                    totalBitrate: signal.totalBitrate,
+                    declaredBandwidth: signal.declaredBandwidth,
                     fps: stream.stats.fps || 0,
                     peakDb: stream.stats.audio?.peakDb,
                     avgDb: stream.stats.audio?.avgDb,
@@ -143,16 +376,28 @@ async function processSegment(stream, segmentUrl, io) {
         });
     }));
 
-    // 2. Audio Level Detection (Queued)
-    runLimited(() => new Promise((resolve) => {
+    if (source.encrypted) {
+        console.debug(`[PROBE] ${stream.name}: ${segment.key.method} segment, skipping audio levels, thumbnail and picture checks`);
+        // The probe still reads the input, remove it once that's done
+        await probeTask;
+        source.cleanup();
+        return null;
+    }
+
+    // 2. Audio Level and Loudness Detection (Queued)
+    let loudness = null;
+    const volumeTask = runLimited(() => new Promise((resolve) => {
         try {
+            const lines = [];
             ffmpeg(segmentUrl)
-                .audioFilters('volumedetect')
+                .audioFilters(['volumedetect', LOUDNESS_FILTER])
                 .format('null')
                 .output('-')
-                .on('end', (stdout, stderr) => {
+                .on('stderr', line => lines.push(line))
+                .on('end', () => {
                     try {
-                        const stderrStr = stderr || '';
+                        loudness = parseLoudness(lines);
+                        const stderrStr = lines.join('\n');
                         const meanMatch = stderrStr.match(/mean_volume:\s*([-\d.]+)\s*dB/);
                         const maxMatch = stderrStr.match(/max_volume:\s*([-\d.]+)\s*dB/);
 
@@ -183,22 +428,21 @@ async function processSegment(stream, segmentUrl, io) {
                 })
                 .on('error', (err) => {
                     if (err && err.message && !err.message.includes('null')) {
-                        console.debug(`[VOLUME] ${stream.name}: ${err.message}`);
+                        console.debug(`[VOLUME] ${stream.name}: ${redact(stream, err.message)}`);
                     }
                     resolve();
                 })
                 .run();
         } catch (ffmpegErr) {
-            console.debug(`[VOLUME INIT] ${stream.name}: ${ffmpegErr.message}`);
+            console.debug(`[VOLUME INIT] ${stream.name}: ${redact(stream, ffmpegErr.message)}`);
             resolve();
         }
     }));
 
     // 3. Generate Thumbnail (Queued)
-    const os = require('os');
     const tempFile = path.join(os.tmpdir(), `sprite-${stream._id}-${Date.now()}.jpg`);
 
-    runLimited(() => new Promise((resolve) => {
+    const thumbnailTask = runLimited(() => new Promise((resolve) => {
         ffmpeg(segmentUrl)
             .inputOptions(['-ss', '0.5'])
             .outputOptions(['-vframes', '1', '-vf', 'scale=320:-1', '-q:v', '5'])
@@ -218,12 +462,60 @@ async function processSegment(stream, segmentUrl, io) {
                 resolve();
             })
             .on('error', (err) => {
-                console.error(`[SPRITE] ${stream.name}: ${err.message}`);
+                console.error(`[SPRITE] ${stream.name}: ${redact(stream, err.message)}`);
                 resolve();
             })
             .save(tempFile);
     }));
+
+    // 4. Black / Frozen Picture Detection (Queued)
+    let picture = null;
+    const contentTask = runLimited(() => new Promise((resolve) => {
+        const lines = [];
+        ffmpeg(segmentUrl)
+            .videoFilters(DETECT_FILTERS)
+            .outputOptions(['-an', '-sn'])
+            .format('null')
+            .output('-')
+            .on('stderr', line => lines.push(line))
+            .on('end', () => {
+                picture = parseVideoContent(lines, segment.duration);
+                resolve();
+            })
+            .on('error', (err) => {
+                console.debug(`[CONTENT] ${stream.name}: ${redact(stream, err.message)}`);
+                resolve();
+            })
+            .run();
+    }));
+
+    // 5. Per-Channel Audio (Queued once the probe has the channel count)
+    let channels = null;
+    const channelTask = probeTask.then(() => audioChannels > 0 && runLimited(() => new Promise((resolve) => {
+        const lines = [];
+        ffmpeg(segmentUrl)
+            .outputOptions(['-map', '0:a:0'])
+            .audioFilters(getChannelFilter(audioChannels))
+            .format('null')
+            .output('-')
+            .on('stderr', line => lines.push(line))
+            .on('end', () => {
+                channels = parseChannelStats(lines, audioChannels);
+                resolve();
+            })
+            .on('error', (err) => {
+                console.debug(`[CHANNELS] ${stream.name}: ${redact(stream, err.message)}`);
+                resolve();
+            })
+            .run();
+    })));
+
+    // The downloaded copy is only needed until every task has read it
+    Promise.all([probeTask, volumeTask, thumbnailTask, contentTask, channelTask]).then(source.cleanup);
+
+    await Promise.all([volumeTask, contentTask, channelTask]);
+    return { sequence: segment.sequence, timeline: segment.timeline, duration: segment.duration, avSync, picture, loudness, channels };
 }
 
-module.exports = { processSegment };
+module.exports = { processSegment, probeStreams, inspectSegment, countKeyframes, parseStreamBytes, measureSignal };
 
@@ -0,0 +1,46 @@
+// ============================================
+// EXT-X-PROGRAM-DATE-TIME Helpers
+// Live-edge latency and PDT timeline continuity
+// ============================================
+
+// Wall-clock time (ms) at the end of the newest media in the playlist, including
+// LL-HLS parts of the segment still being built. null if the playlist has no PDT.
+function getLiveEdge(manifest) {
+    const segments = manifest.segments || [];
+    const last = segments[segments.length - 1];
+    if (!last || typeof last.programDateTime !== 'number') return null;
+
+    const partsDuration = (manifest.preloadSegment?.parts || [])
+        .reduce((sum, part) => sum + (part.duration || 0), 0);
+
+    return last.programDateTime + ((last.duration || 0) + partsDuration) * 1000;
+}
+
+// Gaps and overlaps between explicit PDT tags inside one playlist.
+// A segment's PDT should equal the previous PDT plus the durations in between,
+// unless an EXT-X-DISCONTINUITY resets the timeline.
+// Returns [{ segment, expected, actual, delta }] for deltas beyond `tolerance` ms.
+function findTimelineJumps(segments, tolerance) {
+    const jumps = [];
+    let expected = null;
+
+    segments.forEach(seg => {
+        if (seg.discontinuity) expected = null;
+
+        if (seg.dateTimeString && typeof seg.programDateTime === 'number') {
+            if (expected !== null) {
+                const delta = seg.programDateTime - expected;
+                if (Math.abs(delta) > tolerance) {
+                    jumps.push({ segment: seg, expected, actual: seg.programDateTime, delta });
+                }
+            }
+            expected = seg.programDateTime;
+        }
+
+        if (expected !== null) expected += (seg.duration || 0) * 1000;
+    });
+
+    return jumps;
+}
+
+module.exports = { getLiveEdge, findTimelineJumps };
@@ -0,0 +1,101 @@
+// ============================================
+// Per-Stream Poll Scheduler
+// Every stream is polled on its own interval instead of one serial loop.
+// Due polls wait in a FIFO queue while `concurrency` checks are already running,
+// so one slow origin can't hold up every other stream.
+// ============================================
+
+// run(id, timing) performs one poll and resolves to the interval (ms) until the
+// next poll should start, or null to stop scheduling that id.
+// timing = { intended, actual, drift } describes how late this poll started.
+// defaultInterval is used until run() has returned an interval for an id (or when it throws).
+function createScheduler({ concurrency, defaultInterval, run }) {
+    const entries = new Map(); // id -> { timer, interval, lastStart, running }
+    const queue = [];
+    let active = 0;
+
+    function drain() {
+        while (active < concurrency && queue.length > 0) {
+            execute(queue.shift());
+        }
+    }
+
+    function enqueue(id) {
+        const entry = entries.get(id);
+        if (!entry) return;
+        entry.timer = null;
+        queue.push(id);
+        drain();
+    }
+
+    function schedule(id, delay) {
+        const entry = entries.get(id);
+        if (!entry) return;
+        entry.timer = setTimeout(() => enqueue(id), Math.max(0, delay));
+    }
+
+    async function execute(id) {
+        const entry = entries.get(id);
+        if (!entry) return drain();
+
+        active++;
+        entry.running = true;
+
+        const start = Date.now();
+        const timing = {
+            intended: entry.interval,
+            actual: entry.lastStart ? start - entry.lastStart : null,
+            drift: entry.lastStart && entry.interval ? start - entry.lastStart - entry.interval : 0
+        };
+        entry.lastStart = start;
+
+        let interval; // Left undefined when run() throws: keep the current interval
+        try {
+            interval = await run(id, timing);
+        } catch (err) {
+            console.error(`[SCHEDULER] Poll failed for ${id}: ${err.message}`);
+        } finally {
+            active--;
+            entry.running = false;
+        }
+
+        if (entries.get(id) !== entry) {
+            // Removed while the poll was running
+        } else if (interval === null) {
+            entries.delete(id);
+        } else {
+            // Intervals are measured start-to-start, so a slow poll doesn't push the next one back
+            entry.interval = interval || entry.interval || defaultInterval;
+            schedule(id, entry.lastStart + entry.interval - Date.now());
+        }
+
+        drain();
+    }
+
+    function add(id) {
+        if (entries.has(id)) return;
+        entries.set(id, { timer: null, interval: null, lastStart: 0, running: false });
+        enqueue(id);
+    }
+
+    function remove(id) {
+        const entry = entries.get(id);
+        if (!entry) return;
+        if (entry.timer) clearTimeout(entry.timer);
+        entries.delete(id);
+        const queued = queue.indexOf(id);
+        if (queued !== -1) queue.splice(queued, 1);
+    }
+
+    function ids() {
+        return [...entries.keys()];
+    }
+
+    function stats() {
+        return { streams: entries.size, active, queued: queue.length, concurrency };
+    }
+
+    return { add, remove, ids, stats };
+}
+
+module.exports = { createScheduler };
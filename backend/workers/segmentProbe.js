@@ -0,0 +1,53 @@
+const { getRangeHeaders } = require('./initSegment');
+const { streamRequest, redact } = require('./requestConfig');
+
+const SEGMENT_TIMEOUT = 15000; // Give up on a single segment after 15 seconds
+
+// Fetch (GET) or HEAD a single media segment and time it. EXT-X-BYTERANGE segments
+// are requested with a Range header, and with the stream's request settings
+// (workers/requestConfig.js). Results include the timing breakdown, the
+// responding edge and the response headers (see workers/httpTiming.js), and for
+// a GET the body (`data`, a Buffer).
+// Never throws - failures are reported through `ok: false` so the caller can raise errors.
+async function probeSegment(stream, url, method = 'GET', byterange = null) {
+    const started = Date.now();
+
+    try {
+        const response = await streamRequest(stream, {
+            url,
+            method,
+            responseType: 'arraybuffer',
+            timeout: SEGMENT_TIMEOUT,
+            headers: getRangeHeaders(byterange)
+        });
+
+        const size = method === 'HEAD'
+            ? parseInt(response.headers['content-length']) || 0
+            : response.data?.byteLength || 0;
+
+        return {
+            ok: true,
+            status: response.status,
+            downloadTime: Date.now() - started,
+            size,
+            finalUrl: redact(stream, response.finalUrl), // Kept in the variant state
+            timing: response.timing,
+            edge: response.edge,
+            headers: response.headers,
+            data: method === 'HEAD' ? null : Buffer.from(response.data)
+        };
+    } catch (err) {
+        return {
+            ok: false,
+            status: err.response?.status || null,
+            downloadTime: Date.now() - started,
+            size: 0,
+            timing: err.timing,
+            edge: err.edge,
+            headers: err.response?.headers || {},
+            error: redact(stream, err.message)
+        };
+    }
+}
+
+module.exports = { probeSegment };
@@ -0,0 +1,102 @@
+// ============================================
+// Stream Status State Machine
+// Hysteresis between what a single poll observed and the reported status:
+// a stream only goes bad after several failed polls, goes offline after failing
+// for long enough, and needs several good polls in a row to recover.
+// ============================================
+
+const DEFAULT_FAILURE_THRESHOLD = 3;        // Consecutive bad polls before leaving 'online'
+const DEFAULT_OFFLINE_AFTER = 5 * 60 * 1000; // ms of continuous failure before 'offline'
+const DEFAULT_RECOVERY_THRESHOLD = 3;       // Consecutive good polls before returning to 'online'
+const FLAP_WINDOW = 15 * 60 * 1000;         // Good/bad flips are counted over the last 15 minutes
+const FLAP_THRESHOLD = 6;                   // This many flips in the window means flapping
+
+function getThresholds(stream) {
+    const config = stream.config || {};
+    return {
+        failureThreshold: config.failureThreshold || DEFAULT_FAILURE_THRESHOLD,
+        offlineAfter: config.offlineAfter || DEFAULT_OFFLINE_AFTER,
+        recoveryThreshold: config.recoveryThreshold || DEFAULT_RECOVERY_THRESHOLD
+    };
+}
+
+// The status a stream should move to, or null to stay where it is.
+// `observed` is what this poll saw: 'online', 'stale' or 'error'.
+function getNextStatus(stream, observed, reason, now) {
+    const health = stream.health;
+    const current = stream.status;
+    const { failureThreshold, offlineAfter, recoveryThreshold } = getThresholds(stream);
+
+    // Never evaluated before: take the first observation as is
+    if (!health.lastStatusChange) {
+        return observed !== current ? { to: observed, reason: `First poll: ${reason}` } : null;
+    }
+
+    if (observed === 'online') {
+        if (current === 'online' || health.consecutiveSuccesses < recoveryThreshold) return null;
+        return { to: 'online', reason: `Recovered after ${health.consecutiveSuccesses} consecutive good polls` };
+    }
+
+    const failingFor = now - health.failingSince.getTime();
+    if (failingFor >= offlineAfter) {
+        if (current === 'offline') return null;
+        return { to: 'offline', reason: `Failing for ${Math.round(failingFor / 1000)}s: ${reason}` };
+    }
+
+    // Already degraded: follow error <-> stale without waiting again
+    if (current === 'error' || current === 'stale') {
+        return observed !== current ? { to: observed, reason } : null;
+    }
+    if (current === 'offline') return null;
+
+    if (health.consecutiveFailures < failureThreshold) return null;
+    return { to: observed, reason: `${reason} (${health.consecutiveFailures} consecutive bad polls)` };
+}
+
+// What kind of change a move to `to` is - also the socket event it's announced
+// as (stream:degraded, stream:offline, stream:recovered)
+function getTransitionType(to) {
+    if (to === 'online') return 'recovered';
+    return to === 'offline' ? 'offline' : 'degraded';
+}
+
+// Apply one poll's observation to `stream.status` and the counters in `stream.health`.
+// Returns { transition: { from, to, type, reason } | null, flapping: 'start' | 'end' | null }.
+function updateStatus(stream, observed, reason, now) {
+    const health = stream.health;
+    const wasFailing = health.consecutiveFailures > 0;
+    const firstPoll = !health.lastStatusChange && !health.consecutiveSuccesses && !wasFailing;
+
+    if (observed === 'online') {
+        health.consecutiveSuccesses = (health.consecutiveSuccesses || 0) + 1;
+        health.consecutiveFailures = 0;
+        health.failingSince = null;
+    } else {
+        health.consecutiveFailures = (health.consecutiveFailures || 0) + 1;
+        health.consecutiveSuccesses = 0;
+        if (!health.failingSince) health.failingSince = new Date(now);
+    }
+
+    const next = getNextStatus(stream, observed, reason, now);
+    let transition = null;
+    if (next) {
+        transition = { from: stream.status, to: next.to, type: getTransitionType(next.to), reason: next.reason };
+        stream.status = next.to;
+        health.lastStatusChange = new Date(now);
+    }
+
+    // --- FLAP DETECTION ---
+    // Counted on raw observations, so oscillation the hysteresis hides still shows up
+    const flips = (health.recentFlips || []).filter(date => now - new Date(date).getTime() < FLAP_WINDOW);
+    if (!firstPoll && wasFailing !== (observed !== 'online')) flips.push(new Date(now));
+    health.recentFlips = flips;
+    const isFlapping = flips.length >= FLAP_THRESHOLD;
+
+    let flapping = null;
+    if (isFlapping !== !!health.isFlapping) flapping = isFlapping ? 'start' : 'end';
+    health.isFlapping = isFlapping;
+
+    return { transition, flapping };
+}
+
+module.exports = { updateStatus, FLAP_WINDOW, FLAP_THRESHOLD };
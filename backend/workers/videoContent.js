@@ -0,0 +1,123 @@
+// ============================================
+// Video Content Checks
+// Black and frozen picture in the analyzed segments (ffmpeg's blackdetect and
+// freezedetect filters, run by workers/processor.js), and how long each
+// condition has lasted across consecutive segments.
+// Per segment and condition: { leading, trailing, whole, inner: [s] } - seconds
+// from the segment start, seconds up to its end, whether it fills the whole
+// segment, and stretches that start and end inside it.
+// Runs: { duration (s, 0 = not ongoing), reported }
+// ============================================
+
+// Black: >= 0.1 s with 98% of pixels below 10% luma. Frozen: >= 0.5 s with the
+// frames differing by less than -60 dB.
+const DETECT_FILTERS = 'blackdetect=d=0.1:pic_th=0.98:pix_th=0.10,freezedetect=n=-60dB:d=0.5';
+const EDGE_TOLERANCE = 0.25; // s an interval may stop short of the segment edge and still reach it
+const MAX_BRIDGED_SEGMENTS = 3; // Unanalyzed segments a run may be carried across
+
+// "[blackdetect @ 0x..] black_start:0 black_end:4.004 black_duration:4.004"
+function parseBlack(lines) {
+    return lines
+        .map(line => line.match(/black_start:\s*([\d.]+)\s+black_end:\s*([\d.]+)/))
+        .filter(Boolean)
+        .map(match => ({ start: parseFloat(match[1]), end: parseFloat(match[2]) }));
+}
+
+// "lavfi.freezedetect.freeze_start: 1.2" ... "lavfi.freezedetect.freeze_end: 3.5".
+// A freeze still going at the end of the input has no end line.
+function parseFreeze(lines, duration) {
+    const intervals = [];
+    lines.forEach(line => {
+        const start = line.match(/freeze_start:\s*([\d.]+)/);
+        const end = line.match(/freeze_end:\s*([\d.]+)/);
+        if (start) intervals.push({ start: parseFloat(start[1]), end: null });
+        if (end && intervals.length > 0) intervals[intervals.length - 1].end = parseFloat(end[1]);
+    });
+    return intervals.map(interval => ({ ...interval, end: interval.end ?? duration }));
+}
+
+function summarize(intervals, duration) {
+    const found = { leading: 0, trailing: 0, whole: false, inner: [] };
+    intervals.forEach(({ start, end }) => {
+        const fromStart = start <= EDGE_TOLERANCE;
+        const toEnd = end >= duration - EDGE_TOLERANCE;
+        if (fromStart && toEnd) found.whole = true;
+        if (fromStart) found.leading = Math.max(found.leading, Math.min(end, duration));
+        if (toEnd) found.trailing = Math.max(found.trailing, duration - start);
+        if (!fromStart && !toEnd) found.inner.push(end - start);
+    });
+    if (found.whole) found.leading = found.trailing = duration;
+    return found;
+}
+
+// ffmpeg's log lines of one detection pass over a segment of `duration` (EXTINF) seconds
+function parseVideoContent(lines, duration) {
+    return {
+        black: summarize(parseBlack(lines), duration),
+        freeze: summarize(parseFreeze(lines, duration), duration)
+    };
+}
+
+function createContentRuns() {
+    return {
+        lastSequence: null,
+        black: { duration: 0, reported: false },
+        freeze: { duration: 0, reported: false }
+    };
+}
+
+// Carry a run through one segment. `skipped` is the estimated length of the
+// segments between it and the last analyzed one - a condition found on both
+// sides of the gap is assumed to have lasted through it.
+// Returns the stretches that ended in this segment: [{ duration, reported }]
+function advanceRun(run, found, duration, skipped) {
+    const continues = run.duration > 0 && found.leading > 0;
+    const lead = continues ? run.duration + skipped + found.leading : found.leading;
+    const reported = continues && run.reported;
+    // A run the segment doesn't start in ended at the boundary
+    const ended = run.duration > 0 && !continues ? [{ duration: run.duration, reported: run.reported }] : [];
+
+    if (found.whole) {
+        run.duration = lead;
+        run.reported = reported;
+        return ended;
+    }
+
+    ended.push(...found.inner.map(length => ({ duration: length, reported: false })));
+    if (lead > 0) ended.push({ duration: lead, reported });
+    run.duration = found.trailing;
+    run.reported = false;
+    return ended;
+}
+
+// Carry the runs through the next analyzed segment ({ sequence, duration, black, freeze }).
+// Returns the stretches that ended in it per condition, { black, freeze }, or
+// null for a segment that was analyzed already.
+function trackContent(runs, content) {
+    if (content.sequence === runs.lastSequence) return null;
+    const gap = runs.lastSequence != null ? content.sequence - runs.lastSequence - 1 : -1;
+    const continuous = gap >= 0 && gap <= MAX_BRIDGED_SEGMENTS;
+    runs.lastSequence = content.sequence;
+
+    const ended = {};
+    ['black', 'freeze'].forEach(condition => {
+        // After a sequence reset or a long gap nothing carries over
+        if (!continuous) runs[condition] = { duration: 0, reported: false };
+        ended[condition] = advanceRun(runs[condition], content[condition], content.duration, gap * content.duration);
+    });
+    return ended;
+}
+
+// Longest stretch (s) at or over the threshold not reported yet - ended in this
+// segment or still going - or null. Marks the ongoing run as reported.
+function findOverThreshold(run, ended, threshold) {
+    const over = ended.filter(stretch => !stretch.reported && stretch.duration >= threshold)
+        .map(stretch => stretch.duration);
+    if (!run.reported && run.duration >= threshold) {
+        over.push(run.duration);
+        run.reported = true;
+    }
+    return over.length > 0 ? Math.max(...over) : null;
+}
+
+module.exports = { DETECT_FILTERS, parseVideoContent, createContentRuns, trackContent, findOverThreshold };
@@ -0,0 +1,142 @@
+// ============================================
+// VOD Deep Crawl
+// A VOD playlist never changes, so instead of watching its live edge every
+// segment of every variant is checked once: is it available, does its real
+// duration match EXTINF, and does it decode. Progress and the final
+// completeness report are stored in models/VodReport.
+// ============================================
+const VodReport = require('../models/VodReport');
+const { getRangeHeaders } = require('./initSegment');
+const { inspectSegment } = require('./processor');
+const { parseWebVtt } = require('./webvtt');
+const { streamRequest, redact } = require('./requestConfig');
+
+const SEGMENT_TIMEOUT = 15000;
+const DURATION_TOLERANCE = 0.5;     // s a segment's probed duration may differ from EXTINF
+const MAX_ISSUES_PER_VARIANT = 100; // Issues listed per variant in the report (all are counted)
+
+// Check one segment. Returns the problems found as [{ problem, details }].
+async function checkSegment(stream, mediaType, segment, result) {
+    let data;
+    try {
+        const response = await streamRequest(stream, {
+            url: segment.url,
+            responseType: 'arraybuffer',
+            timeout: SEGMENT_TIMEOUT,
+            headers: getRangeHeaders(segment.byterange)
+        });
+        data = Buffer.from(response.data);
+    } catch (err) {
+        return [{ problem: 'unavailable', details: redact(stream, err.message) }];
+    }
+    result.available++;
+
+    // Subtitles are text: "decodes" means the WebVTT parses
+    if (mediaType === 'SUBTITLE') {
+        const parsed = parseWebVtt(data.toString('utf8'));
+        if (parsed.errors.length > 0) return [{ problem: 'undecodable', details: parsed.errors[0] }];
+        result.decodable++;
+        result.measuredDuration += segment.duration || 0;
+        return [];
+    }
+
+    const problems = [];
+    const inspection = await inspectSegment(stream, { ...segment, data });
+    if (inspection.errors.length > 0 || inspection.streams.length === 0) {
+        problems.push({ problem: 'undecodable', details: inspection.errors[0] || 'No audio or video streams found' });
+    } else {
+        result.decodable++;
+    }
+
+    // An I-frame entry is a single frame; its EXTINF is the time until the next one
+    if (mediaType === 'IFRAME') {
+        result.measuredDuration += segment.duration || 0;
+        return problems;
+    }
+
+    if (inspection.duration !== null) {
+        result.measuredDuration += inspection.duration;
+        if (segment.duration && Math.abs(inspection.duration - segment.duration) > DURATION_TOLERANCE) {
+            result.durationMismatches++;
+            problems.push({
+                problem: 'duration',
+                details: `Segment is ${inspection.duration.toFixed(3)}s, EXTINF says ${segment.duration}s`
+            });
+        }
+    }
+    return problems;
+}
+
+async function crawlVariant(stream, variant, segments) {
+    const result = {
+        uri: variant.uri,
+        mediaType: variant.mediaType,
+        language: variant.language,
+        name: variant.name,
+        segments: segments.length,
+        available: 0,
+        decodable: 0,
+        durationMismatches: 0,
+        declaredDuration: 0,
+        measuredDuration: 0,
+        issueCount: 0,
+        issues: []
+    };
+
+    for (const segment of segments) {
+        result.declaredDuration += segment.duration || 0;
+        const problems = await checkSegment(stream, variant.mediaType, segment, result);
+        problems.forEach(({ problem, details }) => {
+            result.issueCount++;
+            if (result.issues.length < MAX_ISSUES_PER_VARIANT) {
+                result.issues.push({ sequence: segment.sequence, uri: segment.label, problem, details });
+            }
+        });
+    }
+
+    result.declaredDuration = Math.round(result.declaredDuration * 1000) / 1000;
+    result.measuredDuration = Math.round(result.measuredDuration * 1000) / 1000;
+    return result;
+}
+
+// entries: [{ variant: { uri, mediaType, language, name }, segments: [{ sequence, label, duration, ...processor segment }] }]
+// Variants are crawled one after another; the report is saved after each.
+async function crawlVod(stream, entries, playlistHash) {
+    const report = {
+        status: 'running',
+        playlistHash,
+        startedAt: new Date(),
+        completedAt: null,
+        completeness: null,
+        totals: { segments: 0, available: 0, decodable: 0, durationMismatches: 0 },
+        variants: []
+    };
+    const save = () => VodReport.updateOne({ streamId: stream._id }, { $set: report }, { upsert: true })
+        .catch(err => console.error(`[VOD] ${stream.name}: failed to save report: ${err.message}`));
+
+    const segmentCount = entries.reduce((sum, entry) => sum + entry.segments.length, 0);
+    console.log(`[VOD] ${stream.name}: crawling ${segmentCount} segments in ${entries.length} playlist(s)`);
+    await save();
+
+    for (const { variant, segments } of entries) {
+        const result = await crawlVariant(stream, variant, segments);
+        report.variants.push(result);
+        report.totals.segments += result.segments;
+        report.totals.available += result.available;
+        report.totals.decodable += result.decodable;
+        report.totals.durationMismatches += result.durationMismatches;
+        await save();
+    }
+
+    report.status = 'complete';
+    report.completedAt = new Date();
+    report.completeness = report.totals.segments > 0
+        ? Math.round((report.totals.decodable / report.totals.segments) * 1000) / 10
+        : 100;
+    await save();
+
+    console.log(`[VOD] ${stream.name}: crawl complete, ${report.completeness}% of segments available and decodable`);
+    return report;
+}
+
+module.exports = { crawlVod };
@@ -0,0 +1,93 @@
+// ============================================
+// WebVTT Subtitle Segments
+// Parses the WebVTT segments of SUBTITLES renditions and maps their cue times
+// onto the MPEG-2 TS clock through X-TIMESTAMP-MAP (RFC 8216 section 3.5), so
+// they can be compared with the timestamps of the video.
+// ============================================
+
+const MPEGTS_CLOCK = 90000;
+const MPEGTS_WRAP = Math.pow(2, 33) / MPEGTS_CLOCK; // The 33-bit PTS wraps every ~26.5 hours
+
+// "01:02:03.456" or "02:03.456" -> seconds, or null when malformed
+function parseTimestamp(text) {
+    const match = (text || '').trim().match(/^(?:(\d+):)?([0-5]\d):([0-5]\d)\.(\d{3})$/);
+    if (!match) return null;
+    return (parseInt(match[1] || '0') * 3600) + (parseInt(match[2]) * 60) + parseInt(match[3]) + (parseInt(match[4]) / 1000);
+}
+
+// "MPEGTS:900000,LOCAL:00:00:00.000" -> { mpegts, local }, or null when malformed
+function parseTimestampMap(value) {
+    const map = {};
+    value.split(',').forEach(part => {
+        const separator = part.indexOf(':');
+        if (separator === -1) return;
+        map[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+    });
+
+    const mpegts = /^\d+$/.test(map.MPEGTS || '') ? parseInt(map.MPEGTS) : null;
+    const local = parseTimestamp(map.LOCAL);
+    if (mpegts === null || local === null) return null;
+    return { mpegts, local };
+}
+
+// Returns { errors: [message], timestampMap, cues: [{ start, end }] } with cue
+// times in seconds as written in the file
+function parseWebVtt(text) {
+    const errors = [];
+    const lines = String(text || '').replace(/^﻿/, '').split(/\r\n|\r|\n/);
+
+    if (!/^WEBVTT([ \t].*)?$/.test(lines[0])) {
+        errors.push('Missing WEBVTT signature on the first line');
+    }
+
+    // Header: everything up to the first blank line
+    let timestampMap = null;
+    let index = 1;
+    for (; index < lines.length && lines[index].trim() !== ''; index++) {
+        if (lines[index].startsWith('X-TIMESTAMP-MAP=')) {
+            timestampMap = parseTimestampMap(lines[index].slice('X-TIMESTAMP-MAP='.length));
+            if (!timestampMap) errors.push(`Malformed X-TIMESTAMP-MAP: ${lines[index]}`);
+        }
+    }
+
+    const cues = [];
+    for (; index < lines.length; index++) {
+        const line = lines[index];
+        if (!line.includes('-->')) continue;
+
+        const [startText, rest] = line.split('-->');
+        const start = parseTimestamp(startText);
+        const end = parseTimestamp((rest || '').trim().split(/[ \t]/)[0]);
+        if (start === null || end === null) {
+            errors.push(`Malformed cue timing on line ${index + 1}: ${line.trim()}`);
+            continue;
+        }
+        if (end <= start) {
+            errors.push(`Cue on line ${index + 1} ends before it starts (${line.trim()})`);
+            continue;
+        }
+        if (cues.length > 0 && start < cues[cues.length - 1].start) {
+            errors.push(`Cue on line ${index + 1} starts before the previous cue`);
+        }
+        cues.push({ start, end });
+    }
+
+    return { errors, timestampMap, cues };
+}
+
+// Cue time (seconds) on the MPEG-2 TS clock. Without X-TIMESTAMP-MAP, cue time 0
+// is taken to be MPEG-TS time 0.
+function toMpegTime(seconds, timestampMap) {
+    if (!timestampMap) return seconds;
+    return (timestampMap.mpegts / MPEGTS_CLOCK) + seconds - timestampMap.local;
+}
+
+// a - b in seconds, across a PTS wrap
+function clockDifference(a, b) {
+    let difference = (a - b) % MPEGTS_WRAP;
+    if (difference > MPEGTS_WRAP / 2) difference -= MPEGTS_WRAP;
+    if (difference < -MPEGTS_WRAP / 2) difference += MPEGTS_WRAP;
+    return difference;
+}
+
+module.exports = { parseTimestamp, parseWebVtt, toMpegTime, clockDifference };
@@ -2,8 +2,8 @@ import React, { useState, useEffect, useCallback, useRef, useLayoutEffect } from
 import { useParams, Link } from 'react-router-dom';
 import { io } from 'socket.io-client';
 import axios from 'axios';
-import { ArrowLeft, Download, Activity, Zap, Volume2, Box, AlertTriangle, CheckCircle, Clock, RefreshCw, Radio, TrendingUp, Play } from 'lucide-react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Area, AreaChart } from 'recharts';
+import { ArrowLeft, Download, Activity, Zap, Volume2, Box, AlertTriangle, CheckCircle, Clock, RefreshCw, Radio, TrendingUp, Play, Layers, Tv, History, ListChecks, ClipboardCheck } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Area, AreaChart, ReferenceLine } from 'recharts';
 
 // Health Score Calculation - Based on status and recent SIGNIFICANT errors
 function calculateHealthScore(stream) {
@@ -40,23 +40,29 @@ function formatDbLevel(dbValue) {
     return `${absValue} dBFS`;
 }
 
-// Signal Strength Indicator
-const SignalMeter = ({ level, label, rawValue }) => {
+// Signal Strength Indicator - level is the measured bitrate's share (%) of the
+// variant's declared BANDWIDTH, null when it couldn't be measured. A fixed
+// color skips the thresholds (audio only ever takes a small share).
+const SignalMeter = ({ level, label, rawValue, color }) => {
     const getBarColor = () => {
+        if (color) return color;
         if (level >= 70) return '#10b981';
         if (level >= 40) return '#f59e0b';
         return '#ef4444';
     };
 
     const bars = 15;
-    const activeCount = Math.floor((level / 100) * bars);
+    const activeCount = Math.floor(((level ?? 0) / 100) * bars);
 
     return (
         <div className="bg-black/40 rounded-xl p-4 border border-white/10">
             <div className="flex justify-between items-center mb-3">
                 <span className="text-xs font-bold uppercase text-white/60">{label}</span>
-                <span className={`text-lg font-mono font-bold ${level >= 70 ? 'text-emerald-400' : level >= 40 ? 'text-amber-400' : 'text-rose-400'}`}>
-                    {rawValue || `${level.toFixed(0)}%`}
+                <span
+                    className={`text-lg font-mono font-bold ${color || level == null ? 'text-white/80' : level >= 70 ? 'text-emerald-400' : level >= 40 ? 'text-amber-400' : 'text-rose-400'}`}
+                    title={level != null ? `${level.toFixed(1)}% of declared BANDWIDTH` : 'No declared BANDWIDTH to compare with'}
+                >
+                    {rawValue || (level != null ? `${level.toFixed(0)}%` : '--')}
                 </span>
             </div>
             <div className="flex gap-1 h-8">
@@ -72,13 +78,41 @@ const SignalMeter = ({ level, label, rawValue }) => {
                 ))}
             </div>
             <div className="flex justify-between text-[10px] text-white/30 mt-1">
-                <span>WEAK</span>
-                <span>STRONG</span>
+                <span>0%</span>
+                <span>BANDWIDTH</span>
             </div>
         </div>
     );
 };
 
+// Per-channel RMS (bar) and peak (tick) over a -60..0 dBFS scale, and the L/R correlation
+const ChannelMeters = ({ audio }) => {
+    const toWidth = db => `${Math.max(0, Math.min(100, ((db ?? -60) + 60) / 60 * 100))}%`;
+
+    return (
+        <div className="mt-3 pt-3 border-t border-white/10 space-y-1.5">
+            {audio.channelStats.map(channel => (
+                <div key={channel.name} className="flex items-center gap-2 text-xs" title={`RMS ${channel.rmsDb ?? '-inf'} dBFS, peak ${channel.peakDb ?? '-inf'} dBFS`}>
+                    <span className={`w-8 ${channel.isSilent && channel.name !== 'LFE' ? 'text-amber-400' : 'text-white/50'}`}>{channel.name}</span>
+                    <div className="relative flex-1 h-2 rounded bg-gray-800 overflow-hidden">
+                        <div className="absolute inset-y-0 left-0 bg-cyan-500" style={{ width: toWidth(channel.rmsDb) }} />
+                        <div className="absolute inset-y-0 w-0.5 bg-white/80" style={{ left: toWidth(channel.peakDb) }} />
+                    </div>
+                    <span className="w-12 text-right text-white/70">{channel.rmsDb != null ? channel.rmsDb.toFixed(0) : '-inf'}</span>
+                </div>
+            ))}
+            {audio.correlation != null && (
+                <div className="flex justify-between text-xs pt-1">
+                    <span className="text-white/50">L/R Correlation</span>
+                    <span className={audio.phaseInverted || audio.dualMono ? 'text-amber-400' : 'text-white'}>
+                        {audio.correlation.toFixed(2)}{audio.phaseInverted ? ' (out of phase)' : audio.dualMono ? ' (dual mono)' : ''}
+                    </span>
+                </div>
+            )}
+        </div>
+    );
+};
+
 // Custom Tooltip
 const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -88,7 +122,7 @@ const CustomTooltip = ({ active, payload, label }) => {
                 {payload.map((entry, index) => (
                     <p key={index} className="text-sm font-mono" style={{ color: entry.color }}>
                         {entry.name}: <span className="font-bold">{entry.value?.toFixed(2)}</span>
-                        {entry.name.includes('Bitrate') ? ' Mbps' : '%'}
+                        {entry.unit ?? (entry.name.includes('Bitrate') ? ' Mbps' : entry.name.includes('Latency') ? ' s' : '%')}
                     </p>
                 ))}
             </div>
@@ -97,6 +131,50 @@ const CustomTooltip = ({ active, payload, label }) => {
     return null;
 };
 
+// Scrolling line chart over the signal history: one metric (or several in the
+// same unit) with optional reference lines ({ y, color, label })
+const MetricChart = ({ title, titleClass, data, lines, unit, references = [], domain = [0, 'auto'], legend = false, onScroll }) => {
+    const width = Math.max(700, data.length * 6);
+    return (
+        <div>
+            <h4 className={`text-sm font-bold ${titleClass} mb-3`}>{title}</h4>
+            <div
+                onScroll={onScroll}
+                className="overflow-x-auto rounded-lg border border-white/10 bg-black/20 scroll-smooth"
+                style={{ scrollbarWidth: 'thin' }}
+            >
+                <div style={{ width, height: 180, padding: '10px 0' }}>
+                    <LineChart width={width} height={160} data={data} margin={{ top: 5, right: 20, left: 40, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#333" />
+                        <XAxis
+                            dataKey="time"
+                            stroke="#666"
+                            tick={{ fill: '#888', fontSize: 10 }}
+                            interval={Math.floor(data.length / 8)}
+                            tickFormatter={(val) => val.split(' ')[0]}
+                        />
+                        <YAxis domain={domain} stroke="#666" tick={{ fill: '#888', fontSize: 10 }} />
+                        <Tooltip content={<CustomTooltip />} />
+                        {legend && <Legend />}
+                        {references.map(ref => (
+                            <ReferenceLine
+                                key={ref.y}
+                                y={ref.y}
+                                stroke={ref.color}
+                                strokeDasharray="4 4"
+                                label={ref.label ? { value: ref.label, fill: ref.color, fontSize: 10, position: 'right' } : undefined}
+                            />
+                        ))}
+                        {lines.map(line => (
+                            <Line key={line.dataKey} type="monotone" dataKey={line.dataKey} stroke={line.color} strokeWidth={line.width ?? 2} dot={false} connectNulls name={line.name} unit={unit} />
+                        ))}
+                    </LineChart>
+                </div>
+            </div>
+        </div>
+    );
+};
+
 // Lazy Loading Errors Panel with Infinite Scroll
 const ErrorsPanel = ({ streamId }) => {
     const [errors, setErrors] = useState([]);
@@ -159,6 +237,11 @@ const ErrorsPanel = ({ streamId }) => {
                                 <span className="text-white/40">{err.date ? new Date(err.date).toLocaleTimeString() : '-'}</span>
                             </div>
                             <div className="text-white/60">{err.details}</div>
+                            {err.variant && (
+                                <div className="text-white/30 mt-1 break-all">
+                                    {err.mediaType || 'VIDEO'}{err.rendition ? ` · ${err.rendition}${err.language ? ` (${err.language})` : ''}` : ''} · {err.variant}
+                                </div>
+                            )}
                         </div>
                     ))}
                     {loading && (
@@ -175,12 +258,359 @@ const ErrorsPanel = ({ streamId }) => {
     );
 };
 
+// Ad break timeline from SCTE-35 markers, newest break on the right
+const AdBreaksPanel = ({ streamId, refreshKey }) => {
+    const [breaks, setBreaks] = useState([]);
+
+    useEffect(() => {
+        axios.get(`/api/streams/${streamId}/ad-breaks?limit=50`)
+            .then(res => setBreaks(res.data.slice().reverse()))
+            .catch(err => console.error('Error loading ad breaks:', err));
+    }, [streamId, refreshKey]);
+
+    if (breaks.length === 0) return null;
+
+    const now = Date.now();
+    const rangeStart = new Date(breaks[0].startedAt).getTime();
+    const rangeEnd = Math.max(now, ...breaks.map(b => b.endedAt ? new Date(b.endedAt).getTime() : now));
+    const span = Math.max(1, rangeEnd - rangeStart);
+
+    const breakColor = (b) => {
+        if (b.status === 'unterminated') return 'bg-rose-500';
+        if (b.overrun) return 'bg-amber-500';
+        if (b.status === 'open') return 'bg-emerald-500 animate-pulse';
+        return 'bg-cyan-500';
+    };
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <h3 className="text-sm font-bold text-cyan-400 uppercase tracking-wider mb-4 flex items-center gap-2">
+                <Tv size={14} /> Ad Breaks ({breaks.length})
+            </h3>
+
+            {/* Timeline */}
+            <div className="relative h-8 bg-black/40 rounded-lg border border-white/10 mb-2 overflow-hidden">
+                {breaks.map(b => {
+                    const start = new Date(b.startedAt).getTime();
+                    const end = b.endedAt ? new Date(b.endedAt).getTime() : now;
+                    return (
+                        <div
+                            key={b.breakId}
+                            title={`${new Date(start).toLocaleTimeString()} · ${b.actualDuration?.toFixed(1)}s`}
+                            className={`absolute top-1 bottom-1 rounded ${breakColor(b)}`}
+                            style={{ left: `${((start - rangeStart) / span) * 100}%`, width: `max(3px, ${((end - start) / span) * 100}%)` }}
+                        />
+                    );
+                })}
+            </div>
+            <div className="flex justify-between text-[10px] text-white/30 mb-4">
+                <span>{new Date(rangeStart).toLocaleTimeString()}</span>
+                <span>Now</span>
+            </div>
+
+            {/* Break list */}
+            <div className="space-y-1 max-h-48 overflow-y-auto pr-2 text-xs font-mono" style={{ scrollbarWidth: 'thin' }}>
+                {breaks.slice().reverse().map(b => (
+                    <div key={b.breakId} className="flex justify-between items-center bg-black/20 rounded px-3 py-2">
+                        <span className="flex items-center gap-2">
+                            <span className={`w-2 h-2 rounded-full ${breakColor(b)}`} />
+                            <span className="text-white/70">{new Date(b.startedAt).toLocaleTimeString()}</span>
+                            <span className="text-white/30">{b.source}</span>
+                        </span>
+                        <span className={b.overrun || b.status === 'unterminated' ? 'text-amber-400' : 'text-white/60'}>
+                            {b.actualDuration != null ? `${b.actualDuration.toFixed(1)}s` : '-'}
+                            {b.plannedDuration != null ? ` / ${b.plannedDuration}s planned` : ''}
+                            {b.status !== 'closed' ? ` · ${b.status.toUpperCase()}` : ''}
+                        </span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Status state machine transitions (newest first), with the flapping flag
+const StatusHistoryPanel = ({ streamId, refreshKey, isFlapping }) => {
+    const [transitions, setTransitions] = useState([]);
+
+    useEffect(() => {
+        axios.get(`/api/streams/${streamId}/status-history?limit=50`)
+            .then(res => setTransitions(res.data))
+            .catch(err => console.error('Error loading status history:', err));
+    }, [streamId, refreshKey]);
+
+    if (transitions.length === 0) return null;
+
+    const statusColor = {
+        online: 'text-emerald-400',
+        stale: 'text-amber-400',
+        error: 'text-rose-400',
+        offline: 'text-slate-400'
+    };
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <h3 className="text-sm font-bold text-primary uppercase tracking-wider mb-4 flex items-center gap-2">
+                <History size={14} /> Status History ({transitions.length})
+                {isFlapping && <span className="ml-2 px-2 py-0.5 bg-amber-500/20 text-amber-400 text-xs rounded-full animate-pulse">FLAPPING</span>}
+            </h3>
+            <div className="space-y-1 max-h-48 overflow-y-auto pr-2 text-xs font-mono" style={{ scrollbarWidth: 'thin' }}>
+                {transitions.map(t => (
+                    <div key={t._id} className="flex justify-between items-center gap-4 bg-black/20 rounded px-3 py-2">
+                        <span className="flex items-center gap-2 shrink-0">
+                            <span className="text-white/50">{new Date(t.date).toLocaleString()}</span>
+                            <span className={statusColor[t.from] || 'text-white/50'}>{t.from?.toUpperCase()}</span>
+                            <span className="text-white/30">→</span>
+                            <span className={statusColor[t.to] || 'text-white/50'}>{t.to?.toUpperCase()}</span>
+                        </span>
+                        <span className={`truncate ${t.flapping ? 'text-amber-400' : 'text-white/60'}`} title={t.reason}>{t.reason}</span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// RFC 8216 conformance findings in the current playlists (errors first)
+const ConformancePanel = ({ findings }) => {
+    if (!findings || findings.length === 0) return null;
+
+    const sorted = findings.slice().sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+    const errorCount = findings.filter(f => f.severity === 'error').length;
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <h3 className="text-sm font-bold text-amber-400 uppercase tracking-wider mb-4 flex items-center gap-2">
+                <ListChecks size={14} /> Manifest Conformance ({errorCount} errors, {findings.length - errorCount} warnings)
+            </h3>
+            <div className="space-y-1 max-h-64 overflow-y-auto pr-2 text-xs font-mono" style={{ scrollbarWidth: 'thin' }}>
+                {sorted.map(f => (
+                    <div key={`${f.variant}-${f.key}`} className="bg-black/20 rounded px-3 py-2">
+                        <div className="flex justify-between items-center gap-4">
+                            <span className="flex items-center gap-2">
+                                <span className={`px-1.5 py-0.5 rounded text-[10px] uppercase ${f.severity === 'error' ? 'bg-rose-500/20 text-rose-400' : 'bg-amber-500/20 text-amber-400'}`}>{f.severity}</span>
+                                <span className="text-white/80">{f.rule}</span>
+                            </span>
+                            <span className="text-white/30 truncate">{f.variant || 'master'}{f.line ? ` · line ${f.line}` : ''}</span>
+                        </div>
+                        <div className="text-white/60 mt-1">{f.message}</div>
+                        <div className="text-white/30 mt-0.5">Since {new Date(f.firstSeen).toLocaleString()}</div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Completeness report of the VOD deep crawl - one row per playlist, then the issues found
+const VodReportPanel = ({ streamId, refreshKey }) => {
+    const [report, setReport] = useState(null);
+
+    useEffect(() => {
+        axios.get(`/api/streams/${streamId}/vod-report`)
+            .then(res => setReport(res.data))
+            .catch(err => { if (err.response?.status !== 404) console.error('Error loading VOD report:', err); });
+    }, [streamId, refreshKey]);
+
+    if (!report) return null;
+
+    const issues = report.variants.flatMap(v => v.issues.map(issue => ({ ...issue, variant: v.name || v.uri })));
+    const problemColor = { unavailable: 'text-rose-400', undecodable: 'text-rose-400', duration: 'text-amber-400' };
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <h3 className="text-sm font-bold text-primary uppercase tracking-wider mb-4 flex items-center gap-2">
+                <ClipboardCheck size={14} /> VOD Completeness
+                {report.status === 'running'
+                    ? <span className="ml-2 px-2 py-0.5 bg-primary/20 text-primary text-xs rounded-full animate-pulse">CRAWLING</span>
+                    : <span className={`ml-2 ${report.completeness === 100 ? 'text-emerald-400' : 'text-rose-400'}`}>{report.completeness}%</span>}
+            </h3>
+            <div className="overflow-x-auto mb-4">
+                <table className="w-full text-xs font-mono">
+                    <thead>
+                        <tr className="text-white/40 text-left">
+                            <th className="pb-2 pr-4">Playlist</th>
+                            <th className="pb-2 pr-4">Segments</th>
+                            <th className="pb-2 pr-4">Available</th>
+                            <th className="pb-2 pr-4">Decodable</th>
+                            <th className="pb-2 pr-4">Duration Mismatches</th>
+                            <th className="pb-2">Duration (EXTINF / probed)</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {report.variants.map(v => (
+                            <tr key={v.uri} className="border-t border-white/5">
+                                <td className="py-2 pr-4 text-white/70 break-all">{v.mediaType || 'VIDEO'} · {v.name ? `${v.name}${v.language ? ` (${v.language})` : ''}` : v.uri}</td>
+                                <td className="py-2 pr-4 text-white">{v.segments}</td>
+                                <td className={`py-2 pr-4 ${v.available < v.segments ? 'text-rose-400' : 'text-emerald-400'}`}>{v.available}</td>
+                                <td className={`py-2 pr-4 ${v.decodable < v.available ? 'text-rose-400' : 'text-emerald-400'}`}>{v.decodable}</td>
+                                <td className={`py-2 pr-4 ${v.durationMismatches > 0 ? 'text-amber-400' : 'text-white'}`}>{v.durationMismatches}</td>
+                                <td className="py-2 text-white">{v.declaredDuration.toFixed(1)}s / {v.measuredDuration.toFixed(1)}s</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {issues.length > 0 && (
+                <div className="space-y-1 max-h-48 overflow-y-auto pr-2 text-xs font-mono" style={{ scrollbarWidth: 'thin' }}>
+                    {issues.map((issue, i) => (
+                        <div key={`${issue.variant}-${issue.sequence}-${issue.problem}-${i}`} className="flex justify-between items-center gap-4 bg-black/20 rounded px-3 py-2">
+                            <span className="flex items-center gap-2 shrink-0">
+                                <span className={`uppercase ${problemColor[issue.problem]}`}>{issue.problem}</span>
+                                <span className="text-white/50">seq {issue.sequence} · {issue.uri}</span>
+                            </span>
+                            <span className="truncate text-white/60" title={issue.details}>{issue.variant} · {issue.details}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+            <div className="text-white/30 text-xs mt-3">
+                {report.completedAt ? `Crawled ${new Date(report.completedAt).toLocaleString()}` : `Started ${new Date(report.startedAt).toLocaleString()}`}
+            </div>
+        </div>
+    );
+};
+
+// Tooltip text for an HTTP request's timing breakdown, redirects and responding CDN edge
+function describeRequest(request) {
+    if (!request?.timing) return '';
+    const { dns, connect, tls, ttfb, total } = request.timing;
+    const phase = (label, ms) => (ms != null ? `${label} ${ms}ms` : null);
+    const edge = request.edge || {};
+    return [
+        [phase('DNS', dns), phase('Connect', connect), phase('TLS', tls), phase('TTFB', ttfb), phase('Total', total)].filter(Boolean).join(' · '),
+        ...(request.redirects || []).map(hop => `Redirect ${hop.status} -> ${hop.url}`),
+        request.finalUrl ? `Served from: ${request.finalUrl}` : null,
+        edge.cdn ? `CDN: ${edge.cdn}` : null,
+        edge.via ? `Via: ${edge.via}` : null,
+        edge.cache ? `Cache: ${edge.cache}${edge.age != null ? ` (age ${edge.age}s)` : ''}` : null
+    ].filter(Boolean).join('\n');
+}
+
+// Per-variant health table - one row per variant, alternate rendition and I-frame playlist in the master playlist
+const VariantsPanel = ({ variants }) => {
+    if (!variants || variants.length === 0) return null;
+
+    const statusColor = {
+        online: 'text-emerald-400',
+        stale: 'text-amber-400',
+        error: 'text-rose-400'
+    };
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <h3 className="text-sm font-bold text-primary uppercase tracking-wider mb-4 flex items-center gap-2">
+                <Layers size={14} /> Variants & Renditions ({variants.length})
+            </h3>
+            <div className="overflow-x-auto">
+                <table className="w-full text-xs font-mono">
+                    <thead>
+                        <tr className="text-white/40 text-left">
+                            <th className="pb-2 pr-4">Variant</th>
+                            <th className="pb-2 pr-4">Track</th>
+                            <th className="pb-2 pr-4">Status</th>
+                            <th className="pb-2 pr-4">Bandwidth</th>
+                            <th className="pb-2 pr-4">Measured (avg / peak)</th>
+                            <th className="pb-2 pr-4">Resolution</th>
+                            <th className="pb-2 pr-4">Format</th>
+                            <th className="pb-2 pr-4">Media Seq</th>
+                            <th className="pb-2 pr-4">Segments</th>
+                            <th className="pb-2 pr-4">Playlist Request</th>
+                            <th className="pb-2 pr-4">Last Segment</th>
+                            <th className="pb-2 pr-4">LL-HLS Parts</th>
+                            <th className="pb-2 pr-4">Encryption</th>
+                            <th className="pb-2 pr-4">Compliance</th>
+                            <th className="pb-2 pr-4">Headers</th>
+                            <th className="pb-2">Errors</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {variants.map(v => (
+                            <tr key={v.uri} className="border-t border-white/5">
+                                <td className="py-2 pr-4 text-white/70 break-all">{v.uri}</td>
+                                <td className={`py-2 pr-4 ${v.subtitles?.invalidSegments > 0 || Math.abs(v.subtitles?.syncOffset) > 2 ? 'text-amber-400' : 'text-white'}`}>
+                                    {v.mediaType || 'VIDEO'}
+                                    {v.name && <span className="text-white/50"> · {v.name}{v.language ? ` (${v.language})` : ''}</span>}
+                                    {v.mediaType === 'SUBTITLE' && v.subtitles?.lastSyncCheck && (
+                                        <span className="text-white/50"> · {v.subtitles.syncOffset > 0 ? '+' : ''}{v.subtitles.syncOffset}s</span>
+                                    )}
+                                    {v.mediaType === 'IFRAME' && v.iframes?.lastKeyframeCheck && (
+                                        <span className={v.iframes.keyframeStatus === 'error' ? 'text-rose-400' : 'text-white/50'}> · keyframes {v.iframes.keyframeStatus}</span>
+                                    )}
+                                    {v.mediaType === 'IFRAME' && v.iframes?.timelineLag != null && (
+                                        <span className="text-white/50"> · {v.iframes.timelineLag}s lag</span>
+                                    )}
+                                </td>
+                                <td className={`py-2 pr-4 ${statusColor[v.status] || 'text-white/50'}`}>{v.status?.toUpperCase() || '-'}</td>
+                                <td className="py-2 pr-4 text-white">{v.bandwidth ? `${(v.bandwidth / 1000).toFixed(0)}kbps` : '-'}</td>
+                                <td className={`py-2 pr-4 ${v.bandwidth && v.compliance?.measuredPeakBitrate > v.bandwidth ? 'text-amber-400' : 'text-white'}`}>
+                                    {v.compliance?.measuredAverageBitrate
+                                        ? `${(v.compliance.measuredAverageBitrate / 1000).toFixed(0)} / ${(v.compliance.measuredPeakBitrate / 1000).toFixed(0)}kbps`
+                                        : '-'}
+                                </td>
+                                <td className="py-2 pr-4 text-white">{v.resolution || '-'}</td>
+                                <td className={`py-2 pr-4 ${v.initSegment?.status === 'error' ? 'text-rose-400' : 'text-white'}`}>
+                                    {v.initSegment?.format || '-'}
+                                </td>
+                                <td className="py-2 pr-4 text-white">{v.health?.mediaSequence ?? '-'}</td>
+                                <td className="py-2 pr-4 text-white">{v.health?.segmentCount ?? '-'}</td>
+                                <td className="py-2 pr-4 text-white" title={describeRequest(v.lastManifestRequest)}>
+                                    {v.lastManifestRequest?.timing
+                                        ? `${v.lastManifestRequest.timing.total}ms · TTFB ${v.lastManifestRequest.timing.ttfb ?? '-'}ms${v.lastManifestRequest.edge?.cache ? ` · ${v.lastManifestRequest.edge.cache}` : ''}`
+                                        : '-'}
+                                </td>
+                                <td
+                                    className={`py-2 pr-4 ${v.lastSegment?.status >= 200 && v.lastSegment?.status < 300 ? 'text-white' : 'text-rose-400'}`}
+                                    title={describeRequest(v.lastSegment)}
+                                >
+                                    {v.lastSegment?.date
+                                        ? `${v.lastSegment.status ?? 'ERR'} · ${v.lastSegment.downloadTime}ms · ${(v.lastSegment.size / 1024).toFixed(0)}KB`
+                                        : '-'}
+                                </td>
+                                <td className={`py-2 pr-4 ${v.lowLatency?.partGap > v.lowLatency?.partTarget * 1500 ? 'text-amber-400' : 'text-white'}`}>
+                                    {v.lowLatency?.partTarget
+                                        ? `${v.lowLatency.partGap ?? '-'}ms / ${v.lowLatency.partTarget * 1000}ms`
+                                        : '-'}
+                                </td>
+                                <td className={`py-2 pr-4 ${v.encryption?.keyStatus === 'error' ? 'text-rose-400' : 'text-white'}`}>
+                                    {v.encryption?.method && v.encryption.method !== 'NONE'
+                                        ? `${v.encryption.method} · ${v.encryption.rotations} rotations`
+                                        : '-'}
+                                </td>
+                                <td
+                                    className={`py-2 pr-4 ${v.compliance?.findings?.length > 0 ? 'text-rose-400' : 'text-emerald-400'}`}
+                                    title={[
+                                        ...(v.compliance?.findings || []),
+                                        v.compliance?.probedCodecs ? `Probed: ${v.compliance.probedCodecs}${v.compliance.probedResolution ? ` · ${v.compliance.probedResolution}` : ''}` : null
+                                    ].filter(Boolean).join('\n')}
+                                >
+                                    {!v.compliance?.segmentsMeasured && !v.compliance?.lastProbe ? '-' : v.compliance.findings?.length > 0 ? `${v.compliance.findings.length} mismatch${v.compliance.findings.length > 1 ? 'es' : ''}` : 'OK'}
+                                </td>
+                                <td
+                                    className={`py-2 pr-4 ${v.headerFindings?.length > 0 ? 'text-amber-400' : 'text-emerald-400'}`}
+                                    title={(v.headerFindings || []).join('\n')}
+                                >
+                                    {!v.lastManifestRequest?.date ? '-' : v.headerFindings?.length > 0 ? `${v.headerFindings.length} issue${v.headerFindings.length > 1 ? 's' : ''}` : 'OK'}
+                                </td>
+                                <td className={`py-2 ${v.health?.totalErrors > 0 ? 'text-rose-400' : 'text-emerald-400'}`}>{v.health?.totalErrors ?? 0}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
 const StreamDetail = () => {
     const { id } = useParams();
     const [stream, setStream] = useState(null);
     const [loading, setLoading] = useState(true);
     const [signalHistory, setSignalHistory] = useState([]);
     const [liveStats, setLiveStats] = useState({ videoLevel: 0, audioLevel: 0, fps: 0, videoBitrate: 0, audioBitrate: 0 });
+    const [adBreakVersion, setAdBreakVersion] = useState(0);
+    const [statusVersion, setStatusVersion] = useState(0);
+    const [vodVersion, setVodVersion] = useState(0);
 
     // Log Date Selection
     const [isDateModalOpen, setIsDateModalOpen] = useState(false);
@@ -223,10 +653,15 @@ const StreamDetail = () => {
 
                 const formatted = data.map(m => ({
                     time: new Date(m.timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' }),
-                    videoLevel: m.videoLevel || 0,
-                    audioLevel: m.audioLevel || 0,
+                    videoLevel: m.videoLevel ?? null,
+                    audioLevel: m.audioLevel ?? null,
                     videoBitrate: m.videoBitrate ? (m.videoBitrate / 1000000) : 0,
                     audioBitrate: m.audioBitrate ? (m.audioBitrate / 1000) : 0,
+                    liveLatency: m.liveLatency != null ? m.liveLatency / 1000 : null,
+                    loudness: m.loudness ?? null,
+                    loudnessWindow: m.loudnessWindow ?? null,
+                    loudnessProgram: m.loudnessProgram ?? null,
+                    avOffset: m.avOffset ?? null,
                 }));
 
                 setSignalHistory(prev => {
@@ -274,13 +709,18 @@ const StreamDetail = () => {
                     time: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' }),
                     videoLevel: data.video,
                     audioLevel: data.audio,
-                    videoBitrate: data.videoBitrate / 1000000,
-                    audioBitrate: data.audioBitrate / 1000,
+                    videoBitrate: data.videoBitrate != null ? data.videoBitrate / 1000000 : 0,
+                    audioBitrate: data.audioBitrate != null ? data.audioBitrate / 1000 : 0,
                 }]);
             }
         });
         socket.on('stream:update', (updated) => { if (updated._id === id) setStream(updated); });
         socket.on('stream:sprite', (data) => { if (data.id === id) setStream(prev => prev ? { ...prev, thumbnail: data.url } : prev); });
+        socket.on('stream:adbreak', (data) => { if (data.id === id) setAdBreakVersion(v => v + 1); });
+        ['stream:degraded', 'stream:offline', 'stream:recovered', 'stream:flapping'].forEach(event => {
+            socket.on(event, (data) => { if (data.id === id) setStatusVersion(v => v + 1); });
+        });
+        socket.on('stream:vod', (data) => { if (data.id === id) setVodVersion(v => v + 1); });
 
         return () => { socket.disconnect(); };
     }, [id]);
@@ -350,7 +790,17 @@ const StreamDetail = () => {
                     </div>
                     <div className="lg:w-2/3 flex flex-col justify-center">
                         <h1 className="text-3xl font-bold mb-2">{stream.name}</h1>
-                        <p className="text-white/40 font-mono text-sm mb-4 break-all">{stream.url}</p>
+                        <p className={`text-white/40 font-mono text-sm break-all ${stream.origin?.host ? 'mb-1' : 'mb-4'}`}>{stream.url}</p>
+                        {stream.origin?.host && (
+                            <p
+                                className="text-white/30 font-mono text-xs mb-4 break-all"
+                                title={(stream.origin.redirects || []).map(hop => `${hop.status} -> ${hop.url}`).join('\n')}
+                            >
+                                Served by {stream.origin.host}{stream.origin.cdn ? ` (${stream.origin.cdn})` : ''}
+                                {stream.origin.redirects?.length > 0 && ` · ${stream.origin.redirects.length} redirect${stream.origin.redirects.length > 1 ? 's' : ''}`}
+                                {stream.origin.lastChange && ` · changed ${new Date(stream.origin.lastChange).toLocaleString()}`}
+                            </p>
+                        )}
                         <div className="flex items-center gap-4">
                             <div className={`w-24 h-24 rounded-full ${healthColor.bg} flex items-center justify-center`}>
                                 <span className="text-3xl font-bold text-white">{healthScore}</span>
@@ -466,10 +916,11 @@ const StreamDetail = () => {
                     <h3 className="text-lg font-bold mb-4 flex items-center gap-2">
                         <Radio size={18} className="text-emerald-400" /> Live Signal Strength
                         <span className="ml-2 px-2 py-0.5 bg-emerald-500/20 text-emerald-400 text-xs rounded-full animate-pulse">● LIVE</span>
+                        <span className="ml-auto text-xs font-normal text-white/40">Latest segment's bitrate, as a share of the declared BANDWIDTH</span>
                     </h3>
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
                         <SignalMeter level={liveStats.videoLevel} label="Video Signal" rawValue={liveStats.videoBitrate ? `${(liveStats.videoBitrate / 1000000).toFixed(2)} Mbps` : null} />
-                        <SignalMeter level={liveStats.audioLevel} label="Audio Signal" rawValue={liveStats.audioBitrate ? `${(liveStats.audioBitrate / 1000).toFixed(0)} kbps` : null} />
+                        <SignalMeter level={liveStats.audioLevel} label="Audio Signal" color="#06b6d4" rawValue={liveStats.audioBitrate ? `${(liveStats.audioBitrate / 1000).toFixed(0)} kbps` : null} />
                         <div className="bg-black/40 rounded-xl p-4 border border-white/10">
                             <div className="text-xs font-bold uppercase text-white/60 mb-1">Frame Rate</div>
                             <div className="text-2xl font-mono font-bold text-cyan-400">{liveStats.fps?.toFixed(2) || '--'} <span className="text-sm">fps</span></div>
@@ -565,6 +1016,55 @@ const StreamDetail = () => {
                                     <span>Live →</span>
                                 </div>
                             </div>
+
+                            {/* Live Latency Chart - only for streams with EXT-X-PROGRAM-DATE-TIME */}
+                            {signalHistory.some(h => h.liveLatency != null) && (
+                                <MetricChart
+                                    title="Live-Edge Latency (s)"
+                                    titleClass="text-amber-400"
+                                    data={signalHistory}
+                                    unit=" s"
+                                    lines={[{ dataKey: 'liveLatency', name: 'Live Latency', color: '#f59e0b' }]}
+                                    onScroll={handleScroll}
+                                />
+                            )}
+
+                            {/* A/V Offset Chart - streams with muxed audio and video */}
+                            {signalHistory.some(h => h.avOffset != null) && (
+                                <MetricChart
+                                    title="A/V Offset (ms, audio minus video)"
+                                    titleClass="text-rose-400"
+                                    data={signalHistory}
+                                    unit=" ms"
+                                    lines={[{ dataKey: 'avOffset', name: 'A/V Offset', color: '#f43f5e' }]}
+                                    references={stream.config?.avSyncTolerance != null ? [
+                                        { y: stream.config.avSyncTolerance, color: '#ef4444' },
+                                        { y: -stream.config.avSyncTolerance, color: '#ef4444' }
+                                    ] : []}
+                                    onScroll={handleScroll}
+                                />
+                            )}
+
+                            {/* Loudness Chart - EBU R128 / ATSC A/85 */}
+                            {signalHistory.some(h => h.loudnessWindow != null) && (
+                                <MetricChart
+                                    title="Loudness (LUFS)"
+                                    titleClass="text-cyan-400"
+                                    data={signalHistory}
+                                    unit=" LUFS"
+                                    domain={['auto', 'auto']}
+                                    legend
+                                    lines={[
+                                        { dataKey: 'loudness', name: 'Segment', color: '#64748b', width: 1 },
+                                        { dataKey: 'loudnessWindow', name: 'Rolling Window', color: '#06b6d4' },
+                                        { dataKey: 'loudnessProgram', name: 'Program', color: '#8b5cf6' }
+                                    ]}
+                                    references={stats.audio?.loudness?.target != null ? [
+                                        { y: stats.audio.loudness.target, color: '#10b981', label: 'Target' }
+                                    ] : []}
+                                    onScroll={handleScroll}
+                                />
+                            )}
                         </div>
                     ) : (
                         <div className="h-48 flex items-center justify-center text-white/30">
@@ -585,6 +1085,8 @@ const StreamDetail = () => {
                             <div className="flex justify-between"><span className="text-white/50">Stale</span><span className={health.isStale ? 'text-amber-400' : 'text-emerald-400'}>{health.isStale ? 'YES' : 'NO'}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">Media Seq</span><span className="text-white">{health.mediaSequence ?? '-'}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">Errors</span><span className={health.totalErrors > 0 ? 'text-rose-400' : 'text-emerald-400'}>{health.totalErrors ?? 0}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Live Latency</span><span className={health.liveLatency > stream.config?.latencyBudget ? 'text-rose-400' : 'text-white'}>{health.liveLatency != null ? `${(health.liveLatency / 1000).toFixed(1)}s` : '-'}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Poll Interval</span><span className={health.pollDrift > health.pollInterval / 2 ? 'text-amber-400' : 'text-white'}>{health.pollInterval ? `${(health.pollInterval / 1000).toFixed(1)}s` : '-'}{health.pollDrift > 0 ? ` (+${(health.pollDrift / 1000).toFixed(1)}s)` : ''}</span></div>
                         </div>
                     </div>
                     <div className="glass-panel p-4">
@@ -593,6 +1095,17 @@ const StreamDetail = () => {
                             <div className="flex justify-between"><span className="text-white/50">Codec</span><span className="text-white">{stats.video?.codec || '-'}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">Resolution</span><span className="text-white">{stats.resolution || '-'}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">FPS</span><span className="text-white">{stats.fps?.toFixed(2) || '-'}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Picture</span><span className={stats.video?.isBlack || stats.video?.isFrozen ? 'text-amber-400' : 'text-white'}>{stats.video?.isBlack ? 'Black' : stats.video?.isFrozen ? 'Frozen' : stats.video?.codec ? 'OK' : '-'}</span></div>
+                            {stats.video?.isBlack && (
+                                <div className="mt-2 px-2 py-1 bg-amber-500/20 border border-amber-500/30 rounded text-amber-400 text-xs flex items-center gap-1">
+                                    <AlertTriangle size={12} /> Black picture for {stats.video.blackDuration}s
+                                </div>
+                            )}
+                            {stats.video?.isFrozen && (
+                                <div className="mt-2 px-2 py-1 bg-amber-500/20 border border-amber-500/30 rounded text-amber-400 text-xs flex items-center gap-1">
+                                    <AlertTriangle size={12} /> Frozen picture for {stats.video.frozenDuration}s
+                                </div>
+                            )}
                         </div>
                     </div>
                     <div className="glass-panel p-4">
@@ -603,11 +1116,21 @@ const StreamDetail = () => {
                             <div className="flex justify-between"><span className="text-white/50">Sample Rate</span><span className="text-white">{stats.audio?.sampleRate ? `${stats.audio.sampleRate}Hz` : '-'}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">Peak Level</span><span className={stats.audio?.isSilent ? 'text-amber-400' : 'text-white'}>{formatDbLevel(stats.audio?.peakDb)}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">Avg Level</span><span className="text-white">{formatDbLevel(stats.audio?.avgDb)}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Loudness</span><span className={stats.audio?.loudness?.findings?.length ? 'text-amber-400' : 'text-white'} title="Rolling window / program integrated loudness">{stats.audio?.loudness?.window?.integrated != null ? `${stats.audio.loudness.window.integrated} / ${stats.audio.loudness.program?.integrated ?? '-'} LUFS` : '-'}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">True Peak</span><span className="text-white">{stats.audio?.loudness?.window?.truePeak != null ? `${stats.audio.loudness.window.truePeak} dBTP` : '-'}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">A/V Offset</span><span className={Math.abs(stats.avSync?.offset) > stream.config?.avSyncTolerance ? 'text-rose-400' : 'text-white'} title="Audio start minus video start in the latest segment">{stats.avSync?.offset != null ? `${stats.avSync.offset > 0 ? '+' : ''}${stats.avSync.offset} ms` : '-'}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">LRA</span><span className="text-white">{stats.audio?.loudness?.program?.range != null ? `${stats.audio.loudness.program.range} LU` : '-'}</span></div>
+                            {stats.audio?.loudness?.findings?.map(finding => (
+                                <div key={finding} className="mt-2 px-2 py-1 bg-amber-500/20 border border-amber-500/30 rounded text-amber-400 text-xs flex items-center gap-1">
+                                    <AlertTriangle size={12} /> {finding}
+                                </div>
+                            ))}
                             {stats.audio?.isSilent && (
                                 <div className="mt-2 px-2 py-1 bg-amber-500/20 border border-amber-500/30 rounded text-amber-400 text-xs flex items-center gap-1">
                                     <AlertTriangle size={12} /> Possible silence detected
                                 </div>
                             )}
+                            {stats.audio?.channelStats?.length > 0 && <ChannelMeters audio={stats.audio} />}
                         </div>
                     </div>
                     <div className="glass-panel p-4">
@@ -619,6 +1142,21 @@ const StreamDetail = () => {
                     </div>
                 </div>
 
+                {/* VOD deep crawl */}
+                {stream.vod?.isVod && <VodReportPanel streamId={id} refreshKey={vodVersion} />}
+
+                {/* RFC 8216 lint findings */}
+                <ConformancePanel findings={stream.lintFindings} />
+
+                {/* Status transitions */}
+                <StatusHistoryPanel streamId={id} refreshKey={statusVersion} isFlapping={stream.health?.isFlapping} />
+
+                {/* SCTE-35 ad breaks */}
+                <AdBreaksPanel streamId={id} refreshKey={adBreakVersion} />
+
+                {/* Per-variant health */}
+                <VariantsPanel variants={stream.variants} />
+
                 {/* Errors - Lazy Loading */}
                 <ErrorsPanel streamId={id} />
 